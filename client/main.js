@@ -19,6 +19,7 @@ let socket = null;
 let gameState = null;
 let myPlayerId = null;
 let isGameRunning = false;
+let currentRoomId = null;
 
 /**
  * Initialize the game systems
@@ -85,10 +86,42 @@ function setupNetworking() {
                 isGameRunning = false;
             });
             
-            socket.on('gameState', (newGameState) => {
-                // Add to interpolation buffer for smooth rendering
-                interpolationBuffer.addSnapshot(newGameState);
+            socket.on('roomJoined', (data) => {
+                // Ticks restart in every room - drop the old room's states
+                // before the new room's arena and first keyframe arrive
+                if (currentRoomId && currentRoomId !== data.roomId) {
+                    interpolationBuffer.clear();
+                    gameState = null;
+                }
+                currentRoomId = data.roomId;
+            });
+            
+            socket.on('arenaState', (arenaState) => {
+                interpolationBuffer.setArenaState(arenaState);
+            });
+            
+            socket.on('tileChanged', (data) => {
+                interpolationBuffer.applyTileChanges(data.changes);
+            });
+            
+            socket.on('teleport', (data) => {
+                interpolationBuffer.markTeleport(data.entityId, data.timestamp);
+            });
+            
+            socket.on('gameState', (message) => {
+                // Add to interpolation buffer for smooth rendering (rebuilds deltas)
+                const newGameState = interpolationBuffer.addSnapshot(message);
+                if (!newGameState) {
+                    if (interpolationBuffer.shouldRequestKeyframe()) {
+                        socket.emit('requestKeyframe');
+                    }
+                    return;
+                }
+                
                 gameState = newGameState;
+                if (newGameState.tick !== undefined) {
+                    socket.emit('snapshotAck', { tick: newGameState.tick });
+                }
             });
             
             socket.on('error', (error) => {
@@ -14,6 +14,7 @@ export class GameHUD extends BaseComponent {
         // HUD-specific configuration
         this.hudConfig = config.ui;
         this.killStreakConfig = config.ui.killstreak_display;
+        this.powerUpConfig = config.ui.power_up_display;
         
         // Component state
         this.state = {
@@ -25,6 +26,9 @@ export class GameHUD extends BaseComponent {
                 health: 100,
                 shield: false
             },
+            captureZone: null, // { progress, owned, contested } while on a control zone
+            powerUps: [], // [{ type, expiresAt }] from the local tank
+            serverTime: 0, // Server timestamp the power-up times are measured against
             visible: true
         };
         
@@ -35,7 +39,8 @@ export class GameHUD extends BaseComponent {
         this.animations = {
             crosshairPulse: 0,
             killStreakGlow: 0,
-            ammoIndicator: 0
+            ammoIndicator: 0,
+            capturePulse: 0
         };
         
         console.log('GameHUD component initialized');
@@ -52,6 +57,7 @@ export class GameHUD extends BaseComponent {
     calculateLayout() {
         const center = UIUtils.getCenter(this.canvas);
         const killStreakConfig = this.killStreakConfig;
+        const powerUpConfig = this.powerUpConfig;
         
         return {
             // Crosshair (center of screen)
@@ -82,6 +88,22 @@ export class GameHUD extends BaseComponent {
                 y: this.canvas.height - 40,
                 width: 150,
                 height: 8
+            },
+            
+            // Control zone capture bar (below crosshair)
+            captureBar: {
+                x: center.x - 100,
+                y: center.y + 60,
+                width: 200,
+                height: 6
+            },
+            
+            // Active power-ups (stacked up from above the health bar)
+            powerUps: {
+                x: powerUpConfig.position.left,
+                bottom: this.canvas.height - 40 - powerUpConfig.position.bottom,
+                width: powerUpConfig.width,
+                rowHeight: powerUpConfig.row_height
             }
         };
     }
@@ -119,6 +141,15 @@ export class GameHUD extends BaseComponent {
             this.state.playerStats = { ...state.playerStats };
         }
         
+        if (state.captureZone !== undefined) {
+            this.state.captureZone = state.captureZone ? { ...state.captureZone } : null;
+        }
+        
+        if (state.powerUps !== undefined) {
+            this.state.powerUps = state.powerUps.map(powerUp => ({ ...powerUp }));
+            this.state.serverTime = state.serverTime || this.state.serverTime;
+        }
+        
         if (state.visible !== undefined) {
             this.state.visible = state.visible;
         }
@@ -147,6 +178,14 @@ export class GameHUD extends BaseComponent {
                 this.animations.ammoIndicator -= Math.PI * 2;
             }
         }
+        
+        // Capture bar pulse while contested
+        if (this.state.captureZone && this.state.captureZone.contested) {
+            this.animations.capturePulse += deltaTime * 0.01;
+            if (this.animations.capturePulse > Math.PI * 2) {
+                this.animations.capturePulse -= Math.PI * 2;
+            }
+        }
     }
     
     // =============================================================================
@@ -174,6 +213,14 @@ export class GameHUD extends BaseComponent {
         this.drawAmmoIndicator();
         this.drawHealthBar();
         
+        if (this.state.captureZone) {
+            this.drawCaptureProgress();
+        }
+        
+        if (this.state.powerUps.length > 0) {
+            this.drawPowerUps();
+        }
+        
         // Draw shield indicator if active
         if (this.state.playerStats.shield) {
             this.drawShieldStatus();
@@ -358,6 +405,84 @@ export class GameHUD extends BaseComponent {
         this.ctx.restore();
     }
     
+    /**
+     * Draw control zone capture progress bar
+     */
+    drawCaptureProgress() {
+        const layout = this.layout.captureBar;
+        const zone = this.state.captureZone;
+        const progress = zone.owned ? 1 : Math.max(0, Math.min(1, zone.progress || 0));
+        
+        let color = this.colors.uiCyan;
+        let label = 'CAPTURING';
+        if (zone.contested) {
+            color = this.colors.error;
+            label = 'CONTESTED';
+        } else if (zone.owned) {
+            color = this.colors.accent;
+            label = 'HOLDING';
+        }
+        
+        this.ctx.save();
+        
+        // Background bar
+        this.ctx.fillStyle = UIUtils.withAlpha(color, 0.2);
+        this.ctx.fillRect(layout.x, layout.y, layout.width, layout.height);
+        
+        // Progress fill (pulses while contested)
+        const pulse = zone.contested ? (Math.sin(this.animations.capturePulse) + 1) * 0.25 : 0;
+        this.ctx.fillStyle = UIUtils.withAlpha(color, 0.8 - pulse);
+        this.ctx.fillRect(layout.x, layout.y, layout.width * progress, layout.height);
+        
+        // Border
+        this.ctx.strokeStyle = UIUtils.withAlpha(color, 0.6);
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(layout.x, layout.y, layout.width, layout.height);
+        
+        // Status text
+        this.ctx.font = `10px ${this.typography.monospace.family}`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillStyle = color;
+        this.ctx.fillText(label, layout.x + layout.width / 2, layout.y - 2);
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw active power-ups, each with a bar showing the time it has left
+     */
+    drawPowerUps() {
+        const layout = this.layout.powerUps;
+        const config = this.powerUpConfig;
+        
+        this.ctx.save();
+        this.ctx.font = `${config.font_size}px ${this.typography.monospace.family}`;
+        this.ctx.textBaseline = 'top';
+        
+        this.state.powerUps.forEach((powerUp, index) => {
+            const rowY = layout.bottom - layout.rowHeight * (index + 1);
+            const color = this.config.colors.power_ups[powerUp.type] || this.colors.uiCyan;
+            const durationMs = this.config.arena.power_ups.types[powerUp.type].duration_ms;
+            const remainingMs = Math.max(0, powerUp.expiresAt - this.state.serverTime);
+            
+            this.ctx.fillStyle = color;
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(powerUp.type.replace('_', ' ').toUpperCase(), layout.x, rowY);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${Math.ceil(remainingMs / 1000)}s`, layout.x + layout.width, rowY);
+            
+            // Time-left bar
+            const barY = rowY + layout.rowHeight - config.bar_height * 3;
+            this.ctx.fillStyle = UIUtils.withAlpha(color, 0.2);
+            this.ctx.fillRect(layout.x, barY, layout.width, config.bar_height);
+            this.ctx.fillStyle = UIUtils.withAlpha(color, 0.8);
+            this.ctx.fillRect(layout.x, barY, layout.width * Math.min(1, remainingMs / durationMs), config.bar_height);
+        });
+        
+        this.ctx.restore();
+    }
+    
     /**
      * Draw shield status indicator
      */
@@ -472,6 +597,48 @@ export class GameHUD extends BaseComponent {
         }
     }
     
+    /**
+     * Update control zone capture state
+     * @param {Object|null} captureZone - { progress, owned, contested }, or null when off every zone
+     */
+    updateCaptureZone(captureZone) {
+        const changed = JSON.stringify(this.state.captureZone) !== JSON.stringify(captureZone);
+        if (changed) {
+            this.state.captureZone = captureZone ? { ...captureZone } : null;
+            this.markDirty();
+        }
+    }
+    
+    /**
+     * Update active power-ups
+     * @param {Array} powerUps - [{ type, expiresAt }] from the local tank state
+     * @param {number} serverTime - Server timestamp of that game state
+     */
+    updatePowerUps(powerUps, serverTime) {
+        this.state.powerUps = (powerUps || []).map(powerUp => ({ ...powerUp }));
+        this.state.serverTime = serverTime;
+        this.markDirty();
+    }
+    
+    /**
+     * Build capture state for a tank from the king of the hill mode zones
+     * @param {Array} zones - Zone states from gameState.mode.zones
+     * @param {Object} tank - Local player's tank state
+     * @returns {Object|null} Capture state, or null when not on a zone
+     */
+    static getCaptureZoneFor(zones, tank) {
+        if (!zones || !tank || !tank.alive) return null;
+        
+        const zone = zones.find(z => z.gridX === tank.gridX && z.gridY === tank.gridY);
+        if (!zone) return null;
+        
+        return {
+            progress: zone.capturerId === tank.id ? zone.progress : 0,
+            owned: zone.ownerId === tank.id,
+            contested: zone.contested
+        };
+    }
+    
     /**
      * Get component bounds (for interaction)
      * @returns {Object} Component bounds
@@ -507,6 +674,8 @@ export class GameHUD extends BaseComponent {
             killStreakVisible: this.state.showKillStreak,
             killStreak: this.state.killStreak,
             playerStats: { ...this.state.playerStats },
+            captureZone: this.state.captureZone ? { ...this.state.captureZone } : null,
+            powerUps: this.state.powerUps.map(powerUp => ({ ...powerUp })),
             visible: this.state.visible
         };
     }
@@ -17,6 +17,7 @@ export class Leaderboard extends BaseComponent {
         // Component state
         this.state = {
             players: [],
+            teams: [], // Team modes only: [{ id, name, color, score }]
             currentPlayerId: null,
             visible: true,
             maxPlayers: this.leaderboardConfig.max_players
@@ -79,10 +80,11 @@ export class Leaderboard extends BaseComponent {
         const config = this.leaderboardConfig;
         const playerCount = Math.min(this.state.players.length, this.state.maxPlayers);
         const headerHeight = config.header_font_size + 20;
+        const teamHeadersHeight = this.state.teams.length * config.row_height;
         const playersHeight = playerCount * config.row_height;
         const padding = config.padding * 2;
         
-        return headerHeight + playersHeight + padding;
+        return headerHeight + teamHeadersHeight + playersHeight + padding;
     }
     
     // =============================================================================
@@ -97,6 +99,11 @@ export class Leaderboard extends BaseComponent {
     update(deltaTime, state) {
         super.update(deltaTime, state);
         
+        // Team data comes first so players can be grouped by it
+        if (state.teams) {
+            this.updateTeamData(state.teams);
+        }
+        
         // Update player data
         if (state.players) {
             this.updatePlayerData(state.players);
@@ -138,6 +145,28 @@ export class Leaderboard extends BaseComponent {
         this.markDirty();
     }
     
+    /**
+     * Update team scores (an empty list switches back to the free-for-all layout)
+     * @param {Array} teams - Array of team objects in display order
+     */
+    updateTeamData(teams) {
+        const sortedTeams = [...teams].sort((a, b) => (b.score || 0) - (a.score || 0));
+        
+        if (JSON.stringify(sortedTeams) !== JSON.stringify(this.state.teams)) {
+            this.state.teams = sortedTeams;
+            this.markDirty();
+        }
+    }
+    
+    /**
+     * Get players belonging to a team, in leaderboard order
+     * @param {string} teamId - Team identifier
+     * @returns {Array} Team members
+     */
+    getTeamPlayers(teamId) {
+        return this.state.players.filter(player => player.team === teamId);
+    }
+    
     /**
      * Track position changes for animation effects
      * @param {Array} oldPlayers - Previous player list
@@ -205,7 +234,12 @@ export class Leaderboard extends BaseComponent {
         
         this.drawPanel();
         this.drawHeader();
-        this.drawPlayerList();
+        
+        if (this.state.teams.length > 0) {
+            this.drawTeamList();
+        } else {
+            this.drawPlayerList();
+        }
     }
     
     /**
@@ -279,6 +313,65 @@ export class Leaderboard extends BaseComponent {
         });
     }
     
+    /**
+     * Draw players grouped under their team headers
+     */
+    drawTeamList() {
+        const playerList = this.layout.playerList;
+        let y = playerList.y;
+        let drawnPlayers = 0;
+        
+        this.state.teams.forEach((team, teamIndex) => {
+            this.drawTeamHeader(playerList.x, y, playerList.width, team, teamIndex === 0);
+            y += playerList.rowHeight;
+            
+            this.getTeamPlayers(team.id).forEach((player, index) => {
+                if (drawnPlayers >= this.state.maxPlayers) return;
+                
+                const isCurrentPlayer = player.id === this.state.currentPlayerId;
+                this.drawPlayerEntry(playerList.x, y, playerList.width, player, index === 0, isCurrentPlayer);
+                y += playerList.rowHeight;
+                drawnPlayers++;
+            });
+        });
+    }
+    
+    /**
+     * Draw a team header row with name and score
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Row width
+     * @param {Object} team - Team data
+     * @param {boolean} isLeading - Whether this team is ahead
+     */
+    drawTeamHeader(x, y, width, team, isLeading) {
+        this.ctx.save();
+        
+        const config = this.leaderboardConfig;
+        const rowHeight = config.row_height;
+        
+        // Team colour band
+        this.ctx.fillStyle = UIUtils.withAlpha(team.color, 0.15);
+        this.ctx.fillRect(x - 5, y - 2, width + 10, rowHeight);
+        
+        this.ctx.font = `${config.title_font_weight} ${config.font_size}px ${this.typography.title.family}`;
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = team.color;
+        
+        if (isLeading) {
+            this.ctx.shadowBlur = config.top_player_glow_intensity;
+            this.ctx.shadowColor = team.color;
+        }
+        
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(team.name, x, y + rowHeight / 2);
+        
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(String(team.score || 0), x + width, y + rowHeight / 2);
+        
+        this.ctx.restore();
+    }
+    
     /**
      * Draw a single player entry
      * @param {number} x - X position
@@ -341,7 +434,8 @@ export class Leaderboard extends BaseComponent {
         // Draw rank number
         this.ctx.textAlign = 'left';
         this.ctx.fillStyle = this.colors.uiCyan;
-        const rank = String(this.state.players.indexOf(player) + 1);
+        const rankList = this.state.teams.length > 0 ? this.getTeamPlayers(player.team) : this.state.players;
+        const rank = String(rankList.indexOf(player) + 1);
         this.ctx.fillText(`${rank}.`, x, y + rowHeight / 2);
         
         // Draw crown icon for top player
@@ -354,6 +448,15 @@ export class Leaderboard extends BaseComponent {
         this.ctx.fillStyle = player.color || this.colors.primary;
         this.ctx.fillText(player.name, nameX, y + rowHeight / 2);
         
+        // Bots get their difficulty tier after the name
+        if (player.isBot && player.difficulty) {
+            const tagX = nameX + this.ctx.measureText(player.name).width + 6;
+            this.ctx.font = `${config.tier_font_size}px ${this.typography.monospace.family}`;
+            this.ctx.fillStyle = this.colors.uiTextDim;
+            this.ctx.fillText(player.difficulty.toUpperCase(), tagX, y + rowHeight / 2);
+            this.ctx.font = `${config.font_size}px ${this.typography.primary.family}`;
+        }
+        
         // Draw kill streak
         this.ctx.textAlign = 'right';
         this.ctx.fillStyle = this.colors.uiCyan;
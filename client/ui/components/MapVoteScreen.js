@@ -0,0 +1,270 @@
+// =================================================================================
+// MAP VOTE SCREEN COMPONENT - Blueprint Battle UI System
+// =================================================================================
+// Row of next-arena candidates shown with the round results; click or press 1-9 to vote
+
+import { BaseComponent } from './BaseComponent.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+export class MapVoteScreen extends BaseComponent {
+    constructor(canvas, ctx, config, options = {}) {
+        super(canvas, ctx, config, options);
+
+        // Map vote configuration
+        this.voteConfig = config.ui.map_vote;
+
+        // Called with a candidate id when the player picks one
+        this.onVote = options.onVote || null;
+
+        // Component state
+        this.state = {
+            candidates: [],
+            tallies: {},
+            myVote: null,
+            winnerId: null,
+            hoveredIndex: -1,
+            visible: false
+        };
+
+        // Layout calculations
+        this.layout = this.calculateLayout();
+
+        console.log('MapVoteScreen component initialized');
+    }
+
+    // =============================================================================
+    // LAYOUT CALCULATIONS
+    // =============================================================================
+
+    /**
+     * Calculate card positions, centred along the bottom of the screen
+     * @returns {Object} Layout configuration
+     */
+    calculateLayout() {
+        const center = UIUtils.getCenter(this.canvas);
+        const config = this.voteConfig;
+        const count = this.state.candidates.length;
+        const rowWidth = count * config.card_width + Math.max(0, count - 1) * config.card_spacing;
+        const y = this.canvas.height - config.margin - config.card_height;
+
+        return {
+            row: { x: center.x - rowWidth / 2, y, width: rowWidth, height: config.card_height },
+            cards: this.state.candidates.map((candidate, index) => UIUtils.createBounds(
+                center.x - rowWidth / 2 + index * (config.card_width + config.card_spacing),
+                y,
+                config.card_width,
+                config.card_height
+            ))
+        };
+    }
+
+    // =============================================================================
+    // RENDERING
+    // =============================================================================
+
+    /**
+     * Draw the vote cards
+     * @param {Object} state - Component state
+     * @param {Object} context - Rendering context
+     */
+    draw(state, context) {
+        if (!this.state.visible) {
+            return;
+        }
+
+        this.state.candidates.forEach((candidate, index) => {
+            this.drawCard(candidate, index, this.layout.cards[index]);
+        });
+    }
+
+    /**
+     * Draw one candidate card with its vote count
+     * @param {Object} candidate - Candidate from the server
+     * @param {number} index - Position in the row (key to press is index + 1)
+     * @param {Object} bounds - Card bounds
+     */
+    drawCard(candidate, index, bounds) {
+        const config = this.voteConfig;
+        const isMine = this.state.myVote === candidate.id;
+        const isWinner = this.state.winnerId === candidate.id;
+        const highlighted = isWinner || (this.isOpen() && (isMine || this.state.hoveredIndex === index));
+        const color = isMine || isWinner ? this.colors.accent : this.colors.uiCyan;
+
+        this.ctx.save();
+
+        this.ctx.fillStyle = UIUtils.withAlpha(color, 0.12);
+        this.ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+        this.ctx.strokeStyle = UIUtils.withAlpha(color, highlighted ? 1 : 0.5);
+        this.ctx.lineWidth = 1;
+        if (isWinner) {
+            this.ctx.shadowBlur = 10 + this.getPulse() * 10;
+            this.ctx.shadowColor = color;
+        }
+        this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        this.ctx.shadowBlur = 0;
+
+        const centerX = bounds.x + bounds.width / 2;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        // Key hint and name
+        this.ctx.font = `${isMine ? 'bold ' : ''}${config.name_font_size}px ${this.typography.primary.family}`;
+        this.ctx.fillStyle = color;
+        this.ctx.fillText(`${index + 1} · ${candidate.name.toUpperCase()}`, centerX, bounds.y + bounds.height * 0.3);
+
+        // Vote count, or the result once the vote has closed
+        const votes = this.state.tallies[candidate.id] || 0;
+        this.ctx.font = `${config.detail_font_size}px ${this.typography.primary.family}`;
+        this.ctx.letterSpacing = '0.1em';
+        this.ctx.fillStyle = isWinner ? this.colors.accent : this.colors.uiTextDim;
+        this.ctx.fillText(isWinner ? 'NEXT ARENA' : `${votes} VOTE${votes === 1 ? '' : 'S'}`, centerX, bounds.y + bounds.height * 0.7);
+
+        this.ctx.restore();
+    }
+
+    // =============================================================================
+    // INPUT
+    // =============================================================================
+
+    /**
+     * Track which card is under the mouse
+     * @param {number} x - Mouse X coordinate
+     * @param {number} y - Mouse Y coordinate
+     */
+    handleMouseMove(x, y) {
+        const hoveredIndex = this.layout.cards.findIndex(bounds => UIUtils.isPointInBounds(x, y, bounds));
+        if (hoveredIndex !== this.state.hoveredIndex) {
+            this.state.hoveredIndex = hoveredIndex;
+            this.markDirty();
+        }
+    }
+
+    /**
+     * Vote with the number keys
+     * @param {string} key - Key pressed
+     * @returns {boolean} True if handled
+     */
+    handleKeyDown(key) {
+        if (!/^[1-9]$/.test(key)) {
+            return false;
+        }
+        return this.vote(Number(key) - 1);
+    }
+
+    /**
+     * Vote for the candidate at a position in the row
+     * @param {number} index - Candidate index
+     * @returns {boolean} True if a vote was cast
+     */
+    vote(index) {
+        const candidate = this.state.candidates[index];
+        if (!candidate || !this.isOpen() || this.state.myVote === candidate.id) {
+            return false;
+        }
+
+        this.state.myVote = candidate.id;
+        this.markDirty();
+        if (this.onVote) {
+            this.onVote(candidate.id);
+        }
+        return true;
+    }
+
+    // =============================================================================
+    // COMPONENT INTERFACE
+    // =============================================================================
+
+    /**
+     * Show a new vote
+     * @param {Object} voteData - mapVoteStart payload from the server
+     */
+    showVote(voteData) {
+        this.state.candidates = voteData.candidates || [];
+        this.state.tallies = {};
+        this.state.myVote = null;
+        this.state.winnerId = null;
+        this.state.hoveredIndex = -1;
+        this.state.visible = true;
+        this.layout = this.calculateLayout();
+        this.markDirty();
+    }
+
+    /**
+     * Update vote counts
+     * @param {Object} tallies - Candidate id -> votes
+     */
+    updateTallies(tallies) {
+        this.state.tallies = { ...tallies };
+        this.markDirty();
+    }
+
+    /**
+     * Mark the winning candidate once the vote closes
+     * @param {Object} resultData - mapVoteResult payload from the server
+     */
+    showResult(resultData) {
+        this.state.winnerId = resultData.winner ? resultData.winner.id : null;
+        this.state.tallies = { ...resultData.tallies };
+        this.markDirty();
+    }
+
+    /**
+     * Hide the vote
+     */
+    hideVote() {
+        this.state.visible = false;
+        this.markDirty();
+    }
+
+    /**
+     * Check if votes are still being taken
+     * @returns {boolean} True while the vote is open
+     */
+    isOpen() {
+        return this.state.visible && this.state.candidates.length > 0 && this.state.winnerId === null;
+    }
+
+    /**
+     * Get bounds of a single card (for interactive element registration)
+     * @param {number} index - Candidate index
+     * @returns {Object} Card bounds
+     */
+    getCardBounds(index) {
+        return this.layout.cards[index] || UIUtils.createBounds(0, 0, 0, 0);
+    }
+
+    /**
+     * Get component bounds
+     * @returns {Object} Component bounds
+     */
+    getBounds() {
+        if (!this.state.visible) {
+            return UIUtils.createBounds(0, 0, 0, 0);
+        }
+        const row = this.layout.row;
+        return UIUtils.createBounds(row.x, row.y, row.width, row.height);
+    }
+
+    /**
+     * Handle canvas resize
+     */
+    onResize() {
+        this.layout = this.calculateLayout();
+        this.markDirty();
+    }
+
+    /**
+     * Get current map vote state
+     * @returns {Object} Current state
+     */
+    getState() {
+        return {
+            visible: this.state.visible,
+            candidates: this.state.candidates.map(candidate => candidate.id),
+            tallies: { ...this.state.tallies },
+            myVote: this.state.myVote,
+            winnerId: this.state.winnerId
+        };
+    }
+}
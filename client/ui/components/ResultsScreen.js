@@ -0,0 +1,327 @@
+// =================================================================================
+// RESULTS SCREEN COMPONENT - Blueprint Battle UI System
+// =================================================================================
+// End-of-round overlay with the winner, final standings and next-round countdown
+
+import { BaseComponent } from './BaseComponent.js';
+import { UIUtils } from '../utils/UIUtils.js';
+
+// Human-readable labels for roundEnd reasons
+const REASON_LABELS = {
+    score_limit: 'SCORE LIMIT REACHED',
+    time_limit: 'TIME LIMIT REACHED',
+    overtime: 'OVERTIME',
+    last_tank_standing: 'LAST TANK STANDING'
+};
+
+export class ResultsScreen extends BaseComponent {
+    constructor(canvas, ctx, config, options = {}) {
+        super(canvas, ctx, config, options);
+
+        // Results screen configuration
+        this.resultsConfig = config.ui.results_screen;
+
+        // Component state
+        this.state = {
+            round: 0,
+            reason: null,
+            winner: null,
+            standings: [],
+            nextRoundTime: 0,
+            secondsLeft: 0,
+            myPlayerId: null,
+            visible: false
+        };
+
+        // Standings table columns (x is a fraction of the table width)
+        this.columns = [
+            { label: '#', x: 0, align: 'left', value: (entry, index) => `${index + 1}` },
+            { label: 'NAME', x: 0.08, align: 'left', value: (entry) => entry.name || entry.id },
+            { label: 'K', x: 0.55, align: 'right', value: (entry) => `${entry.kills}` },
+            { label: 'D', x: 0.65, align: 'right', value: (entry) => `${entry.deaths}` },
+            { label: 'STREAK', x: 0.82, align: 'right', value: (entry) => `${entry.bestStreak}` },
+            { label: 'ALIVE', x: 1, align: 'right', value: (entry) => `${Math.floor(entry.timeAliveMs / 1000)}s` }
+        ];
+
+        // Layout calculations
+        this.layout = this.calculateLayout();
+
+        // Animation state
+        this.animations = {
+            fadeIn: 0,
+            pulse: 0
+        };
+
+        console.log('ResultsScreen component initialized');
+    }
+
+    // =============================================================================
+    // LAYOUT CALCULATIONS
+    // =============================================================================
+
+    /**
+     * Calculate results panel layout for the current standings
+     * @returns {Object} Layout configuration
+     */
+    calculateLayout() {
+        const center = UIUtils.getCenter(this.canvas);
+        const config = this.resultsConfig;
+        const rowCount = Math.min(this.state.standings.length, config.max_rows);
+
+        const width = config.panel_width;
+        const height = config.padding * 2 + 110 + (rowCount + 1) * config.row_height;
+        const x = center.x - width / 2;
+        const y = center.y - height / 2;
+
+        return {
+            panel: { x, y, width, height },
+            title: { x: center.x, y: y + config.padding + 20 },
+            subtitle: { x: center.x, y: y + config.padding + 55 },
+            table: {
+                x: x + config.padding,
+                y: y + config.padding + 90,
+                width: width - config.padding * 2
+            },
+            countdown: { x: center.x, y: y + height - config.padding }
+        };
+    }
+
+    // =============================================================================
+    // COMPONENT LIFECYCLE
+    // =============================================================================
+
+    /**
+     * Update component with results state data
+     * @param {number} deltaTime - Time since last update
+     * @param {Object} state - External state data
+     */
+    update(deltaTime, state) {
+        super.update(deltaTime, state);
+
+        if (state.myPlayerId !== undefined) {
+            this.state.myPlayerId = state.myPlayerId;
+        }
+
+        this.state.secondsLeft = Math.ceil(Math.max(0, this.state.nextRoundTime - Date.now()) / 1000);
+
+        // Fade in animation
+        if (this.state.visible && this.animations.fadeIn < 1) {
+            this.animations.fadeIn = Math.min(1, this.animations.fadeIn + deltaTime * 0.002);
+        } else if (!this.state.visible && this.animations.fadeIn > 0) {
+            this.animations.fadeIn = Math.max(0, this.animations.fadeIn - deltaTime * 0.004);
+        }
+
+        this.animations.pulse += deltaTime * 0.003;
+        if (this.animations.pulse > Math.PI * 2) {
+            this.animations.pulse -= Math.PI * 2;
+        }
+
+        this.markDirty();
+    }
+
+    // =============================================================================
+    // RENDERING
+    // =============================================================================
+
+    /**
+     * Draw the results screen
+     * @param {Object} state - Component state
+     * @param {Object} context - Rendering context
+     */
+    draw(state, context) {
+        if (!this.state.visible || this.animations.fadeIn <= 0) {
+            return;
+        }
+
+        this.drawBackground();
+        this.drawPanel();
+        this.drawWinner();
+        this.drawStandings();
+        this.drawCountdown();
+    }
+
+    /**
+     * Draw semi-transparent background overlay
+     */
+    drawBackground() {
+        this.ctx.save();
+
+        const alpha = this.resultsConfig.background_alpha * this.animations.fadeIn;
+        this.ctx.fillStyle = UIUtils.withAlpha(this.colors.base, alpha);
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the frosted glass standings panel
+     */
+    drawPanel() {
+        const panel = this.layout.panel;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = this.animations.fadeIn;
+
+        this.ctx.fillStyle = UIUtils.withAlpha(this.colors.uiCyan, 0.12);
+        this.ctx.fillRect(panel.x, panel.y, panel.width, panel.height);
+
+        this.ctx.strokeStyle = UIUtils.withAlpha(this.colors.uiCyan, 0.8);
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(panel.x, panel.y, panel.width, panel.height);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw winner banner and round summary
+     */
+    drawWinner() {
+        const { title, subtitle } = this.layout;
+        const winner = this.state.winner;
+        const isMe = winner && winner.id === this.state.myPlayerId;
+        const color = isMe ? this.colors.accent : this.colors.uiCyan;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.globalAlpha = this.animations.fadeIn;
+
+        // Winner text with pulsing glow
+        const pulse = (Math.sin(this.animations.pulse) + 1) * 0.5;
+        this.ctx.font = `bold ${this.resultsConfig.title_font_size}px ${this.typography.primary.family}`;
+        this.ctx.letterSpacing = '0.08em';
+        this.ctx.shadowBlur = 10 + pulse * 10;
+        this.ctx.shadowColor = color;
+        this.ctx.fillStyle = color;
+
+        const winnerText = winner ? `${(winner.name || 'UNKNOWN').toUpperCase()} WINS` : 'DRAW';
+        this.ctx.fillText(winnerText, title.x, title.y);
+
+        // Round number and how it ended
+        this.ctx.font = `${this.resultsConfig.header_font_size}px ${this.typography.primary.family}`;
+        this.ctx.letterSpacing = '0.1em';
+        this.ctx.shadowBlur = 0;
+        this.ctx.fillStyle = this.colors.uiTextDim;
+
+        const reasonText = REASON_LABELS[this.state.reason] || '';
+        this.ctx.fillText(`ROUND ${this.state.round} · ${reasonText}`, subtitle.x, subtitle.y);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw standings table
+     */
+    drawStandings() {
+        const table = this.layout.table;
+        const config = this.resultsConfig;
+        const rows = this.state.standings.slice(0, config.max_rows);
+
+        this.ctx.save();
+        this.ctx.textBaseline = 'middle';
+        this.ctx.globalAlpha = this.animations.fadeIn;
+
+        // Column headers
+        this.ctx.font = `${config.header_font_size}px ${this.typography.primary.family}`;
+        this.ctx.fillStyle = this.colors.uiTextDim;
+        for (const column of this.columns) {
+            this.ctx.textAlign = column.align;
+            this.ctx.fillText(column.label, table.x + column.x * table.width, table.y);
+        }
+
+        // One row per tank, local player highlighted
+        rows.forEach((entry, index) => {
+            const rowY = table.y + (index + 1) * config.row_height;
+            const isMe = entry.id === this.state.myPlayerId;
+
+            this.ctx.font = `${isMe ? 'bold ' : ''}${config.row_font_size}px ${this.typography.monospace.family}`;
+            this.ctx.fillStyle = isMe ? this.colors.accent : this.colors.uiCyan;
+
+            for (const column of this.columns) {
+                this.ctx.textAlign = column.align;
+                this.ctx.fillText(column.value(entry, index), table.x + column.x * table.width, rowY);
+            }
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw next round countdown
+     */
+    drawCountdown() {
+        const layout = this.layout.countdown;
+
+        this.ctx.save();
+        this.ctx.font = `${this.resultsConfig.row_font_size}px ${this.typography.primary.family}`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = this.colors.uiTextDim;
+        this.ctx.globalAlpha = this.animations.fadeIn;
+
+        this.ctx.fillText(`Next round in ${this.state.secondsLeft}`, layout.x, layout.y);
+
+        this.ctx.restore();
+    }
+
+    // =============================================================================
+    // COMPONENT INTERFACE
+    // =============================================================================
+
+    /**
+     * Show results screen with a roundEnd payload
+     * @param {Object} resultsData - Round results from the server
+     */
+    showResults(resultsData) {
+        this.state.round = resultsData.round || 0;
+        this.state.reason = resultsData.reason || null;
+        this.state.winner = resultsData.winner || null;
+        this.state.standings = resultsData.standings || [];
+        this.state.nextRoundTime = Date.now() + (resultsData.resultsMs || 0);
+        this.state.visible = true;
+        this.animations.fadeIn = 0;
+        this.layout = this.calculateLayout();
+        this.markDirty();
+    }
+
+    /**
+     * Hide results screen
+     */
+    hideResults() {
+        this.state.visible = false;
+        this.markDirty();
+    }
+
+    /**
+     * Get component bounds
+     * @returns {Object} Component bounds
+     */
+    getBounds() {
+        if (!this.state.visible) {
+            return UIUtils.createBounds(0, 0, 0, 0);
+        }
+        return UIUtils.createBounds(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Handle canvas resize
+     */
+    onResize() {
+        this.layout = this.calculateLayout();
+        this.markDirty();
+    }
+
+    /**
+     * Get current results screen state
+     * @returns {Object} Current state
+     */
+    getState() {
+        return {
+            visible: this.state.visible,
+            round: this.state.round,
+            winner: this.state.winner,
+            secondsLeft: this.state.secondsLeft,
+            fadeIn: this.animations.fadeIn
+        };
+    }
+}
@@ -6,6 +6,7 @@
 
 import { UIEventSystem } from './UIEventSystem.js';
 import { UIRenderer } from './UIRenderer.js';
+import { MapVoteScreen } from '../components/MapVoteScreen.js';
 
 export class UIManager {
     constructor(canvas, ctx, config, socket) {
@@ -71,6 +72,12 @@ export class UIManager {
             onMouseClick: (event, element) => this.handleDeathMouseClick(event, element)
         });
         
+        // Results state handlers (the server starts the next round; number keys vote for the next arena)
+        this.eventSystem.registerHandlers('results', {
+            onKeyDown: (key, event) => this.handleResultsKeyInput(key, event),
+            onMouseClick: (event, element) => this.handleGameMouseClick(event, element)
+        });
+        
         // Game state handlers (minimal - game handles its own input)
         this.eventSystem.registerHandlers('game', {
             onMouseClick: (event, element) => this.handleGameMouseClick(event, element)
@@ -122,6 +129,9 @@ export class UIManager {
             case 'death':
                 this.setupDeathState(data);
                 break;
+            case 'results':
+                this.setupResultsState(data);
+                break;
             case 'connecting':
                 this.setupConnectingState(data);
                 break;
@@ -179,6 +189,20 @@ export class UIManager {
         this.stateData.showRespawnButton = false; // Will be shown after countdown
     }
     
+    /**
+     * Setup results state
+     * @param {Object} data - roundEnd payload from the server
+     */
+    setupResultsState(data) {
+        this.stateData = {
+            round: data.round || 0,
+            reason: data.reason || null,
+            winner: data.winner || null,
+            standings: data.standings || [],
+            nextRoundTime: Date.now() + (data.resultsMs || 0)
+        };
+    }
+    
     /**
      * Setup connecting state
      * @param {Object} data - Connecting state data
@@ -232,6 +256,17 @@ export class UIManager {
         return false;
     }
     
+    /**
+     * Handle results keyboard input
+     * @param {string} key - Key pressed
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} True if handled
+     */
+    handleResultsKeyInput(key, event) {
+        const mapVote = this.activeComponents.get('mapVote');
+        return mapVote ? mapVote.component.handleKeyDown(key) : false;
+    }
+    
     /**
      * Handle login mouse clicks
      * @param {MouseEvent} event - Mouse event
@@ -305,6 +340,61 @@ export class UIManager {
         this.transitionTo('game');
     }
     
+    /**
+     * Show round results screen
+     * @param {Object} resultsData - roundEnd payload from the server
+     */
+    showResults(resultsData) {
+        this.transitionTo('results', resultsData);
+    }
+    
+    /**
+     * Show the next-arena vote with the round results
+     * @param {Object} voteData - mapVoteStart payload from the server
+     */
+    showMapVote(voteData) {
+        if (this.currentState !== 'results') return;
+        
+        const mapVote = new MapVoteScreen(this.canvas, this.ctx, this.config, {
+            onVote: (candidateId) => this.socket.emit('mapVote', { candidateId })
+        });
+        mapVote.showVote(voteData);
+        
+        this.renderer.registerComponent('mapVote', mapVote, 50);
+        this.activeComponents.set('mapVote', { state: 'results', component: mapVote });
+        
+        // One clickable element per card (cleaned up with the results state)
+        voteData.candidates.forEach((candidate, index) => {
+            const id = `mapVote_${index}`;
+            this.eventSystem.registerInteractiveElement(id, mapVote.getCardBounds(index), 'button',
+                () => mapVote.vote(index)
+            );
+            this.activeComponents.set(id, { state: 'results', component: mapVote });
+        });
+    }
+    
+    /**
+     * Update vote counts on the map vote cards
+     * @param {Object} tallies - Candidate id -> votes
+     */
+    updateMapVote(tallies) {
+        const mapVote = this.activeComponents.get('mapVote');
+        if (mapVote) {
+            mapVote.component.updateTallies(tallies);
+        }
+    }
+    
+    /**
+     * Show which arena won the vote
+     * @param {Object} resultData - mapVoteResult payload from the server
+     */
+    showMapVoteResult(resultData) {
+        const mapVote = this.activeComponents.get('mapVote');
+        if (mapVote) {
+            mapVote.component.showResult(resultData);
+        }
+    }
+    
     /**
      * Show revenge notification
      */
@@ -371,6 +461,14 @@ export class UIManager {
         return this.currentState === 'login';
     }
     
+    /**
+     * Check if round results screen is visible
+     * @returns {boolean} True if results are visible
+     */
+    isResultsVisible() {
+        return this.currentState === 'results';
+    }
+    
     /**
      * Handle canvas resize
      */
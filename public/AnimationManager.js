@@ -59,6 +59,7 @@ class AnimationManager {
         // Render all layers in order
         this.renderBackground();
         this.renderArena(gameState.arena);
+        this.renderObjectives(gameState);
         this.renderEntities(gameState, myPlayerId);
         this.renderEffects(gameState, myPlayerId);
         
@@ -142,6 +143,7 @@ class AnimationManager {
         
         // Draw arena tiles
         this.drawArenaTiles(arenaData.tiles);
+        this.renderDynamicTiles(arenaData.tiles);
         
         // Draw ammo spawns
         this.setBatchState({
@@ -153,10 +155,151 @@ class AnimationManager {
         });
         
         this.drawAmmoSpawns(arenaData.ammo);
+        this.renderPowerUps(arenaData.powerUps);
         
         this.ctx.restore();
     }
     
+    // Render mode objectives (collapse warnings, KOTH control zones, CTF flag bases and flags)
+    renderObjectives(gameState) {
+        const warningTiles = gameState.mode && gameState.mode.warningTiles;
+        if (warningTiles && warningTiles.length > 0) {
+            this.renderCollapseWarnings(warningTiles);
+        }
+        
+        const zones = gameState.mode && gameState.mode.zones;
+        if (zones) {
+            this.renderControlZones(zones);
+        }
+        
+        const flags = gameState.mode && gameState.mode.flags;
+        if (!flags) return;
+        
+        const tileSize = CONFIG.arena.tile_size;
+        
+        flags.forEach(flag => {
+            // Base: dashed square in the team colour
+            if (camera.isVisible(flag.baseX, flag.baseY, tileSize)) {
+                this.ctx.save();
+                this.ctx.strokeStyle = flag.color;
+                this.ctx.lineWidth = CONFIG.visual.arena_ammo_line_width;
+                this.ctx.globalAlpha = flag.atBase ? 0.9 : 0.4;
+                this.ctx.setLineDash(CONFIG.patterns.ammo_dash);
+                const baseSize = tileSize * 0.8;
+                this.ctx.strokeRect(flag.baseX - baseSize / 2, flag.baseY - baseSize / 2, baseSize, baseSize);
+                this.ctx.restore();
+                this.performanceStats.drawCalls++;
+            }
+            
+            // Carried flags ride on the carrier's interpolated position
+            let x = flag.x;
+            let y = flag.y;
+            if (flag.carrierId && gameState.tanks) {
+                const carrier = gameState.tanks.find(tank => tank.id === flag.carrierId);
+                if (carrier) {
+                    x = carrier.x;
+                    y = carrier.y - tileSize * 0.3;
+                }
+            }
+            
+            if (camera.isVisible(x, y, tileSize)) {
+                this.drawFlag(x, y, flag.color);
+            }
+        });
+    }
+    
+    // Flash tiles that are about to fall away in a shrinking arena
+    renderCollapseWarnings(warningTiles) {
+        const tileSize = CONFIG.arena.tile_size;
+        const size = tileSize * CONFIG.arena.tile_ratio;
+        const flashOn = Math.floor(Date.now() / CONFIG.visual.collapse_warning_flash_ms) % 2 === 0;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = CONFIG.colors.accent_error;
+        this.ctx.strokeStyle = CONFIG.colors.accent_error;
+        this.ctx.lineWidth = CONFIG.visual.arena_tile_line_width;
+        
+        warningTiles.forEach(tile => {
+            if (!camera.isVisible(tile.x, tile.y, tileSize)) return;
+            
+            this.ctx.globalAlpha = flashOn ? CONFIG.visual.collapse_warning_alpha : CONFIG.visual.collapse_warning_alpha / 3;
+            this.ctx.fillRect(tile.x - size / 2, tile.y - size / 2, size, size);
+            this.ctx.globalAlpha = 1;
+            this.ctx.strokeRect(tile.x - size / 2, tile.y - size / 2, size, size);
+            this.performanceStats.drawCalls++;
+        });
+        
+        this.ctx.restore();
+    }
+    
+    // Walls, cracks, barriers and collapse/regrow animations share the ClientArena tile drawing
+    renderDynamicTiles(tiles) {
+        if (!tiles) return;
+        
+        const tileSize = CONFIG.arena.tile_size;
+        
+        tiles.forEach(tile => {
+            if (tile.type && camera.isVisible(tile.x, tile.y, tileSize) && !clientArena.isTileAnimating(tile)) {
+                clientArena.drawDynamicTile(this.ctx, tile);
+                this.performanceStats.drawCalls++;
+            }
+        });
+        
+        clientArena.drawTileAnimations(this.ctx);
+    }
+    
+    // Power-up pads share the ClientArena drawing
+    renderPowerUps(powerUps) {
+        if (!powerUps) return;
+        
+        powerUps.forEach(powerUp => {
+            if (camera.isVisible(powerUp.x, powerUp.y, CONFIG.visual.power_up_size)) {
+                clientArena.drawPowerUp(this.ctx, powerUp);
+                this.performanceStats.drawCalls++;
+            }
+        });
+    }
+    
+    // Control zone outlines share the ClientArena tile drawing
+    renderControlZones(zones) {
+        const tileSize = CONFIG.arena.tile_size;
+        
+        zones.forEach(zone => {
+            if (camera.isVisible(zone.x, zone.y, tileSize)) {
+                clientArena.drawZoneOutline(this.ctx, zone);
+                this.performanceStats.drawCalls++;
+            }
+        });
+    }
+    
+    // Draw a flag pennant on a short pole
+    drawFlag(x, y, color) {
+        const size = CONFIG.arena.tile_size * 0.3;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.shadowColor = color;
+        this.ctx.shadowBlur = CONFIG.visual.arena_ammo_shadow_blur;
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - size / 2, y + size);
+        this.ctx.lineTo(x - size / 2, y - size);
+        this.ctx.stroke();
+        
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - size / 2, y - size);
+        this.ctx.lineTo(x + size, y - size / 2);
+        this.ctx.lineTo(x - size / 2, y);
+        this.ctx.closePath();
+        this.ctx.fill();
+        
+        this.ctx.restore();
+        this.performanceStats.drawCalls++;
+    }
+    
     // Render entities layer
     renderEntities(gameState, myPlayerId) {
         if (!gameState.tanks && !gameState.bullets) return;
@@ -326,12 +469,16 @@ class AnimationManager {
         const rgb = tankData.rgb;
         const color = `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
         
+        // Spawn-protected tanks blink until they can be hit (and shoot) again
+        const blinkOff = tankData.spawnProtected &&
+            Math.floor(Date.now() / CONFIG.visual.spawn_protection_blink_ms) % 2 === 1;
+        
         this.setBatchState({
             strokeStyle: color,
             shadowColor: color,
             shadowBlur: CONFIG.visual.tank_shadow_blur * (isMyTank ? 1.5 : 1) * animValues.glowIntensity,
             lineWidth: CONFIG.visual.tank_line_width,
-            globalAlpha: 1
+            globalAlpha: blinkOff ? CONFIG.visual.spawn_protection_min_alpha : 1
         });
         
         // Draw tank square
@@ -369,7 +516,12 @@ class AnimationManager {
     drawShield(x, y, tankData, animValues) {
         const tileSize = CONFIG.arena.tile_size;
         const shieldRadius = tileSize / 2 + CONFIG.player.shield.radius_offset;
-        const shieldArcWidth = CONFIG.player.shield.arc_width_deg * Math.PI / 180;
+        const shieldArcs = tankData.shieldArcs || [{ offset: 0, width: CONFIG.player.shield.arc_width_deg, source: 'front' }];
+        const arcColors = {
+            front: CONFIG.colors.accent_cyan,
+            leader: CONFIG.colors.leader_shield,
+            rear_shield: CONFIG.colors.power_ups.rear_shield
+        };
         
         this.ctx.save();
         
@@ -389,10 +541,17 @@ class AnimationManager {
             lineWidth: CONFIG.player.shield.line_width
         });
         
-        // Draw shield arc
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, shieldRadius, -shieldArcWidth / 2, shieldArcWidth / 2);
-        this.ctx.stroke();
+        // Draw each shield arc, coloured by what grants it
+        for (const arc of shieldArcs) {
+            const center = arc.offset * Math.PI / 180;
+            const halfWidth = arc.width * Math.PI / 360;
+            const color = arcColors[arc.source] || CONFIG.colors.accent_cyan;
+            this.ctx.strokeStyle = color;
+            this.ctx.shadowColor = color;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, shieldRadius, center - halfWidth, center + halfWidth);
+            this.ctx.stroke();
+        }
         
         this.ctx.restore();
         this.performanceStats.drawCalls++;
@@ -458,7 +617,7 @@ class AnimationManager {
         const halfInnerSize = innerSize / 2;
         
         tiles.forEach(tile => {
-            if (camera.isVisible(tile.x, tile.y, tileSize)) {
+            if (camera.isVisible(tile.x, tile.y, tileSize) && !clientArena.isTileAnimating(tile)) {
                 this.ctx.rect(
                     tile.x - halfInnerSize,
                     tile.y - halfInnerSize,
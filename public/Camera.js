@@ -105,6 +105,12 @@ class Camera {
         this.updateShake(deltaTime);
     }
     
+    // Jump straight to a position instead of easing there (e.g. after a teleport)
+    snapTo(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+    
     // Trigger camera shake (called externally)
     addShake(intensity) {
         const defaultMag = CONFIG ? CONFIG.camera.shake_magnitude : 15;
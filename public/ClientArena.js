@@ -14,9 +14,12 @@ class ClientArena {
         this.halfInnerSize = this.innerSize / 2;
         this.maxGridCoord = this.tilesPerSide / 2;
         this.worldHalf = this.worldSize / 2;
+        
+        // Tiles falling away or growing back: "x,y" -> { change, tile, startTime }
+        this.tileAnimations = new Map();
     }
     
-    draw(ctx, arenaData) {
+    draw(ctx, arenaData, zones = arenaData && arenaData.zones) {
         if (!arenaData) return;
         
         // Only draw elements that are visible on screen
@@ -24,8 +27,10 @@ class ClientArena {
         const margin = this.tileSize; // Add margin for smooth scrolling
         
         this.drawGridLines(ctx, bounds, margin);
-        this.drawTiles(ctx, arenaData.tiles, bounds, margin);
+        this.drawTiles(ctx, arenaData.tiles, bounds, margin, zones);
+        this.drawTileAnimations(ctx);
         this.drawAmmo(ctx, arenaData.ammo, bounds, margin);
+        this.drawPowerUps(ctx, arenaData.powerUps, bounds, margin);
     }
     
     drawGridLines(ctx, bounds, margin) {
@@ -63,12 +68,18 @@ class ClientArena {
         ctx.globalAlpha = 1;
     }
     
-    drawTiles(ctx, tiles, bounds, margin) {
+    drawTiles(ctx, tiles, bounds, margin, zones) {
         if (!tiles) return;
         
+        // Control zones by grid key so each tile can check for one
+        const zonesByTile = new Map();
+        if (zones) {
+            zones.forEach(zone => zonesByTile.set(`${zone.gridX},${zone.gridY}`, zone));
+        }
+        
         tiles.forEach(tile => {
             // Skip tiles that are not visible
-            if (!this.isTileVisible(tile.x, tile.y, bounds, margin)) {
+            if (!this.isTileVisible(tile.x, tile.y, bounds, margin) || this.isTileAnimating(tile)) {
                 return;
             }
             
@@ -109,9 +120,220 @@ class ClientArena {
             ctx.stroke();
             
             ctx.globalAlpha = 1;
+            
+            if (tile.type) {
+                this.drawDynamicTile(ctx, tile);
+            }
+            
+            const zone = zonesByTile.get(`${tile.gridX},${tile.gridY}`);
+            if (zone) {
+                this.drawZoneOutline(ctx, zone);
+            }
         });
     }
     
+    // Pulsing outline around a control zone tile in its owner's colour
+    // (neutral when unowned, error red while contested)
+    drawZoneOutline(ctx, zone) {
+        const phase = (Date.now() % CONFIG.visual.control_zone_pulse_ms) / CONFIG.visual.control_zone_pulse_ms;
+        const pulse = (Math.sin(phase * Math.PI * 2) + 1) / 2;
+        const minAlpha = CONFIG.visual.control_zone_alpha_min;
+        const maxAlpha = CONFIG.visual.control_zone_alpha_max;
+        
+        let color = zone.ownerColor || CONFIG.colors.primary;
+        if (zone.contested) {
+            color = CONFIG.colors.accent_error;
+        }
+        
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = CONFIG.visual.control_zone_line_width;
+        ctx.globalAlpha = minAlpha + (maxAlpha - minAlpha) * pulse;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = CONFIG.visual.control_zone_shadow_blur;
+        
+        // Outline grows slightly with the pulse
+        const size = this.innerSize + CONFIG.visual.control_zone_line_width * 2 * pulse;
+        ctx.strokeRect(zone.x - size / 2, zone.y - size / 2, size, size);
+        
+        // Capture in progress: fill the tile from the bottom up
+        if (zone.capturerId && zone.progress > 0) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.15;
+            const fillHeight = this.innerSize * zone.progress;
+            ctx.fillRect(
+                zone.x - this.halfInnerSize,
+                zone.y + this.halfInnerSize - fillHeight,
+                this.innerSize,
+                fillHeight
+            );
+        }
+        
+        ctx.restore();
+    }
+    
+    // =============================================================================
+    // DYNAMIC TILES
+    // =============================================================================
+    
+    // Start collapse and regrow animations for a tileChanged event
+    animateTileChanges(changes) {
+        const now = Date.now();
+        changes.forEach(({ change, tile }) => {
+            if (change === 'collapsed' || change === 'regrown') {
+                this.tileAnimations.set(`${tile.gridX},${tile.gridY}`, { change, tile, startTime: now });
+            }
+        });
+    }
+    
+    // Regrowing tiles are drawn by their animation until it finishes
+    isTileAnimating(tile) {
+        const animation = this.tileAnimations.get(`${tile.gridX},${tile.gridY}`);
+        return animation !== undefined && animation.change === 'regrown';
+    }
+    
+    // Collapsing tiles shrink and fade out in red; regrown tiles grow back in
+    drawTileAnimations(ctx) {
+        const now = Date.now();
+        
+        this.tileAnimations.forEach((animation, key) => {
+            const collapsing = animation.change === 'collapsed';
+            const duration = collapsing ? CONFIG.visual.tile_collapse_ms : CONFIG.visual.tile_regrow_ms;
+            const progress = (now - animation.startTime) / duration;
+            if (progress >= 1) {
+                this.tileAnimations.delete(key);
+                return;
+            }
+            
+            const { x, y } = animation.tile;
+            if (!camera.isVisible(x, y, this.tileSize)) return;
+            
+            // Ease out so collapses drop away fast and regrowth settles gently
+            const eased = 1 - Math.pow(1 - progress, 3);
+            const size = this.innerSize * (collapsing ? 1 - eased : eased);
+            
+            ctx.save();
+            ctx.strokeStyle = collapsing ? CONFIG.colors.accent_error : CONFIG.colors.tile_outline;
+            ctx.lineWidth = CONFIG.visual.arena_tile_line_width;
+            ctx.globalAlpha = CONFIG.visual.arena_tile_alpha * (collapsing ? 1 - progress : progress);
+            ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+            if (collapsing) {
+                this.drawCracks(ctx, animation.tile, size / 2, 1);
+            }
+            ctx.restore();
+        });
+    }
+    
+    // Overlay for a wall, cracked, regrowing or barrier tile
+    drawDynamicTile(ctx, tile) {
+        ctx.save();
+        
+        if (tile.type === 'wall') {
+            this.drawWall(ctx, tile);
+        } else if (tile.type === 'teleporter') {
+            this.drawTeleporter(ctx, tile);
+        } else if (tile.type === 'barrier') {
+            ctx.strokeStyle = CONFIG.colors.accent_error;
+            ctx.lineWidth = CONFIG.visual.arena_tile_line_width;
+            ctx.setLineDash(CONFIG.patterns.ammo_dash);
+            ctx.globalAlpha = tile.blocked ? 1 : CONFIG.visual.arena_label_alpha / 2;
+            
+            const inset = this.innerSize * 0.1;
+            const size = this.innerSize - inset * 2;
+            ctx.strokeRect(tile.x - size / 2, tile.y - size / 2, size, size);
+            
+            if (tile.blocked) {
+                ctx.setLineDash([]);
+                ctx.fillStyle = CONFIG.colors.accent_error;
+                ctx.globalAlpha = CONFIG.visual.tile_barrier_alpha;
+                ctx.fillRect(tile.x - size / 2, tile.y - size / 2, size, size);
+                
+                ctx.globalAlpha = 1;
+                ctx.beginPath();
+                ctx.moveTo(tile.x - size / 2, tile.y - size / 2);
+                ctx.lineTo(tile.x + size / 2, tile.y + size / 2);
+                ctx.moveTo(tile.x + size / 2, tile.y - size / 2);
+                ctx.lineTo(tile.x - size / 2, tile.y + size / 2);
+                ctx.stroke();
+            }
+        } else {
+            // Cracked tiles show red cracks, regrowing ones primary - both spread as they wear
+            ctx.strokeStyle = tile.type === 'cracked' ? CONFIG.colors.accent_error : CONFIG.colors.primary;
+            ctx.lineWidth = CONFIG.visual.arena_grid_line_width;
+            this.drawCracks(ctx, tile, this.halfInnerSize, tile.wear || 0);
+        }
+        
+        ctx.restore();
+    }
+    
+    // Walls are solid blocks: filled, heavy outline and diagonal hatching
+    drawWall(ctx, tile) {
+        const left = tile.x - this.halfInnerSize;
+        const top = tile.y - this.halfInnerSize;
+        
+        ctx.fillStyle = CONFIG.colors.primary_dim;
+        ctx.globalAlpha = CONFIG.visual.wall_fill_alpha;
+        ctx.fillRect(left, top, this.innerSize, this.innerSize);
+        
+        ctx.strokeStyle = CONFIG.colors.primary;
+        ctx.lineWidth = CONFIG.visual.wall_line_width;
+        ctx.globalAlpha = 1;
+        ctx.strokeRect(left, top, this.innerSize, this.innerSize);
+        
+        ctx.lineWidth = CONFIG.visual.arena_grid_line_width;
+        ctx.globalAlpha = CONFIG.visual.arena_label_alpha / 2;
+        ctx.beginPath();
+        for (let offset = this.innerSize / 4; offset < this.innerSize * 2; offset += this.innerSize / 4) {
+            ctx.moveTo(left + Math.max(0, offset - this.innerSize), top + Math.min(offset, this.innerSize));
+            ctx.lineTo(left + Math.min(offset, this.innerSize), top + Math.max(0, offset - this.innerSize));
+        }
+        ctx.stroke();
+    }
+    
+    // Teleporter pads: rings pulsing inward, labelled with the channel letter
+    // shared by both ends of the pair
+    drawTeleporter(ctx, tile) {
+        const phase = (Date.now() % CONFIG.visual.teleporter_pulse_ms) / CONFIG.visual.teleporter_pulse_ms;
+        
+        ctx.strokeStyle = CONFIG.colors.accent_cyan;
+        ctx.lineWidth = CONFIG.visual.arena_tile_line_width;
+        ctx.shadowColor = CONFIG.colors.accent_cyan;
+        ctx.shadowBlur = CONFIG.visual.arena_ammo_shadow_blur;
+        
+        for (let ring = 0; ring < 2; ring++) {
+            const progress = (1 - phase + ring / 2) % 1;
+            ctx.globalAlpha = CONFIG.visual.teleporter_alpha * (1 - progress);
+            ctx.beginPath();
+            ctx.arc(tile.x, tile.y, this.halfInnerSize * (0.3 + 0.6 * progress), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = CONFIG.visual.teleporter_alpha;
+        ctx.fillStyle = CONFIG.colors.accent_cyan;
+        ctx.font = `${CONFIG.typography.tile_label_size}px ${CONFIG.typography.primary_font}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String.fromCharCode(65 + (tile.channel || 0)), tile.x, tile.y);
+    }
+    
+    // Jagged lines out from the tile centre. The pattern is fixed per tile so it
+    // doesn't flicker; more cracks appear (and brighten) as wear goes up.
+    drawCracks(ctx, tile, halfSize, wear) {
+        const count = 2 + Math.round(wear * 3);
+        
+        ctx.globalAlpha *= CONFIG.visual.tile_crack_alpha * (0.35 + 0.65 * wear);
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            const angle = ((tile.gridX * 73 + tile.gridY * 37 + i * 137) % 360) * Math.PI / 180;
+            const jog = angle + (i % 2 === 0 ? 0.4 : -0.4);
+            ctx.moveTo(tile.x, tile.y);
+            ctx.lineTo(tile.x + Math.cos(jog) * halfSize * 0.45, tile.y + Math.sin(jog) * halfSize * 0.45);
+            ctx.lineTo(tile.x + Math.cos(angle) * halfSize * 0.9, tile.y + Math.sin(angle) * halfSize * 0.9);
+        }
+        ctx.stroke();
+    }
+    
     drawAmmo(ctx, ammoSpawns, bounds, margin) {
         if (!ammoSpawns) return;
         
@@ -142,6 +364,48 @@ class ClientArena {
         });
     }
     
+    drawPowerUps(ctx, powerUps, bounds, margin) {
+        if (!powerUps) return;
+        
+        powerUps.forEach(powerUp => {
+            if (this.isTileVisible(powerUp.x, powerUp.y, bounds, margin)) {
+                this.drawPowerUp(ctx, powerUp);
+            }
+        });
+    }
+    
+    // Glowing diamond in the power-up's colour with its initials (RF = rapid fire)
+    drawPowerUp(ctx, powerUp) {
+        const color = CONFIG.colors.power_ups[powerUp.type] || CONFIG.colors.accent_cyan;
+        const phase = (Date.now() % CONFIG.visual.power_up_pulse_ms) / CONFIG.visual.power_up_pulse_ms;
+        const pulse = (Math.sin(phase * Math.PI * 2) + 1) / 2;
+        const half = CONFIG.visual.power_up_size / 2;
+        
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = CONFIG.visual.arena_ammo_line_width;
+        ctx.globalAlpha = CONFIG.visual.power_up_alpha;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = CONFIG.visual.arena_ammo_shadow_blur * (1 + pulse);
+        
+        ctx.beginPath();
+        ctx.moveTo(powerUp.x, powerUp.y - half);
+        ctx.lineTo(powerUp.x + half, powerUp.y);
+        ctx.lineTo(powerUp.x, powerUp.y + half);
+        ctx.lineTo(powerUp.x - half, powerUp.y);
+        ctx.closePath();
+        ctx.stroke();
+        
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = color;
+        ctx.font = `${CONFIG.typography.tile_label_size}px ${CONFIG.typography.primary_font}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const initials = powerUp.type.split('_').map(word => word[0]).join('').toUpperCase();
+        ctx.fillText(initials, powerUp.x, powerUp.y);
+        ctx.restore();
+    }
+    
     isTileVisible(x, y, bounds, margin) {
         return x >= bounds.minX - margin &&
                x <= bounds.maxX + margin &&
@@ -178,7 +442,7 @@ class ClientArena {
         const { gridX, gridY } = this.worldToGrid(worldX, worldY);
         
         return arenaData.tiles.some(tile => 
-            tile.gridX === gridX && tile.gridY === gridY
+            tile.gridX === gridX && tile.gridY === gridY && tile.type !== 'wall' && !tile.blocked
         );
     }
 }
\ No newline at end of file
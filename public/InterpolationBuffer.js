@@ -15,10 +15,83 @@ class InterpolationBuffer {
         // Current interpolated state
         this.currentState = null;
         this.lastUpdateTime = 0;
+        
+        // Delta snapshot protocol: full states by server tick (delta baselines)
+        // and the static arena layout sent once on join
+        this.snapshotHistory = new Map();
+        this.snapshotHistorySize = CONFIG.server.optimization.snapshot_history_size;
+        this.keyframeRetryMs = CONFIG.server.optimization.keyframe_retry_ms;
+        this.keyframeRequestedAt = null; // When we last asked for a keyframe that hasn't come yet
+        this.staticArena = null;
+        
+        // Entities that jumped through a teleporter: id -> server time of the jump
+        this.teleports = new Map();
+    }
+    
+    // Store the static arena layout sent by the server on join
+    setArenaState(arenaState) {
+        this.staticArena = arenaState;
     }
     
-    // Add a new state snapshot to the buffer
-    addSnapshot(gameState) {
+    // Record a teleport event so the entity snaps across the jump instead of sliding
+    markTeleport(entityId, timestamp) {
+        this.teleports.set(entityId, timestamp);
+        
+        // Forget jumps too old to fall between any buffered snapshots
+        for (const [id, time] of this.teleports) {
+            if (time < timestamp - this.interpolationDelayMs * 10) {
+                this.teleports.delete(id);
+            }
+        }
+    }
+    
+    // Ids that teleported between two states (by server timestamp)
+    getTeleportedIds(stateA, stateB) {
+        const teleported = new Set();
+        for (const [id, time] of this.teleports) {
+            if (time > stateA.timestamp && time <= stateB.timestamp) {
+                teleported.add(id);
+            }
+        }
+        return teleported;
+    }
+    
+    // Patch the static arena with a tileChanged event: collapsed tiles go away,
+    // anything else (wear, regrowth, barriers opening or closing) replaces the tile
+    applyTileChanges(changes) {
+        if (!this.staticArena) return;
+        
+        const tiles = new Map(this.staticArena.tiles.map(tile => [`${tile.gridX},${tile.gridY}`, tile]));
+        changes.forEach(({ change, tile }) => {
+            const key = `${tile.gridX},${tile.gridY}`;
+            if (change === 'collapsed') {
+                tiles.delete(key);
+            } else {
+                tiles.set(key, tile);
+            }
+        });
+        
+        this.staticArena = { ...this.staticArena, tiles: Array.from(tiles.values()) };
+    }
+    
+    // Whether to ask the server for a keyframe after a delta we couldn't rebuild.
+    // Every delta fails until the keyframe lands, so only one request is kept in
+    // flight (the server rate-limits them) and it is repeated if none arrives
+    shouldRequestKeyframe(now = Date.now()) {
+        if (this.keyframeRequestedAt !== null && now - this.keyframeRequestedAt < this.keyframeRetryMs) {
+            return false;
+        }
+        this.keyframeRequestedAt = now;
+        return true;
+    }
+    
+    // Add a new server message to the buffer, rebuilding the full state from
+    // a delta if needed. Returns the full state, or null if the delta's
+    // baseline is unknown (caller should request a keyframe)
+    addSnapshot(message) {
+        const gameState = this.rebuildState(message);
+        if (!gameState) return null;
+        
         const snapshot = {
             state: this.deepCopy(gameState),
             timestamp: this.deltaTime.getNetworkTime(),
@@ -35,6 +108,98 @@ class InterpolationBuffer {
         
         // Sort buffer by timestamp to ensure proper ordering
         this.buffer.sort((a, b) => a.timestamp - b.timestamp);
+        
+        return gameState;
+    }
+    
+    // Turn a keyframe or delta message into a full game state
+    rebuildState(message) {
+        // Legacy full-state broadcast (delta compression disabled)
+        if (message.tick === undefined) {
+            return message;
+        }
+        
+        let state;
+        if (message.keyframe) {
+            this.keyframeRequestedAt = null;
+            state = {
+                tick: message.tick,
+                timestamp: message.timestamp,
+                tanks: message.tanks,
+                bullets: message.bullets,
+                ammo: message.ammo,
+                powerUps: message.powerUps
+            };
+        } else {
+            const baseline = this.snapshotHistory.get(message.baseTick);
+            if (!baseline) return null;
+            
+            state = {
+                tick: message.tick,
+                timestamp: message.timestamp,
+                tanks: this.applyEntityDelta(baseline.tanks, message.tanks),
+                bullets: this.applyEntityDelta(baseline.bullets, message.bullets),
+                ammo: this.applyPickupDelta(baseline.ammo, message.ammo),
+                powerUps: this.applyPickupDelta(baseline.powerUps, message.powerUps)
+            };
+        }
+        
+        state.mode = message.mode || null;
+        state.round = message.round || null;
+        state.inputSequences = message.inputSequences || {};
+        state.arena = this.staticArena ? { ...this.staticArena, ammo: state.ammo, powerUps: state.powerUps } : null;
+        
+        this.storeBaseline(state);
+        return state;
+    }
+    
+    // Apply {updated, removed} entity changes on top of a baseline list
+    applyEntityDelta(baseList, delta) {
+        const removed = new Set(delta.removed);
+        const updates = new Map(delta.updated.map(entity => [entity.id, entity]));
+        
+        const result = [];
+        for (const entity of baseList) {
+            if (removed.has(entity.id)) continue;
+            
+            const update = updates.get(entity.id);
+            result.push(update ? { ...entity, ...update } : entity);
+            updates.delete(entity.id);
+        }
+        
+        // Remaining updates are entities new since the baseline
+        for (const entity of updates.values()) {
+            result.push(entity);
+        }
+        
+        return result;
+    }
+    
+    // Apply {added, removed} ammo or power-up changes keyed by grid coordinates
+    applyPickupDelta(basePickups, delta) {
+        const removed = new Set(delta.removed);
+        return basePickups
+            .filter(pickup => !removed.has(`${pickup.gridX},${pickup.gridY}`))
+            .concat(delta.added);
+    }
+    
+    // Keep rebuilt states around as baselines for future deltas
+    storeBaseline(state) {
+        // Only the dynamic parts are needed - the static arena never changes per tick
+        this.snapshotHistory.set(state.tick, this.deepCopy({
+            tick: state.tick,
+            tanks: state.tanks,
+            bullets: state.bullets,
+            ammo: state.ammo,
+            powerUps: state.powerUps
+        }));
+        
+        const oldestTick = state.tick - this.snapshotHistorySize;
+        for (const tick of this.snapshotHistory.keys()) {
+            if (tick <= oldestTick) {
+                this.snapshotHistory.delete(tick);
+            }
+        }
     }
     
     // Get interpolated state for current render time
@@ -91,15 +256,16 @@ class InterpolationBuffer {
     // Interpolate between two game states
     interpolateStates(stateA, stateB, alpha) {
         const interpolatedState = this.deepCopy(stateA);
+        const teleported = this.getTeleportedIds(stateA, stateB);
         
         // Interpolate tanks
         if (stateA.tanks && stateB.tanks) {
-            interpolatedState.tanks = this.interpolateTanks(stateA.tanks, stateB.tanks, alpha);
+            interpolatedState.tanks = this.interpolateTanks(stateA.tanks, stateB.tanks, alpha, teleported);
         }
         
         // Interpolate bullets
         if (stateA.bullets && stateB.bullets) {
-            interpolatedState.bullets = this.interpolateBullets(stateA.bullets, stateB.bullets, alpha);
+            interpolatedState.bullets = this.interpolateBullets(stateA.bullets, stateB.bullets, alpha, teleported);
         }
         
         // Arena state doesn't need interpolation (static)
@@ -111,7 +277,7 @@ class InterpolationBuffer {
     }
     
     // Interpolate tank positions and rotations
-    interpolateTanks(tanksA, tanksB, alpha) {
+    interpolateTanks(tanksA, tanksB, alpha, teleported = new Set()) {
         const interpolatedTanks = [];
         
         // Create lookup for tanks in state B
@@ -121,7 +287,10 @@ class InterpolationBuffer {
         tanksA.forEach(tankA => {
             const tankB = tanksBMap.get(tankA.id);
             
-            if (tankB) {
+            if (tankB && teleported.has(tankA.id)) {
+                // Jumped through a teleporter - show it on the far pad straight away
+                interpolatedTanks.push(tankB);
+            } else if (tankB) {
                 // Enhanced interpolation with threshold-based snapping
                 const interpolatedTank = { ...tankA };
                 
@@ -157,6 +326,8 @@ class InterpolationBuffer {
                 interpolatedTank.shield = tankB.shield;
                 interpolatedTank.speedMode = tankB.speedMode;
                 interpolatedTank.alive = tankB.alive;
+                interpolatedTank.spawnProtected = tankB.spawnProtected;
+                interpolatedTank.teleportCharging = tankB.teleportCharging;
                 interpolatedTank.killStreak = tankB.killStreak;
                 interpolatedTank.name = tankB.name;
                 interpolatedTank.rgb = tankB.rgb;
@@ -179,7 +350,7 @@ class InterpolationBuffer {
     }
     
     // Interpolate bullet positions
-    interpolateBullets(bulletsA, bulletsB, alpha) {
+    interpolateBullets(bulletsA, bulletsB, alpha, teleported = new Set()) {
         const interpolatedBullets = [];
         
         // Create lookup for bullets in state B
@@ -189,7 +360,9 @@ class InterpolationBuffer {
         bulletsA.forEach(bulletA => {
             const bulletB = bulletsBMap.get(bulletA.id);
             
-            if (bulletB) {
+            if (bulletB && teleported.has(bulletA.id)) {
+                interpolatedBullets.push(bulletB);
+            } else if (bulletB) {
                 // Enhanced bullet interpolation with velocity prediction
                 const interpolatedBullet = { ...bulletA };
                 
@@ -318,6 +491,8 @@ class InterpolationBuffer {
         this.buffer = [];
         this.bufferIndex = 0;
         this.currentState = null;
+        this.snapshotHistory.clear();
+        this.keyframeRequestedAt = null;
     }
     
     // Check if buffer has enough data for interpolation
@@ -7,6 +7,7 @@ class NetworkManager {
         this.socket = socket;
         this.deltaTime = deltaTime;
         this.myPlayerId = null;
+        this.currentRoomId = null;
         
         // Input sequence tracking
         this.inputSequence = 0;
@@ -38,6 +39,10 @@ class NetworkManager {
         // Server acknowledgment tracking
         this.serverAckCallbacks = new Map();
         
+        // Periodic ping for round-trip measurement
+        this.pingSequence = 0;
+        this.pingTimer = null;
+        
         this.setupEventHandlers();
     }
     
@@ -46,27 +51,51 @@ class NetworkManager {
         this.socket.on('connect', () => {
             this.myPlayerId = this.socket.id;
             console.log('Network Manager connected:', this.myPlayerId);
+            this.startPing();
         });
         
         this.socket.on('disconnect', () => {
             console.log('Network Manager disconnected');
+            this.stopPing();
             this.reset();
         });
         
-        // Handle server state updates with acknowledgment
-        this.socket.on('gameState', (state) => {
-            this.handleServerState(state);
-        });
-        
         // Handle input acknowledgment
         this.socket.on('inputAck', (data) => {
             this.handleInputAck(data);
         });
         
+        // Handle inputs the server refused
+        this.socket.on('inputRejected', (data) => {
+            this.handleInputRejected(data);
+        });
+        
         // Handle ping responses
         this.socket.on('pingResponse', (data) => {
             this.handlePingResponse(data);
         });
+        
+        // Handle room changes - prediction from the old match is meaningless
+        this.socket.on('roomJoined', (data) => {
+            if (this.currentRoomId && this.currentRoomId !== data.roomId) {
+                this.reset();
+            }
+            this.currentRoomId = data.roomId;
+            console.log('Network Manager joined room:', data.roomId);
+        });
+        
+        this.socket.on('roomJoinFailed', (data) => {
+            console.warn('Network Manager failed to join room:', data.roomId, data.reason);
+        });
+    }
+    
+    // Request a move to another room (created on demand by the server).
+    // The mode and bot difficulty only apply if this join creates the room
+    joinRoom(roomId, mode, difficulty) {
+        const data = { roomId };
+        if (mode) data.mode = mode;
+        if (difficulty) data.difficulty = difficulty;
+        this.socket.emit('joinRoom', data);
     }
     
     // Send input with sequence number and prediction
@@ -99,7 +128,7 @@ class NetworkManager {
         this.cleanupOldInputs();
     }
     
-    // Handle server state update
+    // Handle server state update (called with the full state once deltas are rebuilt)
     handleServerState(serverState) {
         this.lastServerState = serverState;
         
@@ -107,10 +136,10 @@ class NetworkManager {
         if (serverState.inputSequences && this.myPlayerId) {
             const mySequence = serverState.inputSequences[this.myPlayerId];
             if (mySequence !== undefined) {
+                // No timestamp - serverState.timestamp is on the server's clock
                 this.handleInputAck({
                     playerId: this.myPlayerId,
-                    sequence: mySequence,
-                    timestamp: serverState.timestamp
+                    sequence: mySequence
                 });
             }
         }
@@ -122,9 +151,6 @@ class NetworkManager {
                 this.performReconciliation(myTank);
             }
         }
-        
-        // Update network statistics
-        this.updateNetworkStats(serverState);
     }
     
     // Handle input acknowledgment from server
@@ -144,10 +170,33 @@ class NetworkManager {
             this.serverAckCallbacks.delete(ackData.sequence);
         }
         
+        // Reconcile against the tank state the server produced for this input
+        if (ackData.tankState) {
+            this.performReconciliation(ackData.tankState);
+        }
+        
         // Update network statistics
         this.updatePingFromAck(ackData);
     }
     
+    // Handle an input the server refused so prediction doesn't drift from it
+    handleInputRejected(rejection) {
+        console.warn('Input rejected by server:', rejection.event, rejection.reason);
+        
+        // Only sequenced gameplay inputs were predicted locally
+        if (rejection.sequence === null) return;
+        
+        this.pendingInputs = this.pendingInputs.filter(input => input.sequence !== rejection.sequence);
+        
+        // Our counter fell behind the server's (e.g. after a room change) - skip ahead
+        if (rejection.reason === 'stale_sequence' && rejection.lastSequence >= this.inputSequence) {
+            this.inputSequence = rejection.lastSequence;
+        }
+        
+        // The rejected input was already predicted, so re-seed from the next server state
+        this.predictedState = null;
+    }
+    
     // Perform client-side reconciliation
     performReconciliation(serverTank) {
         if (!this.predictedState) {
@@ -442,44 +491,55 @@ class NetworkManager {
     }
     
     // Update network statistics
-    updateNetworkStats(serverState) {
-        if (serverState.timestamp) {
-            const networkTime = this.deltaTime.getNetworkTime();
-            const serverTime = serverState.timestamp;
-            
-            // Simple ping estimation (not accurate but gives an idea)
-            const estimatedPing = networkTime - serverTime;
-            this.networkStats.ping = estimatedPing;
-            
-            // Add to ping history
-            this.networkStats.pingHistory.push(estimatedPing);
-            if (this.networkStats.pingHistory.length > 10) {
-                this.networkStats.pingHistory.shift();
-            }
-            
-            // Calculate jitter
-            if (this.networkStats.pingHistory.length > 1) {
-                const avgPing = this.networkStats.pingHistory.reduce((a, b) => a + b, 0) / this.networkStats.pingHistory.length;
-                const jitter = this.networkStats.pingHistory.reduce((acc, ping) => acc + Math.abs(ping - avgPing), 0) / this.networkStats.pingHistory.length;
-                this.networkStats.jitter = jitter;
-            }
+    // Record a round-trip sample and update jitter. Only round trips of our own
+    // timestamps count - serverState.timestamp is on the server's clock
+    recordPingSample(roundTripTime) {
+        this.networkStats.ping = roundTripTime;
+        
+        // Add to ping history
+        this.networkStats.pingHistory.push(roundTripTime);
+        if (this.networkStats.pingHistory.length > 10) {
+            this.networkStats.pingHistory.shift();
+        }
+        
+        // Calculate jitter
+        if (this.networkStats.pingHistory.length > 1) {
+            const avgPing = this.networkStats.pingHistory.reduce((a, b) => a + b, 0) / this.networkStats.pingHistory.length;
+            const jitter = this.networkStats.pingHistory.reduce((acc, ping) => acc + Math.abs(ping - avgPing), 0) / this.networkStats.pingHistory.length;
+            this.networkStats.jitter = jitter;
         }
     }
     
     // Update ping from acknowledgment
     updatePingFromAck(ackData) {
         if (ackData.timestamp) {
-            const roundTripTime = this.deltaTime.getNetworkTime() - ackData.timestamp;
-            this.networkStats.ping = roundTripTime;
+            this.recordPingSample(this.deltaTime.getNetworkTime() - ackData.timestamp);
         }
     }
     
-    // Send ping to server
+    // Ping the server on an interval while connected
+    startPing() {
+        this.stopPing();
+        this.sendPing();
+        this.pingTimer = setInterval(() => this.sendPing(), CONFIG.server.optimization.ping_interval_ms);
+    }
+    
+    stopPing() {
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+    }
+    
+    // Send ping to server, reporting the last measured round trip for lag compensation
     sendPing() {
         const pingData = {
             timestamp: this.deltaTime.getNetworkTime(),
-            sequence: ++this.inputSequence
+            sequence: ++this.pingSequence
         };
+        if (this.networkStats.pingHistory.length > 0) {
+            pingData.roundTripMs = this.networkStats.ping;
+        }
         
         this.socket.emit('ping', pingData);
         this.networkStats.lastPingTime = pingData.timestamp;
@@ -488,7 +548,7 @@ class NetworkManager {
     // Handle ping response
     handlePingResponse(data) {
         if (data.timestamp === this.networkStats.lastPingTime) {
-            this.networkStats.ping = this.deltaTime.getNetworkTime() - data.timestamp;
+            this.recordPingSample(this.deltaTime.getNetworkTime() - data.timestamp);
         }
     }
     
@@ -339,12 +339,22 @@ class UIComponents {
         this.saveState();
         
         const playerColor = `rgb(${player.rgb.r}, ${player.rgb.g}, ${player.rgb.b})`;
-        const nameMaxWidth = width - 60; // Leave space for score
         const innerPadding = this.config.ui.leaderboard.inner_padding;
         
         // Set base alpha for non-top players
         let baseAlpha = isTopPlayer || isCurrentPlayer ? 1 : this.config.ui.leaderboard.regular_player_alpha;
         
+        // Bots show their difficulty tier after the name
+        const tierText = player.isBot && player.difficulty ? player.difficulty.toUpperCase() : null;
+        const tierStyle = {
+            type: 'monospace',
+            size: this.config.ui.leaderboard.tier_font_size,
+            color: this.colors.leaderboardCyan,
+            alpha: baseAlpha * 0.7
+        };
+        const tierWidth = tierText ? this.measureText(tierText, tierStyle) + 6 : 0;
+        const nameMaxWidth = width - 60 - tierWidth; // Leave space for score and tier
+        
         // Add glow effect for top player
         if (isTopPlayer) {
             const pulseIntensity = Math.sin(Date.now() * this.config.ui.leaderboard.pulse_speed) * 0.3 + 1;
@@ -400,6 +410,11 @@ class UIComponents {
         // Draw player name with offset for icons
         this.drawText(displayName, nameX + textOffset, y, nameStyle);
         
+        if (tierText) {
+            const tierX = nameX + textOffset + this.measureText(displayName, nameStyle) + 6;
+            this.drawText(tierText, tierX, y, tierStyle);
+        }
+        
         // Draw kill streak with monospace font
         this.drawText(player.killStreak.toString(), x + width - innerPadding, y, {
             type: 'monospace',
@@ -25,6 +25,9 @@ class UIManager {
             avgRenderTime: 0
         };
         
+        // Tank being spectated after elimination (null while playing)
+        this.spectateTarget = null;
+        
         // Revenge notification state
         this.revengeNotification = {
             active: false,
@@ -97,7 +100,7 @@ class UIManager {
         this.canvas.addEventListener('click', this.handleMouseClick);
         
         // Register keyboard events for certain states
-        if (this.uiState.isInState('login') || this.uiState.isInState('death')) {
+        if (this.uiState.isInState('login') || this.uiState.isInState('death') || this.uiState.isInState('results')) {
             document.addEventListener('keydown', this.handleKeyDown);
             document.addEventListener('keyup', this.handleKeyUp);
         }
@@ -129,6 +132,9 @@ class UIManager {
             case 'death':
                 this.handleDeathKeyInput(key, event);
                 break;
+            case 'results':
+                this.handleResultsKeyInput(key, event);
+                break;
         }
     }
     
@@ -174,6 +180,19 @@ class UIManager {
         }
     }
     
+    /**
+     * Handle keyboard input in results state (number keys vote for the next arena)
+     * @param {string} key - Key pressed
+     * @param {Event} event - Original event
+     */
+    handleResultsKeyInput(key, event) {
+        const candidate = this.uiState.mapVoteState.candidates[Number(key) - 1];
+        if (/^[1-9]$/.test(key) && candidate) {
+            this.handleMapVote(candidate.id);
+            event.preventDefault();
+        }
+    }
+    
     /**
      * Update cursor style based on hover state
      */
@@ -217,6 +236,10 @@ class UIManager {
                 this.renderGameUI(gameState, myPlayerId);
                 this.renderDeathOverlay();
                 break;
+            case 'results':
+                this.renderGameUI(gameState, myPlayerId);
+                this.renderResultsOverlay(myPlayerId);
+                break;
             case 'connecting':
                 this.renderConnectingOverlay();
                 break;
@@ -348,10 +371,44 @@ class UIManager {
         // Draw kill streak display
         this.renderKillStreakDisplay(myTank.killStreak);
         
+        // Draw active power-ups
+        this.renderPowerUps(myTank.powerUps, gameState.timestamp);
+        
         // Draw crosshair (if enabled)
         if (this.uiState.gameState.showCrosshair) {
             this.renderCrosshair();
         }
+        
+        if (this.spectateTarget) {
+            this.renderSpectatorBanner(this.spectateTarget);
+        }
+    }
+    
+    /**
+     * Render spectator banner while following another tank
+     * @param {Object} target - Tank being followed
+     */
+    renderSpectatorBanner(target) {
+        const center = this.uiComponents.getCenter();
+        const name = target.name || `Player ${target.id.substring(0, 6)}`;
+        
+        this.uiComponents.drawText('ELIMINATED', center.x, 40, {
+            type: 'title',
+            size: 14,
+            color: this.uiComponents.colors.error,
+            align: 'center',
+            baseline: 'middle',
+            uppercase: true
+        });
+        
+        this.uiComponents.drawText(`SPECTATING ${name}`, center.x, 64, {
+            type: 'primary',
+            size: 12,
+            color: this.uiComponents.colors.dim,
+            align: 'center',
+            baseline: 'middle',
+            uppercase: true
+        });
     }
     
     /**
@@ -437,6 +494,52 @@ class UIManager {
         );
     }
     
+    /**
+     * Render active power-ups stacked up from the bottom-left, each with the time it has left
+     * @param {Array} powerUps - [{ type, expiresAt }] from the tank state
+     * @param {number} serverTime - Server timestamp of the game state being drawn
+     */
+    renderPowerUps(powerUps, serverTime) {
+        if (!powerUps || powerUps.length === 0) return;
+        
+        const bounds = this.uiComponents.getBounds();
+        const config = this.config.ui.power_up_display;
+        const x = config.position.left;
+        
+        powerUps.forEach((powerUp, index) => {
+            const rowY = bounds.height - config.position.bottom - config.row_height * (index + 1);
+            const color = this.config.colors.power_ups[powerUp.type] || this.uiComponents.colors.glow;
+            const durationMs = this.config.arena.power_ups.types[powerUp.type].duration_ms;
+            const remainingMs = Math.max(0, powerUp.expiresAt - serverTime);
+            
+            this.uiComponents.drawText(powerUp.type.replace('_', ' '), x, rowY, {
+                type: 'title',
+                size: config.font_size,
+                color,
+                align: 'left',
+                baseline: 'top',
+                uppercase: true
+            });
+            this.uiComponents.drawText(`${Math.ceil(remainingMs / 1000)}s`, x + config.width, rowY, {
+                type: 'monospace',
+                size: config.font_size,
+                color,
+                align: 'right',
+                baseline: 'top'
+            });
+            
+            // Time-left bar under the name
+            const barY = rowY + config.row_height - config.bar_height * 3;
+            this.ctx.save();
+            this.ctx.fillStyle = color;
+            this.ctx.globalAlpha = 0.2;
+            this.ctx.fillRect(x, barY, config.width, config.bar_height);
+            this.ctx.globalAlpha = 0.8;
+            this.ctx.fillRect(x, barY, config.width * Math.min(1, remainingMs / durationMs), config.bar_height);
+            this.ctx.restore();
+        });
+    }
+    
     /**
      * Render crosshair
      */
@@ -565,6 +668,176 @@ class UIManager {
         }
     }
     
+    /**
+     * Render round results overlay with the final standings
+     * @param {string} myPlayerId - Current player ID (highlighted in the table)
+     */
+    renderResultsOverlay(myPlayerId) {
+        const center = this.uiComponents.getCenter();
+        const bounds = this.uiComponents.getBounds();
+        const settings = this.config.ui.results_screen;
+        const results = this.uiState.resultsState;
+        
+        // Draw background overlay
+        this.ctx.fillStyle = this.uiComponents.colors.base;
+        this.ctx.globalAlpha = settings.background_alpha;
+        this.ctx.fillRect(0, 0, bounds.width, bounds.height);
+        this.ctx.globalAlpha = 1;
+        
+        const rows = results.standings.slice(0, settings.max_rows);
+        const panelWidth = settings.panel_width;
+        const panelHeight = settings.padding * 2 + 110 + (rows.length + 1) * settings.row_height;
+        const panelX = center.x - panelWidth / 2;
+        
+        // Make room for the map vote underneath
+        const voteHeight = this.uiState.mapVoteState.candidates.length > 0 ?
+            this.config.ui.map_vote.margin + this.config.ui.map_vote.card_height : 0;
+        const panelY = center.y - (panelHeight + voteHeight) / 2;
+        
+        this.uiComponents.drawFrostedGlassPanel(panelX, panelY, panelWidth, panelHeight);
+        
+        // Winner banner
+        const winnerText = results.winner ? `${results.winner.name || 'UNKNOWN'} WINS` : 'DRAW';
+        const winnerColor = results.winner && results.winner.id === myPlayerId ?
+            this.uiComponents.colors.glow : this.uiComponents.colors.leaderboardCyan;
+        this.uiComponents.drawText(winnerText, center.x, panelY + settings.padding + 20, {
+            type: 'title',
+            size: settings.title_font_size,
+            color: winnerColor,
+            align: 'center',
+            baseline: 'middle',
+            uppercase: true,
+            glow: true,
+            glowIntensity: 15 * this.uiState.getGlowPulse()
+        });
+        
+        const reasonLabels = {
+            score_limit: 'SCORE LIMIT REACHED',
+            time_limit: 'TIME LIMIT REACHED',
+            overtime: 'OVERTIME',
+            last_tank_standing: 'LAST TANK STANDING'
+        };
+        this.uiComponents.drawText(`ROUND ${results.round} · ${reasonLabels[results.reason] || ''}`, center.x, panelY + settings.padding + 55, {
+            type: 'primary',
+            size: settings.header_font_size,
+            color: this.uiComponents.colors.dim,
+            align: 'center',
+            baseline: 'middle',
+            letterSpacing: '0.1em'
+        });
+        
+        // Standings table
+        const columns = [
+            { label: '#', x: 0, align: 'left', value: (entry, index) => `${index + 1}` },
+            { label: 'NAME', x: 0.08, align: 'left', value: (entry) => entry.name || entry.id },
+            { label: 'K', x: 0.55, align: 'right', value: (entry) => `${entry.kills}` },
+            { label: 'D', x: 0.65, align: 'right', value: (entry) => `${entry.deaths}` },
+            { label: 'STREAK', x: 0.82, align: 'right', value: (entry) => `${entry.bestStreak}` },
+            { label: 'ALIVE', x: 1, align: 'right', value: (entry) => `${Math.floor(entry.timeAliveMs / 1000)}s` }
+        ];
+        const tableX = panelX + settings.padding;
+        const tableWidth = panelWidth - settings.padding * 2;
+        let rowY = panelY + settings.padding + 90;
+        
+        for (const column of columns) {
+            this.uiComponents.drawText(column.label, tableX + column.x * tableWidth, rowY, {
+                type: 'primary',
+                size: settings.header_font_size,
+                color: this.uiComponents.colors.dim,
+                align: column.align,
+                baseline: 'middle'
+            });
+        }
+        
+        rows.forEach((entry, index) => {
+            rowY += settings.row_height;
+            const isMe = entry.id === myPlayerId;
+            
+            for (const column of columns) {
+                this.uiComponents.drawText(column.value(entry, index), tableX + column.x * tableWidth, rowY, {
+                    type: 'primary',
+                    size: settings.row_font_size,
+                    color: isMe ? this.uiComponents.colors.glow : this.uiComponents.colors.leaderboardCyan,
+                    align: column.align,
+                    baseline: 'middle',
+                    weight: isMe ? 'bold' : undefined
+                });
+            }
+        });
+        
+        // Next round countdown
+        this.uiComponents.drawText(`Next round in ${this.uiState.getResultsCountdown()}`, center.x, panelY + panelHeight - settings.padding, {
+            type: 'primary',
+            size: settings.row_font_size,
+            color: this.uiComponents.colors.dim,
+            align: 'center',
+            baseline: 'middle'
+        });
+        
+        if (voteHeight > 0) {
+            this.renderMapVote(panelY + panelHeight + this.config.ui.map_vote.margin);
+        }
+    }
+    
+    /**
+     * Render next-arena vote cards in a row under the results panel
+     * @param {number} top - Y coordinate of the top of the cards
+     */
+    renderMapVote(top) {
+        const center = this.uiComponents.getCenter();
+        const settings = this.config.ui.map_vote;
+        const vote = this.uiState.mapVoteState;
+        const votingOpen = this.uiState.isMapVoteOpen();
+        const rowWidth = vote.candidates.length * settings.card_width + (vote.candidates.length - 1) * settings.card_spacing;
+        const colors = this.uiComponents.colors;
+        
+        vote.candidates.forEach((candidate, index) => {
+            const x = center.x - rowWidth / 2 + index * (settings.card_width + settings.card_spacing);
+            const elementId = `mapVote_${index}`;
+            const element = this.uiState.interactiveElements.get(elementId);
+            const isMine = vote.myVote === candidate.id;
+            const isWinner = vote.winnerId === candidate.id;
+            const highlighted = isWinner || (votingOpen && (isMine || (element && element.hovered)));
+            
+            this.uiComponents.drawFrostedGlassPanel(x, top, settings.card_width, settings.card_height, {
+                color: isMine || isWinner ? colors.glow : colors.leaderboardCyan,
+                borderAlpha: highlighted ? 1 : 0.5
+            });
+            
+            this.uiComponents.drawText(`${index + 1} · ${candidate.name}`, x + settings.card_width / 2, top + settings.card_height * 0.3, {
+                type: 'primary',
+                size: settings.name_font_size,
+                color: isMine || isWinner ? colors.glow : colors.leaderboardCyan,
+                align: 'center',
+                baseline: 'middle',
+                uppercase: true,
+                weight: isMine ? 'bold' : undefined
+            });
+            
+            const votes = vote.tallies[candidate.id] || 0;
+            const detail = isWinner ? 'NEXT ARENA' : `${votes} VOTE${votes === 1 ? '' : 'S'}`;
+            this.uiComponents.drawText(detail, x + settings.card_width / 2, top + settings.card_height * 0.7, {
+                type: 'primary',
+                size: settings.detail_font_size,
+                color: isWinner ? colors.glow : colors.dim,
+                align: 'center',
+                baseline: 'middle',
+                letterSpacing: '0.1em'
+            });
+            
+            // Cards are clickable until the vote closes
+            if (votingOpen) {
+                this.uiState.registerInteractiveElement(elementId,
+                    this.uiComponents.createBounds(x, top, settings.card_width, settings.card_height),
+                    'button',
+                    () => this.handleMapVote(candidate.id)
+                );
+            } else {
+                this.uiState.unregisterInteractiveElement(elementId);
+            }
+        });
+    }
+    
     /**
      * Render revenge notification popup
      */
@@ -689,6 +962,19 @@ class UIManager {
         this.socket.emit('playerRespawn');
     }
     
+    /**
+     * Vote for the next arena (players can change their vote until it closes)
+     * @param {string} candidateId - Candidate to vote for
+     */
+    handleMapVote(candidateId) {
+        if (!this.uiState.isMapVoteOpen() || this.uiState.mapVoteState.myVote === candidateId) {
+            return;
+        }
+        
+        this.uiState.setMapVoteChoice(candidateId);
+        this.socket.emit('mapVote', { candidateId });
+    }
+    
     // =============================================================================
     // STATE MANAGEMENT
     // =============================================================================
@@ -732,6 +1018,46 @@ class UIManager {
         this.uiState.transitionTo('death', deathData);
     }
     
+    /**
+     * Show round results overlay
+     * @param {Object} resultsData - roundEnd payload from the server
+     */
+    showResults(resultsData) {
+        this.uiState.transitionTo('results', resultsData);
+    }
+    
+    /**
+     * Show the next-arena vote under the round results
+     * @param {Object} voteData - mapVoteStart payload from the server
+     */
+    showMapVote(voteData) {
+        this.uiState.startMapVote(voteData);
+    }
+    
+    /**
+     * Update the vote counts on the map vote cards
+     * @param {Object} tallies - Candidate id -> votes
+     */
+    updateMapVote(tallies) {
+        this.uiState.updateMapVoteTallies(tallies);
+    }
+    
+    /**
+     * Show which arena won the vote
+     * @param {Object} resultData - mapVoteResult payload from the server
+     */
+    showMapVoteResult(resultData) {
+        this.uiState.setMapVoteWinner(resultData.winner, resultData.tallies);
+    }
+    
+    /**
+     * Set the tank being spectated
+     * @param {Object|null} target - Tank state, or null when not spectating
+     */
+    setSpectateTarget(target) {
+        this.spectateTarget = target;
+    }
+    
     /**
      * Show revenge notification popup
      */
@@ -826,6 +1152,14 @@ class UIManager {
         return this.uiState.isInState('login');
     }
     
+    /**
+     * Check if round results overlay is visible
+     * @returns {boolean} Whether results overlay is visible
+     */
+    isResultsVisible() {
+        return this.uiState.isInState('results');
+    }
+    
     /**
      * Get render statistics
      * @returns {Object} Render statistics
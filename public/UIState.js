@@ -8,7 +8,7 @@ class UIState {
         this.config = config;
         
         // UI State Machine
-        this.state = 'login'; // 'login', 'game', 'death', 'connecting'
+        this.state = 'login'; // 'login', 'game', 'death', 'results', 'connecting'
         this.previousState = null;
         this.stateTransitionTime = 0;
         
@@ -31,6 +31,23 @@ class UIState {
             buttonHovered: false
         };
         
+        // Round results state
+        this.resultsState = {
+            round: 0,
+            reason: null,
+            winner: null,
+            standings: [],
+            nextRoundTime: 0
+        };
+        
+        // Next-arena vote shown under the results (empty when no vote is running)
+        this.mapVoteState = {
+            candidates: [],
+            tallies: {},
+            myVote: null,
+            winnerId: null
+        };
+        
         // Game UI state
         this.gameState = {
             showLeaderboard: true,
@@ -107,6 +124,9 @@ class UIState {
             case 'death':
                 this.cleanupDeathState();
                 break;
+            case 'results':
+                this.cleanupResultsState();
+                break;
             case 'game':
                 this.cleanupGameState();
                 break;
@@ -126,6 +146,9 @@ class UIState {
             case 'death':
                 this.setupDeathState(data);
                 break;
+            case 'results':
+                this.setupResultsState(data);
+                break;
             case 'game':
                 this.setupGameState(data);
                 break;
@@ -178,6 +201,32 @@ class UIState {
         };
     }
     
+    setupResultsState(data) {
+        this.resultsState = {
+            round: data.round || 0,
+            reason: data.reason || null,
+            winner: data.winner || null,
+            standings: data.standings || [],
+            nextRoundTime: Date.now() + (data.resultsMs || 0)
+        };
+    }
+    
+    cleanupResultsState() {
+        this.resultsState = {
+            round: 0,
+            reason: null,
+            winner: null,
+            standings: [],
+            nextRoundTime: 0
+        };
+        this.mapVoteState = {
+            candidates: [],
+            tallies: {},
+            myVote: null,
+            winnerId: null
+        };
+    }
+    
     setupGameState(data) {
         this.gameState = {
             showLeaderboard: true,
@@ -298,6 +347,72 @@ class UIState {
         this.deathState.buttonHovered = hovered;
     }
     
+    // =============================================================================
+    // RESULTS STATE MANAGEMENT
+    // =============================================================================
+    
+    /**
+     * Seconds until the next round's warmup begins
+     * @returns {number} Whole seconds remaining
+     */
+    getResultsCountdown() {
+        if (this.state !== 'results') return 0;
+        
+        return Math.ceil(Math.max(0, this.resultsState.nextRoundTime - Date.now()) / 1000);
+    }
+    
+    /**
+     * Start showing a next-arena vote
+     * @param {Object} data - mapVoteStart payload from the server
+     */
+    startMapVote(data) {
+        const tallies = {};
+        for (const candidate of data.candidates) {
+            tallies[candidate.id] = 0;
+        }
+        
+        this.mapVoteState = {
+            candidates: data.candidates,
+            tallies,
+            myVote: null,
+            winnerId: null
+        };
+    }
+    
+    /**
+     * Update vote counts
+     * @param {Object} tallies - Candidate id -> votes
+     */
+    updateMapVoteTallies(tallies) {
+        this.mapVoteState.tallies = { ...tallies };
+    }
+    
+    /**
+     * Remember which candidate this client voted for
+     * @param {string} candidateId - Chosen candidate id
+     */
+    setMapVoteChoice(candidateId) {
+        this.mapVoteState.myVote = candidateId;
+    }
+    
+    /**
+     * Mark the winning candidate once the vote closes
+     * @param {Object} winner - Winning candidate
+     * @param {Object} tallies - Final candidate id -> votes
+     */
+    setMapVoteWinner(winner, tallies) {
+        this.mapVoteState.winnerId = winner ? winner.id : null;
+        this.mapVoteState.tallies = { ...tallies };
+    }
+    
+    /**
+     * Check if there is a vote the player can still take part in
+     * @returns {boolean} Whether voting is open
+     */
+    isMapVoteOpen() {
+        return this.mapVoteState.candidates.length > 0 && this.mapVoteState.winnerId === null;
+    }
+    
     // =============================================================================
     // INTERACTIVE ELEMENT MANAGEMENT
     // =============================================================================
@@ -490,6 +605,8 @@ class UIState {
                 return { ...this.loginState };
             case 'death':
                 return { ...this.deathState };
+            case 'results':
+                return { ...this.resultsState };
             case 'game':
                 return { ...this.gameState };
             default:
@@ -520,6 +637,7 @@ class UIState {
     cleanup() {
         this.cleanupLoginState();
         this.cleanupDeathState();
+        this.cleanupResultsState();
         this.cleanupGameState();
         
         this.interactiveElements.clear();
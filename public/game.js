@@ -22,6 +22,7 @@ let gameState = {
     timestamp: 0
 };
 let myPlayerId = null;
+let spectateTargetId = null; // Tank the camera follows after elimination
 let camera;
 let clientArena;
 let backgroundPattern;
@@ -32,6 +33,7 @@ let deltaTime;
 let interpolationBuffer;
 let networkManager;
 let animationManager;
+let currentRoomId = null;
 let entityEvents = new Map(); // Store events for animation state machines
 
 let combatEffects = {
@@ -230,11 +232,50 @@ function setupSocketEvents() {
         }
     });
     
-    socket.on('gameState', (state) => {
+    socket.on('roomJoined', (data) => {
+        // Ticks restart in every room - drop the old room's states before the
+        // new room's arena and first keyframe arrive, so we never interpolate
+        // or rebuild deltas across two matches
+        if (currentRoomId && currentRoomId !== data.roomId) {
+            interpolationBuffer.clear();
+        }
+        currentRoomId = data.roomId;
+    });
+    
+    socket.on('arenaState', (arenaState) => {
+        interpolationBuffer.setArenaState(arenaState);
+    });
+    
+    socket.on('tileChanged', (data) => {
+        interpolationBuffer.applyTileChanges(data.changes);
+        clientArena.animateTileChanges(data.changes);
+    });
+    
+    socket.on('teleport', (data) => {
+        interpolationBuffer.markTeleport(data.entityId, data.timestamp);
+        if (data.entityId === myPlayerId) {
+            camera.snapTo(data.to.x, data.to.y);
+        }
+    });
+    
+    socket.on('gameState', (message) => {
+        // Phase 10: Add state to interpolation buffer (rebuilds full state from deltas)
+        const state = interpolationBuffer.addSnapshot(message);
+        if (!state) {
+            // Delta baseline is gone - ask the server for a full keyframe
+            if (interpolationBuffer.shouldRequestKeyframe()) {
+                socket.emit('requestKeyframe');
+            }
+            return;
+        }
+        
         gameState = state;
+        networkManager.handleServerState(state);
         
-        // Phase 10: Add state to interpolation buffer
-        interpolationBuffer.addSnapshot(state);
+        // Let the server use this tick as our next delta baseline
+        if (state.tick !== undefined) {
+            socket.emit('snapshotAck', { tick: state.tick });
+        }
     });
     
     socket.on('playerKilled', (data) => {
@@ -242,6 +283,11 @@ function setupSocketEvents() {
             // Handle death effects
             camera.addShake(CONFIG.visual.combat_effects.death_shake_magnitude);
             
+            // Eliminated players spectate instead of waiting for a respawn
+            if (isEliminationActive(gameState)) {
+                return;
+            }
+            
             // Show death screen with UI manager including death statistics
             uiManager.showDeath({
                 deathTime: Date.now(),
@@ -264,8 +310,10 @@ function setupSocketEvents() {
             // Handle respawn effects
             camera.addShake(CONFIG.camera.shake_magnitude);
             
-            // Hide death screen and show game UI
-            uiManager.showGame();
+            // Hide death screen and show game UI (the results screen stays up until the next warmup)
+            if (!uiManager.isResultsVisible()) {
+                uiManager.showGame();
+            }
         }
         
         // Phase 10: Add event for animation state machine
@@ -276,6 +324,28 @@ function setupSocketEvents() {
         });
     });
     
+    socket.on('roundEnd', (data) => {
+        uiManager.showResults(data);
+    });
+    
+    socket.on('mapVoteStart', (data) => {
+        uiManager.showMapVote(data);
+    });
+    
+    socket.on('mapVoteUpdate', (data) => {
+        uiManager.updateMapVote(data.tallies);
+    });
+    
+    socket.on('mapVoteResult', (data) => {
+        uiManager.showMapVoteResult(data);
+    });
+    
+    socket.on('roundWarmup', () => {
+        if (uiManager.isResultsVisible()) {
+            uiManager.showGame();
+        }
+    });
+    
     socket.on('killStreakUpdate', (data) => {
         if (data.playerId === myPlayerId) {
             // Handle kill streak update
@@ -459,6 +529,29 @@ function clearEntityEvents() {
 
 // Legacy UI functions removed - now handled by UIManager
 
+// Last Tank Standing: no respawns while the round is live
+function isEliminationActive(state) {
+    return Boolean(state && state.mode && state.mode.eliminationActive);
+}
+
+// Tank the camera should follow - our own, or a survivor once we're eliminated
+function getCameraTargetId(state) {
+    const myTank = state.tanks && state.tanks.find(tank => tank.id === myPlayerId);
+    if (!myTank || myTank.alive || !isEliminationActive(state)) {
+        spectateTargetId = null;
+        return myPlayerId;
+    }
+    
+    // Stay on the same survivor until they go down, then switch to another
+    const current = state.tanks.find(tank => tank.id === spectateTargetId && tank.alive);
+    if (!current) {
+        const survivor = state.tanks.find(tank => tank.alive);
+        spectateTargetId = survivor ? survivor.id : null;
+    }
+    
+    return spectateTargetId || myPlayerId;
+}
+
 // Main game loop - Phase 10: Complete rewrite with animation system
 function gameLoop() {
     // Phase 10: Update delta time for frame-rate independence
@@ -482,8 +575,11 @@ function gameLoop() {
         // Phase 10: Get interpolated game state for smooth rendering
         const renderState = interpolationBuffer.getInterpolatedState() || gameState;
         
-        // Phase 10: Update camera with interpolated state
-        camera.update(renderState, myPlayerId);
+        // Phase 10: Update camera with interpolated state (spectators follow a survivor)
+        const cameraTargetId = getCameraTargetId(renderState);
+        camera.update(renderState, cameraTargetId);
+        uiManager.setSpectateTarget(cameraTargetId !== myPlayerId ?
+            renderState.tanks.find(tank => tank.id === cameraTargetId) : null);
         
         // Phase 10: Apply frame-rate independent camera shake decay
         if (camera.shake > CONFIG.camera.shake_threshold) {
@@ -0,0 +1,20 @@
+const configLoader = require('../shared/ConfigLoader');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Bot skill tiers by the name used in config, BOT_DIFFICULTY and joinRoom
+const TIERS = config.bots.difficulty.tiers;
+
+function isValidTier(name) {
+  return Object.prototype.hasOwnProperty.call(TIERS, name);
+}
+
+function getTier(name) {
+  if (!isValidTier(name)) {
+    throw new Error(`Unknown bot difficulty '${name}'`);
+  }
+  return TIERS[name];
+}
+
+module.exports = { TIERS, isValidTier, getTier };
@@ -40,6 +40,7 @@ class PathNode {
     this.gridX = gridX;
     this.gridY = gridY;
     this.parent = parent;
+    this.teleport = false; // Reached by riding a teleporter from the parent
     this.gCost = 0; // Distance from start
     this.hCost = 0; // Heuristic distance to goal
     this.fCost = 0; // Total cost (g + h)
@@ -76,11 +77,12 @@ class BotPathfinder {
       avoidEnemies = false,
       enemyPositions = [],
       maxSearchNodes = 500,
-      allowPartialPath = true
+      allowPartialPath = true,
+      useTeleporters = true
     } = options;
     
     // Check cache first
-    const cacheKey = `${startGrid.gridX},${startGrid.gridY}->${targetGrid.gridX},${targetGrid.gridY}`;
+    const cacheKey = `${startGrid.gridX},${startGrid.gridY}->${targetGrid.gridX},${targetGrid.gridY}${useTeleporters ? '' : ':walk'}`;
     const cachedPath = this.getCachedPath(cacheKey);
     if (cachedPath) {
       return cachedPath;
@@ -131,9 +133,7 @@ class BotPathfinder {
       }
       
       // Explore neighbors
-      for (const direction of this.directions) {
-        const neighborX = currentNode.gridX + direction.dx;
-        const neighborY = currentNode.gridY + direction.dy;
+      for (const { neighborX, neighborY, cost, teleport } of this.getEdges(currentNode, useTeleporters)) {
         const neighborKey = `${neighborX},${neighborY}`;
         
         // Skip if already processed
@@ -151,12 +151,13 @@ class BotPathfinder {
           continue;
         }
         
-        const tentativeGCost = currentNode.gCost + 1;
+        const tentativeGCost = currentNode.gCost + cost;
         const existingNode = openSetMap.get(neighborKey);
         
         if (!existingNode) {
           // New node
           const neighborNode = new PathNode(neighborX, neighborY, currentNode);
+          neighborNode.teleport = teleport;
           neighborNode.gCost = tentativeGCost;
           neighborNode.hCost = this.calculateHeuristic(neighborNode, targetGrid);
           neighborNode.fCost = neighborNode.gCost + neighborNode.hCost;
@@ -166,6 +167,7 @@ class BotPathfinder {
         } else if (tentativeGCost < existingNode.gCost) {
           // Better path to existing node
           existingNode.parent = currentNode;
+          existingNode.teleport = teleport;
           existingNode.gCost = tentativeGCost;
           existingNode.fCost = existingNode.gCost + existingNode.hCost;
         }
@@ -183,6 +185,29 @@ class BotPathfinder {
     return []; // No path found
   }
   
+  // Moves out of a node: one step each way, plus the jump to the paired pad
+  // when standing on a teleporter (costed for the wait while it charges)
+  getEdges(node, useTeleporters = true) {
+    const edges = this.directions.map(direction => ({
+      neighborX: node.gridX + direction.dx,
+      neighborY: node.gridY + direction.dy,
+      cost: 1,
+      teleport: false
+    }));
+    
+    const destination = useTeleporters && this.arena.getTeleportDestination(node.gridX, node.gridY);
+    if (destination) {
+      edges.push({
+        neighborX: destination.gridX,
+        neighborY: destination.gridY,
+        cost: config.arena.teleporters.path_cost_tiles,
+        teleport: true
+      });
+    }
+    
+    return edges;
+  }
+  
   // Calculate Euclidean distance heuristic
   calculateHeuristic(node, target) {
     const dx = target.gridX - node.gridX;
@@ -203,10 +228,14 @@ class BotPathfinder {
     let currentNode = goalNode;
     
     while (currentNode.parent) {
-      path.unshift({
+      const step = {
         gridX: currentNode.gridX,
         gridY: currentNode.gridY
-      });
+      };
+      if (currentNode.teleport) {
+        step.teleport = true; // Arrive by teleporter rather than driving
+      }
+      path.unshift(step);
       currentNode = currentNode.parent;
     }
     
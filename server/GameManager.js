@@ -3,14 +3,29 @@ const ServerTank = require('./ServerTank');
 const ServerBullet = require('./ServerBullet');
 const ServerArena = require('./ServerArena');
 const ServerBot = require('./ServerBot');
+const SnapshotManager = require('./SnapshotManager');
+const RoundManager = require('./RoundManager');
+const MapLoader = require('./MapLoader');
+const MapVote = require('./MapVote');
+const BotDifficulty = require('./BotDifficulty');
+const { isValidBrain } = require('./brains');
+const { createGameMode } = require('./modes');
 
 // Load game configuration
 const config = configLoader.getAll();
 
 class GameManager {
-  constructor(io) {
+  constructor(io, roomId = config.server.rooms.default_room, modeName = config.modes.default,
+              botDifficulty = config.bots.difficulty.default_tier) {
     this.io = io;
-    this.arena = new ServerArena();
+    this.roomId = roomId; // Socket.IO room all broadcasts for this match go to
+    
+    // Hand-authored maps played in order, one per round (empty = generated arenas).
+    // Loading validates every map up front so a bad file fails at room creation.
+    this.mapRotation = MapLoader.getConfiguredRotation().map(name => MapLoader.loadMap(name));
+    this.mapIndex = 0;
+    this.arena = new ServerArena(undefined, this.getCurrentMap());
+    this.mapVote = new MapVote(this); // Players pick the next arena on the results screen
     this.tanks = new Map();
     this.bullets = [];
     this.nextBulletId = 1;
@@ -23,12 +38,45 @@ class GameManager {
     this.maxBots = process.env.MAX_BOTS ? parseInt(process.env.MAX_BOTS) : config.bots.max_bots;
     this.minBots = config.bots.min_bots;
     
+    // Skill tier for this room's bots; spawn_tiers (if set) hands out tiers in turn instead.
+    // Checked up front so a bad name fails at room creation, not mid-game.
+    for (const tier of [botDifficulty, ...config.bots.difficulty.spawn_tiers]) {
+      BotDifficulty.getTier(tier);
+    }
+    this.botDifficulty = botDifficulty;
+    this.botSpawnCount = 0;
+    
+    // Brains for this room's bots, handed out in turn so several can be compared in one match
+    const { default_brain: defaultBrain, spawn_brains: spawnBrains } = config.bots.brains;
+    this.botBrains = spawnBrains.length > 0 ? spawnBrains : [defaultBrain];
+    for (const brain of this.botBrains) {
+      if (!isValidBrain(brain)) {
+        throw new Error(`Unknown bot brain '${brain}'`);
+      }
+    }
+    this.brainSpawnCount = 0;
+    
+    // Game mode decides teams, friendly fire and scoring; rounds decide when play stops
+    this.mode = createGameMode(modeName, this);
+    this.rounds = new RoundManager(this);
+    this.streakLeaderId = null; // Tank holding the leader's rear shield arc
+    
     // Track player order for color assignment
     this.playerOrder = [];
     
     // Phase 10: Input sequence tracking for acknowledgment
     this.playerInputSequences = new Map(); // playerId -> last sequence
     
+    // Lag compensation: recent poses per tank and measured latency per client
+    this.lagCompensation = config.combat.lag_compensation;
+    this.tankHistory = new Map();   // tankId -> [{time, x, y, heading, shield, alive}]
+    this.playerLatency = new Map(); // playerId -> smoothed one-way latency (ms)
+    
+    // Delta-compressed snapshots: static arena is sent once on join, then
+    // per-client deltas against the last snapshot each client acknowledged
+    this.enableDeltaCompression = config.server.optimization.enable_delta_compression;
+    this.snapshotManager = new SnapshotManager();
+    
     this.gameState = {
       tanks: [],
       bullets: [],
@@ -62,8 +110,6 @@ class GameManager {
     
     // Start high-resolution game loop
     this.startHighResolutionLoop();
-    
-    this.setupSocketEvents();
   }
 
   startHighResolutionLoop() {
@@ -105,7 +151,7 @@ class GameManager {
     
     // Start the loop
     loop();
-    console.log(`🚀 High-resolution game loop started (target: ${this.targetFPS}Hz)`);
+    console.log(`🚀 High-resolution game loop started for room '${this.roomId}' (target: ${this.targetFPS}Hz)`);
     
     // Log performance optimization settings
     if (this.networkBroadcastHz !== this.targetFPS || this.botUpdateHz !== this.targetFPS) {
@@ -117,44 +163,6 @@ class GameManager {
     }
   }
 
-  setupSocketEvents() {
-    this.io.on('connection', (socket) => {
-      console.log(`New connection ${socket.id}`);
-      this.addPlayer(socket.id);
-      
-      socket.on('disconnect', () => {
-        this.removePlayer(socket.id);
-        console.log(`Disconnected ${socket.id}`);
-      });
-
-      // Player join event handler
-      socket.on('playerJoin', (data) => {
-        this.handlePlayerJoin(socket.id, data);
-      });
-
-      // Input event handlers
-      socket.on('playerMove', (data) => {
-        this.handlePlayerMove(socket.id, data);
-      });
-
-      socket.on('playerRotate', (data) => {
-        this.handlePlayerRotate(socket.id, data);
-      });
-
-      socket.on('playerShoot', (data) => {
-        this.handlePlayerShoot(socket.id, data);
-      });
-
-      socket.on('playerPickupAmmo', (data) => {
-        this.handlePlayerPickupAmmo(socket.id, data);
-      });
-
-      socket.on('speedModeToggle', (data) => {
-        this.handleSpeedModeToggle(socket.id, data);
-      });
-    });
-  }
-
   addPlayer(id) {
     // Assign color from palette based on player order
     const colorIndex = this.playerOrder.length % config.colors.player_colors.length;
@@ -165,7 +173,15 @@ class GameManager {
     
     const tank = new ServerTank(id, this.arena);
     tank.setColor(playerColor);
+    this.mode.onTankAdded(tank);
+    
+    // Team is known now, so start away from whoever would shoot at us
+    tank.placeAt(this.chooseSpawnPosition(tank));
     this.tanks.set(id, tank);
+    this.rounds.onTankAdded(tank);
+    
+    // Static arena layout is only sent once per join
+    this.sendArenaState(id);
     this.broadcastGameState();
   }
 
@@ -178,8 +194,17 @@ class GameManager {
     
     // Phase 10: Clean up input sequence tracking
     this.playerInputSequences.delete(id);
+    this.snapshotManager.removeClient(id);
+    this.playerLatency.delete(id);
+    this.tankHistory.delete(id);
     
+    const tank = this.tanks.get(id);
     this.tanks.delete(id);
+    if (tank) {
+      this.mode.onTankRemoved(tank);
+    }
+    this.rounds.onTankRemoved(id);
+    this.mapVote.removeVoter(id);
     this.broadcastGameState();
   }
 
@@ -194,7 +219,10 @@ class GameManager {
     const inputSpeedMode = data.speedMode || false;
     const isContinuous = data.continuous || false;
     
-    tank.tryMove(data.direction, inputSpeedMode, isContinuous);
+    if (this.rounds.isGameplayActive()) {
+      tank.tryMove(data.direction, inputSpeedMode, isContinuous);
+    }
+    this.sendInputAck(playerId, data);
   }
 
   handlePlayerRotate(playerId, data) {
@@ -204,7 +232,10 @@ class GameManager {
     // Phase 10: Track input sequence for acknowledgment
     this.updateInputSequence(playerId, data);
     
-    tank.tryRotate(data.direction);
+    if (this.rounds.isGameplayActive()) {
+      tank.tryRotate(data.direction);
+    }
+    this.sendInputAck(playerId, data);
   }
 
   handlePlayerShoot(playerId, data = {}) {
@@ -214,9 +245,11 @@ class GameManager {
     // Phase 10: Track input sequence for acknowledgment
     this.updateInputSequence(playerId, data);
     
-    if (tank.tryShoot()) {
+    // Inputs during the results screen are still acknowledged, just not applied
+    if (this.rounds.isGameplayActive() && tank.tryShoot()) {
       this.createBullet(tank);
     }
+    this.sendInputAck(playerId, data);
   }
 
   handlePlayerPickupAmmo(playerId, data = {}) {
@@ -226,7 +259,10 @@ class GameManager {
     // Phase 10: Track input sequence for acknowledgment
     this.updateInputSequence(playerId, data);
     
-    tank.tryPickupAmmo();
+    if (this.rounds.isGameplayActive()) {
+      tank.tryPickupAmmo();
+    }
+    this.sendInputAck(playerId, data);
   }
 
   handleSpeedModeToggle(playerId, data) {
@@ -239,30 +275,84 @@ class GameManager {
     // Enhanced speed mode toggle with immediate activation
     const immediate = data.immediate !== undefined ? data.immediate : true;
     
-    tank.setSpeedMode(data.enabled, immediate);
+    if (this.rounds.isGameplayActive()) {
+      tank.setSpeedMode(data.enabled, immediate);
+    }
+    this.sendInputAck(playerId, data);
+  }
+
+  // Echo the client's timestamp so it can measure round-trip time on its own clock.
+  // Each ping also reports the last round trip the client measured, which sets
+  // the lag compensation rewind whether or not delta snapshots (and their acks) are on.
+  handlePing(playerId, data = {}) {
+    if (data.roundTripMs !== undefined) {
+      this.updatePlayerLatency(playerId, data.roundTripMs);
+    }
+    
+    this.io.to(playerId).emit('pingResponse', {
+      timestamp: data.timestamp,
+      sequence: data.sequence,
+      serverTime: Date.now()
+    });
+  }
+
+  // Client rebuilt this tick and can use it as a delta baseline
+  handleSnapshotAck(playerId, data = {}) {
+    this.snapshotManager.acknowledge(playerId, data.tick);
+  }
+
+  // Client lost its baseline (or just wants a clean slate) - next message is a keyframe
+  handleKeyframeRequest(playerId) {
+    this.snapshotManager.requestKeyframe(playerId);
+  }
+
+  // Vote for the next arena while the results screen is up
+  handleMapVote(playerId, data) {
+    if (!this.tanks.has(playerId)) return;
+    this.mapVote.castVote(playerId, data.candidateId);
+  }
+
+  sendArenaState(playerId) {
+    this.io.to(playerId).emit('arenaState', this.arena.getStaticState());
   }
 
   handlePlayerJoin(playerId, data) {
     const tank = this.tanks.get(playerId);
     if (!tank) return;
 
-    // Set player name
-    tank.setName(data.name);
+    // Set player name (length and type already checked by InputValidator)
+    const name = data.name.trim();
+    tank.setName(name);
 
     // Emit successful join event
     this.io.to(playerId).emit('playerJoined', {
       playerId: playerId,
-      name: data.name
+      name: name
     });
 
-    console.log(`Player ${playerId} joined with name: ${data.name}`);
+    console.log(`Player ${playerId} joined with name: ${name}`);
   }
 
   createBullet(tank) {
     const bulletId = this.nextBulletId++;
     const bullet = new ServerBullet(bulletId, tank, this.arena);
+    tank.combatStats.shotsFired++;
+    
+    // Humans aimed at the interpolated past, so rewind targets for their bullets
+    if (!tank.isBot) {
+      bullet.rewindMs = this.getLagCompensationMs(tank.id);
+    }
     this.bullets.push(bullet);
     
+    this.emitToRoom('playerShot', {
+      playerId: tank.id,
+      bulletId,
+      x: bullet.x,
+      y: bullet.y,
+      heading: tank.heading,
+      timestamp: Date.now()
+    });
+    
     // Enhanced debugging for bot bullets
     const shooterType = tank.isBot ? "BOT" : "HUMAN";
     console.log(`${shooterType} ${tank.id} created bullet ${bulletId} at (${Math.round(tank.x)}, ${Math.round(tank.y)}) heading ${Math.round(tank.heading)}°`);
@@ -284,7 +374,9 @@ class GameManager {
     this.updateBullets(frameTimeMs);
     this.updateArena(frameTimeMs);
     this.checkCollisions(frameTimeMs);
+    this.updateStreakLeader();
     this.manageBotSpawning(frameTimeMs);
+    this.updateRounds();
     
     // Broadcast game state at reduced frequency for performance
     if (currentTime - this.lastBroadcastTime >= this.networkBroadcastInterval) {
@@ -295,21 +387,61 @@ class GameManager {
   }
 
   updateTanks(frameTimeMs) {
+    const now = Date.now();
+    
     for (const tank of this.tanks.values()) {
+      tank.respawnEnabled = this.mode.allowsRespawn(tank);
       const updateResult = tank.update();
+      this.recordTankHistory(tank, now);
       
-      // Check if tank respawned
+      // Respawn delay is up - bring the tank back somewhere safe
       if (updateResult && updateResult.type === 'respawn') {
-        this.io.emit('playerRespawned', {
+        tank.respawn(this.chooseSpawnPosition(tank));
+        this.emitToRoom('playerRespawned', {
           playerId: tank.id,
           position: { x: tank.x, y: tank.y },
           timestamp: Date.now()
         });
+      } else if (updateResult && updateResult.type === 'teleport') {
+        this.emitTeleport(tank.id, 'tank', updateResult.from, updateResult.to);
+      }
+      
+      if (tank.alive && this.rounds.isGameplayActive()) {
+        this.collectPowerUp(tank, now);
       }
     }
   }
 
+  // Power-ups are collected by driving onto their pad
+  collectPowerUp(tank, now) {
+    const type = this.arena.takePowerUp(tank.gridX, tank.gridY);
+    if (!type) return;
+    
+    tank.applyPowerUp(type, now);
+    this.emitToRoom('powerUpCollected', {
+      playerId: tank.id,
+      type,
+      gridX: tank.gridX,
+      gridY: tank.gridY,
+      durationMs: config.arena.power_ups.types[type].duration_ms,
+      timestamp: now
+    });
+  }
+
+  // Entity jumped between teleporter pads - clients snap it instead of interpolating
+  emitTeleport(entityId, kind, from, to) {
+    this.emitToRoom('teleport', {
+      entityId,
+      kind,
+      from: { x: from.x, y: from.y },
+      to: { x: to.x, y: to.y },
+      timestamp: Date.now()
+    });
+  }
+
   updateBots(frameTimeMs) {
+    if (!this.rounds.isGameplayActive()) return;
+    
     for (const bot of this.bots.values()) {
       bot.update(this.tanks, this.bullets);
     }
@@ -320,6 +452,11 @@ class GameManager {
       const bullet = this.bullets[i];
       bullet.update();
       
+      if (bullet.teleported) {
+        this.emitTeleport(bullet.id, 'bullet', bullet.teleported.from, bullet.teleported.to);
+        bullet.teleported = null;
+      }
+      
       // Remove if should be removed
       if (bullet.shouldRemove()) {
         this.bullets.splice(i, 1);
@@ -328,26 +465,75 @@ class GameManager {
   }
 
   updateArena(frameTimeMs) {
-    this.arena.update();
+    const occupiedTiles = new Set();
+    for (const tank of this.tanks.values()) {
+      if (tank.alive) occupiedTiles.add(`${tank.gridX},${tank.gridY}`);
+    }
+    
+    this.arena.update(occupiedTiles);
+    
+    const changes = this.arena.takeTileChanges();
+    if (changes.length > 0) {
+      this.applyTileChanges(changes);
+    }
+  }
+
+  // Tell clients which tiles wore down, fell, grew back, or opened/closed, and
+  // drop any tank left standing where a tile fell away
+  applyTileChanges(changes) {
+    this.emitToRoom('tileChanged', { changes, timestamp: Date.now() });
+    
+    if (changes.some(({ change }) => change !== 'worn')) {
+      this.clearBotPaths();
+    }
+    
+    for (const tank of this.tanks.values()) {
+      if (tank.alive && !this.arena.isValidTile(tank.gridX, tank.gridY)) {
+        this.destroyTank(tank, 'collapse');
+      }
+    }
   }
 
   checkCollisions(frameTimeMs) {
     for (let i = this.bullets.length - 1; i >= 0; i--) {
       const bullet = this.bullets[i];
-      const hitTank = bullet.checkAllTankCollisions(this.tanks);
+      
+      // Lag-compensated bullets test against where targets were when the shooter saw them
+      const getPose = bullet.rewindMs > 0 ?
+        (tank) => this.getRewoundPose(tank, bullet.rewindMs) : null;
+      const canDamage = (tank) => this.mode.canDamage(bullet, tank);
+      const hitTank = bullet.checkAllTankCollisions(this.tanks, getPose, canDamage);
+      
+      // Shield reflections don't end the bullet but still count as a hit
+      if (bullet.shieldBlock) {
+        this.emitBulletHit(bullet, bullet.shieldBlock.targetId, true, false);
+        this.recordHit(bullet, this.tanks.get(bullet.shieldBlock.targetId));
+        bullet.shieldBlock = null;
+      }
       
       if (hitTank) {
         // Actually kill the victim tank
-        const wasKilled = hitTank.hit(bullet);
+        const wasKilled = hitTank.hit(bullet, getPose ? getPose(hitTank) : hitTank);
+        this.emitBulletHit(bullet, hitTank.id, !wasKilled, wasKilled);
+        this.recordHit(bullet, hitTank);
         
         if (wasKilled) {
-          // Award kill to shooter
+          hitTank.combatStats.deathsCount++;
+          
+          // Warmup kills don't count towards the mode score
+          if (this.rounds.isScoring()) {
+            this.mode.onKill(bullet, hitTank);
+          }
+          
+          // Award kill to shooter - even one that died while its bullet was in
+          // flight (common when two bots trade shots), minus the streak
           const shooterTank = this.tanks.get(bullet.ownerId);
-          if (shooterTank && shooterTank.alive) {
+          if (shooterTank) {
             shooterTank.addKill();
+            shooterTank.combatStats.killsScored++;
             
             // Emit kill events with death statistics
-            this.io.emit('playerKilled', {
+            this.emitToRoom('playerKilled', {
               killer: bullet.ownerId,
               victim: hitTank.id,
               timestamp: Date.now(),
@@ -357,22 +543,26 @@ class GameManager {
               }
             });
             
-            this.io.emit('killStreakUpdate', {
-              playerId: bullet.ownerId,
-              streak: shooterTank.killStreak,
-              timestamp: Date.now()
-            });
+            if (shooterTank.alive) {
+              this.emitToRoom('killStreakUpdate', {
+                playerId: bullet.ownerId,
+                streak: shooterTank.killStreak,
+                timestamp: Date.now()
+              });
+            }
             
             // Check for revenge scenario
             if (shooterTank.lastKilledBy === hitTank.id) {
               // This is revenge! The shooter was previously killed by the victim
-              this.io.emit('revengeKill', {
+              this.emitToRoom('revengeKill', {
                 avenger: bullet.ownerId,
                 target: hitTank.id,
                 timestamp: Date.now()
               });
             }
           }
+          
+          this.rounds.recordKill(shooterTank || null, hitTank);
         }
         
         // Remove bullet
@@ -381,6 +571,294 @@ class GameManager {
     }
   }
 
+  // Hand the leader's rear shield arc to the live tank with the longest kill
+  // streak. A tie keeps it with the current holder if they're part of it;
+  // otherwise nobody has the lead and nobody gets the arc.
+  updateStreakLeader() {
+    const settings = config.player.shield;
+    let leaderId = null;
+    
+    if (settings.leader_rear_arc) {
+      let bestStreak = settings.leader_min_streak;
+      let contenders = [];
+      for (const tank of this.tanks.values()) {
+        if (!tank.alive || tank.killStreak < bestStreak) continue;
+        if (tank.killStreak > bestStreak) {
+          bestStreak = tank.killStreak;
+          contenders = [];
+        }
+        contenders.push(tank.id);
+      }
+      
+      if (contenders.length === 1) {
+        leaderId = contenders[0];
+      } else if (contenders.includes(this.streakLeaderId)) {
+        leaderId = this.streakLeaderId;
+      }
+    }
+    
+    if (leaderId === this.streakLeaderId) return;
+    
+    const previous = this.tanks.get(this.streakLeaderId);
+    if (previous) previous.streakLeader = false;
+    const leader = this.tanks.get(leaderId);
+    if (leader) leader.streakLeader = true;
+    this.streakLeaderId = leaderId;
+    
+    this.emitToRoom('streakLeaderChanged', {
+      playerId: leaderId,
+      streak: leader ? leader.killStreak : 0,
+      timestamp: Date.now()
+    });
+  }
+
+  // Kill a tank without a shooter (e.g. its tile collapsed under it)
+  destroyTank(tank, cause) {
+    if (!tank.destroy()) return;
+    tank.combatStats.deathsCount++;
+    
+    this.emitToRoom('playerKilled', {
+      killer: null,
+      victim: tank.id,
+      cause,
+      timestamp: Date.now(),
+      victimStats: {
+        killStreak: tank.killStreak,
+        timeAlive: tank.getTimeAliveAtDeath()
+      }
+    });
+    
+    this.rounds.recordKill(null, tank);
+  }
+
+  // Count a bullet's first contact with a tank it could hurt as a hit for its shooter
+  recordHit(bullet, target) {
+    if (bullet.countedHit || !target || !this.mode.canDamage(bullet, target)) return;
+    bullet.countedHit = true;
+    
+    const shooter = this.tanks.get(bullet.ownerId);
+    if (shooter) {
+      shooter.combatStats.shotsHit++;
+    }
+  }
+
+  // Combined combat record of the humans in the room since `baseline` (humanId ->
+  // their combatStats back then; humans missing from it count in full), for bot
+  // difficulty scaling. Returns { totals, snapshot }, where snapshot is the
+  // baseline for measuring from now on.
+  getHumanCombatStats(baseline = new Map()) {
+    const totals = { shotsFired: 0, shotsHit: 0, killsScored: 0, deathsCount: 0 };
+    const snapshot = new Map();
+    for (const tank of this.tanks.values()) {
+      if (tank.isBot) continue;
+      const since = baseline.get(tank.id);
+      for (const key of Object.keys(totals)) {
+        totals[key] += tank.combatStats[key] - (since ? since[key] : 0);
+      }
+      snapshot.set(tank.id, { ...tank.combatStats });
+    }
+    return { totals, snapshot };
+  }
+
+  // Push a mid-round change to the tile layout to clients and bots
+  syncArenaLayout() {
+    this.emitToRoom('arenaState', this.arena.getStaticState());
+    this.clearBotPaths();
+  }
+
+  // Cached paths may run over tiles that are gone now
+  clearBotPaths() {
+    for (const bot of this.bots.values()) {
+      bot.pathfinder.clearCache();
+    }
+  }
+
+  emitBulletHit(bullet, targetId, blocked, killed) {
+    this.emitToRoom('bulletHit', {
+      bulletId: bullet.id,
+      shooterId: bullet.ownerId,
+      targetId,
+      x: bullet.x,
+      y: bullet.y,
+      blocked,
+      killed,
+      timestamp: Date.now()
+    });
+  }
+
+  // Let the mode run its rules, then advance the round lifecycle
+  updateRounds() {
+    const now = Date.now();
+    this.mode.update(now);
+    this.rounds.update(now);
+  }
+
+  getCurrentMap() {
+    return this.mapRotation.length > 0 ? this.mapRotation[this.mapIndex] : null;
+  }
+
+  // Pick the next arena: the map vote's winner if one ran, otherwise the next
+  // map in the rotation (takes effect on the next regenerateArena)
+  chooseNextArena() {
+    const winner = this.mapVote.finish();
+    if (winner && winner.type === 'seed') {
+      return winner.seed;
+    }
+    if (winner && winner.type === 'map') {
+      this.mapIndex = winner.mapIndex;
+    } else {
+      this.advanceMapRotation();
+    }
+    return undefined;
+  }
+
+  // Move to the next map in the rotation (takes effect on the next regenerateArena)
+  advanceMapRotation() {
+    if (this.mapRotation.length > 0) {
+      this.mapIndex = (this.mapIndex + 1) % this.mapRotation.length;
+    }
+  }
+
+  // Rebuild the arena layout (from a specific seed if given) and resync everyone
+  regenerateArena(seed) {
+    this.arena.regenerate(seed, this.getCurrentMap());
+    this.mode.onArenaReset();
+    this.emitToRoom('arenaState', this.arena.getStaticState());
+    this.snapshotManager.resetAllClients();
+    console.log(`🗺️  Room '${this.roomId}' arena regenerated (${this.arena.map ? `map '${this.arena.map.name}'` : `seed ${this.arena.seed}`})`);
+  }
+
+  // Put every tank back on a fresh spawn for the next round, optionally on a new arena
+  resetForRound(regenerateArena) {
+    if (regenerateArena) {
+      this.regenerateArena(this.chooseNextArena());
+    } else if (this.arena.resetDynamicTiles()) {
+      this.syncArenaLayout();
+    }
+    
+    this.clearBullets();
+    this.tankHistory.clear();
+    
+    // Place tanks one at a time so each avoids the ones already placed
+    const placed = [];
+    for (const tank of this.tanks.values()) {
+      tank.respawn(this.chooseSpawnPosition(tank, placed));
+      placed.push(tank);
+      tank.killStreak = 0;
+      this.emitToRoom('playerRespawned', {
+        playerId: tank.id,
+        position: { x: tank.x, y: tank.y },
+        timestamp: Date.now()
+      });
+    }
+    
+    for (const bot of this.bots.values()) {
+      bot.resetForRound();
+    }
+  }
+
+  // Spawn position for a tank, away from the live tanks that would shoot at it
+  chooseSpawnPosition(tank, candidates = this.tanks.values()) {
+    const threats = [];
+    for (const other of candidates) {
+      const bot = this.bots.get(other.id);
+      const hostile = bot ? bot.canTarget(tank) : this.mode.isEnemy(other, tank);
+      if (other.id !== tank.id && other.alive && hostile) {
+        threats.push({ gridX: other.gridX, gridY: other.gridY, heading: other.heading });
+      }
+    }
+    return this.arena.getSafestSpawnPosition(threats);
+  }
+
+  clearBullets() {
+    this.bullets = [];
+  }
+
+  // Record the tank's pose for lag compensation, keeping only the rewind window
+  recordTankHistory(tank, now) {
+    if (!this.lagCompensation.enabled) return;
+    
+    let history = this.tankHistory.get(tank.id);
+    if (!history) {
+      history = [];
+      this.tankHistory.set(tank.id, history);
+    }
+    
+    history.push({
+      time: now,
+      x: tank.x,
+      y: tank.y,
+      heading: tank.heading,
+      shield: tank.shield,
+      shieldArcs: tank.getShieldArcs(now), // The leader's rear arc moves between tanks
+      alive: tank.alive
+    });
+    
+    const cutoff = now - this.lagCompensation.history_ms;
+    while (history.length > 0 && history[0].time < cutoff) {
+      history.shift();
+    }
+  }
+
+  // Get a tank's pose rewindMs in the past, interpolating between history entries
+  getRewoundPose(tank, rewindMs) {
+    const history = this.tankHistory.get(tank.id);
+    if (!history || history.length === 0) return tank;
+    
+    // Never rewind into a previous life - a fresh respawn can't be hit at its old position
+    const targetTime = Math.max(Date.now() - rewindMs, tank.spawnTime);
+    
+    if (targetTime <= history[0].time) return history[0];
+    
+    for (let i = history.length - 1; i >= 0; i--) {
+      const before = history[i];
+      if (before.time > targetTime) continue;
+      
+      const after = history[i + 1];
+      if (!after) return tank; // Target time is newer than the last record
+      
+      const span = after.time - before.time;
+      const t = span > 0 ? (targetTime - before.time) / span : 0;
+      
+      // Heading interpolates along the shortest arc
+      let headingDiff = after.heading - before.heading;
+      if (headingDiff > 180) headingDiff -= 360;
+      if (headingDiff < -180) headingDiff += 360;
+      
+      return {
+        x: before.x + (after.x - before.x) * t,
+        y: before.y + (after.y - before.y) * t,
+        heading: (before.heading + headingDiff * t + 360) % 360,
+        // Discrete state comes from the nearer record
+        shield: t < 0.5 ? before.shield : after.shield,
+        shieldArcs: t < 0.5 ? before.shieldArcs : after.shieldArcs,
+        alive: t < 0.5 ? before.alive : after.alive
+      };
+    }
+    
+    return tank;
+  }
+
+  // Smooth the measured round trip into a one-way latency estimate
+  updatePlayerLatency(playerId, roundTripMs) {
+    const oneWay = Math.max(0, roundTripMs / 2);
+    const previous = this.playerLatency.get(playerId);
+    const smoothing = this.lagCompensation.latency_smoothing;
+    
+    this.playerLatency.set(playerId, previous === undefined ?
+      oneWay : previous + (oneWay - previous) * smoothing);
+  }
+
+  // How far back to rewind targets for this player's shots
+  getLagCompensationMs(playerId) {
+    if (!this.lagCompensation.enabled) return 0;
+    
+    const latency = this.playerLatency.get(playerId) || 0;
+    const rewind = latency + config.ui.anim.interpolation_delay_ms;
+    
+    return Math.min(rewind, this.lagCompensation.max_rewind_ms);
+  }
+
   // Phase 10: Track input sequence for acknowledgment
   updateInputSequence(playerId, data) {
     if (data.sequence !== undefined) {
@@ -388,16 +866,67 @@ class GameManager {
     }
   }
 
+  // Acknowledge a processed input with the tank state it produced, so the
+  // client can reconcile without waiting for the next gameState
+  sendInputAck(playerId, data) {
+    const tank = this.tanks.get(playerId);
+    if (!tank || data.sequence === undefined) return;
+    
+    this.io.to(playerId).emit('inputAck', {
+      playerId,
+      sequence: data.sequence,
+      timestamp: data.timestamp, // Client clock - used for the client's RTT estimate
+      tankState: tank.getState()
+    });
+  }
+
+  // Emit an event to every socket in this match's room
+  emitToRoom(event, data) {
+    this.io.to(this.roomId).emit(event, data);
+  }
+
   broadcastGameState() {
+    if (this.enableDeltaCompression) {
+      this.broadcastSnapshot();
+      return;
+    }
+    
     this.gameState.tanks = Array.from(this.tanks.values()).map(tank => tank.getState());
     this.gameState.bullets = this.bullets.map(bullet => bullet.getState());
     this.gameState.arena = this.arena.getState();
+    this.gameState.mode = this.mode.getState();
+    this.gameState.round = this.rounds.getState();
     this.gameState.timestamp = Date.now();
     
     // Phase 10: Add input sequence acknowledgment to game state
     this.gameState.inputSequences = Object.fromEntries(this.playerInputSequences);
     
-    this.io.emit('gameState', this.gameState);
+    this.emitToRoom('gameState', this.gameState);
+  }
+
+  // Send each human client a keyframe or a delta against its acknowledged baseline
+  broadcastSnapshot() {
+    const snapshot = this.snapshotManager.recordSnapshot({
+      timestamp: Date.now(),
+      tanks: Array.from(this.tanks.values()).map(tank => tank.getState()),
+      bullets: this.bullets.map(bullet => bullet.getState()),
+      ammo: this.arena.getAllAmmoSpawns(),
+      powerUps: this.arena.getAllPowerUps(),
+      mode: this.mode.getState(),
+      round: this.rounds.getState()
+    });
+    
+    for (const tank of this.tanks.values()) {
+      if (tank.isBot) continue;
+      
+      const message = this.snapshotManager.buildMessageFor(tank.id, snapshot);
+      
+      // Phase 10: Each client only needs its own input acknowledgment
+      const sequence = this.playerInputSequences.get(tank.id);
+      message.inputSequences = sequence !== undefined ? { [tank.id]: sequence } : {};
+      
+      this.io.to(tank.id).emit('gameState', message);
+    }
   }
 
   manageBotSpawning(frameTimeMs) {
@@ -410,38 +939,49 @@ class GameManager {
       return;
     }
     
-    // Check if we should spawn a bot
+    // Check if we should spawn a bot (the mode decides how many it wants)
     const shouldSpawnBot = 
-      currentBotCount < this.maxBots &&
-      currentBotCount < Math.max(this.minBots, humanPlayerCount) &&
-      (now - this.lastBotSpawnTime) >= this.botSpawnInterval;
+      currentBotCount < this.mode.getBotTarget(humanPlayerCount) &&
+      (now - this.lastBotSpawnTime) >= this.mode.getBotSpawnInterval();
     
     if (shouldSpawnBot) {
       this.spawnBot();
     }
     
-    // Remove bots if too many (in case config changed)
-    while (this.bots.size > this.maxBots) {
-      const firstBotId = this.bots.keys().next().value;
-      this.removeBot(firstBotId);
+    // Remove bots if too many (config changed, or humans took their team slots)
+    while (this.bots.size > this.mode.getBotLimit(humanPlayerCount)) {
+      this.removeBot(this.mode.chooseBotToRemove());
     }
   }
 
-  spawnBot() {
+  spawnBot(difficulty = this.getNextBotDifficulty(), brain = this.getNextBotBrain()) {
     const botId = `bot_${this.nextBotId++}`;
     const tank = new ServerTank(botId, this.arena);
-    const bot = new ServerBot(botId, tank, this.arena, this);
+    const bot = new ServerBot(botId, tank, this.arena, this, difficulty, brain);
     
     // Configure bot appearance
     tank.setName(this.generateBotName());
     tank.setColor(this.getBotColor());
+    this.mode.onTankAdded(tank);
+    tank.placeAt(this.chooseSpawnPosition(tank));
     
     // Add to collections
     this.tanks.set(botId, tank);
     this.bots.set(botId, bot);
+    this.rounds.onTankAdded(tank);
     
     this.lastBotSpawnTime = Date.now();
-    console.log(`Spawned bot: ${botId} (Total bots: ${this.bots.size})`);
+    console.log(`Spawned ${difficulty} ${brain} bot: ${botId} (Total bots: ${this.bots.size})`);
+  }
+
+  getNextBotDifficulty() {
+    const spawnTiers = config.bots.difficulty.spawn_tiers;
+    if (spawnTiers.length === 0) return this.botDifficulty;
+    return spawnTiers[this.botSpawnCount++ % spawnTiers.length];
+  }
+
+  getNextBotBrain() {
+    return this.botBrains[this.brainSpawnCount++ % this.botBrains.length];
   }
 
   removeBot(botId) {
@@ -449,6 +989,9 @@ class GameManager {
     if (bot) {
       this.tanks.delete(botId);
       this.bots.delete(botId);
+      this.tankHistory.delete(botId);
+      this.mode.onTankRemoved(bot.tank);
+      this.rounds.onTankRemoved(botId);
       console.log(`Removed bot: ${botId} (Total bots: ${this.bots.size})`);
     }
   }
@@ -481,7 +1024,7 @@ class GameManager {
   }
 
   shutdown() {
-    console.log('🛑 Shutting down game loop...');
+    console.log(`🛑 Shutting down game loop for room '${this.roomId}'...`);
     this.isRunning = false;
     
     // Log final performance stats
@@ -0,0 +1,186 @@
+const configLoader = require('../shared/ConfigLoader');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Payload checks for each client event. Each returns a rejection reason or null.
+const isObject = (data) => typeof data === 'object' && data !== null && !Array.isArray(data);
+const isOptionalBoolean = (value) => value === undefined || typeof value === 'boolean';
+const isOptionalNumber = (value) => value === undefined || Number.isFinite(value);
+
+const SCHEMAS = {
+  playerJoin: (data) => {
+    if (!isObject(data) || typeof data.name !== 'string') return 'invalid_payload';
+    const name = data.name.trim();
+    if (name.length === 0 || name.length > config.server.input_validation.max_name_length) {
+      return 'invalid_name';
+    }
+    return null;
+  },
+
+  playerMove: (data) => {
+    if (!isObject(data)) return 'invalid_payload';
+    if (!['forward', 'backward', 'up', 'down'].includes(data.direction)) return 'invalid_direction';
+    if (!isOptionalBoolean(data.speedMode) || !isOptionalBoolean(data.continuous)) return 'invalid_payload';
+    return null;
+  },
+
+  playerRotate: (data) => {
+    if (!isObject(data)) return 'invalid_payload';
+    if (!['left', 'right'].includes(data.direction)) return 'invalid_direction';
+    return null;
+  },
+
+  playerShoot: (data) => (isObject(data) ? null : 'invalid_payload'),
+
+  playerPickupAmmo: (data) => (isObject(data) ? null : 'invalid_payload'),
+
+  speedModeToggle: (data) => {
+    if (!isObject(data) || typeof data.enabled !== 'boolean') return 'invalid_payload';
+    if (!isOptionalBoolean(data.immediate)) return 'invalid_payload';
+    return null;
+  },
+
+  joinRoom: (data) => {
+    if (!isObject(data) || typeof data.roomId !== 'string') return 'invalid_payload';
+    if (data.mode !== undefined && typeof data.mode !== 'string') return 'invalid_payload';
+    if (data.difficulty !== undefined && typeof data.difficulty !== 'string') return 'invalid_payload';
+    return null;
+  },
+
+  ping: (data) => {
+    if (!isObject(data) || !Number.isFinite(data.timestamp)) return 'invalid_payload';
+    if (!isOptionalNumber(data.roundTripMs) || data.roundTripMs < 0) return 'invalid_payload';
+    return null;
+  },
+
+  snapshotAck: (data) => (isObject(data) && Number.isInteger(data.tick) ? null : 'invalid_payload'),
+
+  requestKeyframe: (data) => (isObject(data) ? null : 'invalid_payload'),
+
+  mapVote: (data) => (isObject(data) && typeof data.candidateId === 'string' ? null : 'invalid_payload')
+};
+
+// Inputs that share the client's input sequence counter
+const SEQUENCED_EVENTS = new Set([
+  'playerMove', 'playerRotate', 'playerShoot', 'playerPickupAmmo', 'speedModeToggle'
+]);
+
+// Sits in front of every socket handler: schema checks, per-event token-bucket
+// rate limits, monotonic input sequences, and a strike counter for kicking abusers
+class InputValidator {
+  constructor() {
+    this.settings = config.server.input_validation;
+    this.clients = new Map(); // clientId -> { buckets, lastSequence, strikes, lastStrikeDecay }
+  }
+
+  getClient(clientId) {
+    let client = this.clients.get(clientId);
+    if (!client) {
+      client = {
+        buckets: new Map(),
+        lastSequence: 0,
+        strikes: 0,
+        lastStrikeDecay: Date.now()
+      };
+      this.clients.set(clientId, client);
+    }
+    return client;
+  }
+
+  // Check one incoming event. Returns null if accepted, otherwise a rejection
+  // describing why (sent to the client as `inputRejected`).
+  validate(clientId, event, data) {
+    if (!this.settings.enabled) return null;
+
+    const client = this.getClient(clientId);
+    const now = Date.now();
+
+    // Rate limit first so floods are cheap to turn away
+    if (!this.consumeToken(client, event, now)) {
+      return this.reject(client, event, data, 'rate_limited');
+    }
+
+    const schema = SCHEMAS[event];
+    const reason = schema ? schema(data) : 'unknown_event';
+    if (reason) {
+      return this.reject(client, event, data, reason);
+    }
+
+    if (SEQUENCED_EVENTS.has(event)) {
+      if (!isOptionalNumber(data.timestamp)) {
+        return this.reject(client, event, data, 'invalid_payload');
+      }
+
+      if (data.sequence !== undefined) {
+        if (!Number.isInteger(data.sequence) || data.sequence < 0) {
+          return this.reject(client, event, data, 'invalid_sequence');
+        }
+        if (data.sequence <= client.lastSequence) {
+          return this.reject(client, event, data, 'stale_sequence');
+        }
+        client.lastSequence = data.sequence;
+      }
+    }
+
+    return null;
+  }
+
+  // Token bucket per client and event type
+  consumeToken(client, event, now) {
+    const limit = this.settings.rate_limits[event] || this.settings.rate_limits.default;
+
+    let bucket = client.buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, lastRefill: now };
+      client.buckets.set(event, bucket);
+    }
+
+    const elapsedSec = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsedSec * limit.per_second);
+    bucket.lastRefill = now;
+
+    if (bucket.tokens < 1) return false;
+
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  reject(client, event, data, reason) {
+    this.decayStrikes(client);
+    client.strikes++;
+
+    return {
+      event,
+      reason,
+      sequence: isObject(data) && Number.isInteger(data.sequence) ? data.sequence : null,
+      lastSequence: client.lastSequence,
+      strikes: client.strikes,
+      kick: client.strikes >= this.settings.max_strikes
+    };
+  }
+
+  // Forgive one strike per decay interval so occasional hiccups never add up to a kick
+  decayStrikes(client) {
+    const now = Date.now();
+    const intervals = Math.floor((now - client.lastStrikeDecay) / this.settings.strike_decay_ms);
+    if (intervals > 0) {
+      client.strikes = Math.max(0, client.strikes - intervals);
+      client.lastStrikeDecay += intervals * this.settings.strike_decay_ms;
+    }
+  }
+
+  // Clients restart their input sequence when they change rooms
+  resetSequence(clientId) {
+    const client = this.clients.get(clientId);
+    if (client) {
+      client.lastSequence = 0;
+    }
+  }
+
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+}
+
+module.exports = InputValidator;
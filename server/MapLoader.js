@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const configLoader = require('../shared/ConfigLoader');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+const MAPS_DIR = path.join(__dirname, '../maps');
+
+// Characters allowed in a map grid. Everything except empty space is a tile.
+const LEGEND = {
+  '.': null,           // No tile
+  ' ': null,           // No tile
+  '#': 'tile',         // Plain tile
+  'A': 'ammo',         // Tile with a fixed ammo pad
+  'P': 'power_up',     // Tile with a power-up pad (type rolled per arena)
+  'S': 'spawn',        // Tile tanks spawn on
+  'Z': 'zone',         // Control zone (king of the hill)
+  'C': 'cracked',      // Cracked tile - falls away for the rest of the round
+  'R': 'regrowing',    // Cracked tile that grows back after a while
+  'B': 'barrier',      // Tile that blocks on a timer
+  'W': 'wall'          // Wall - blocks tanks and bullets
+  // '1'-'9': flag base for that team, in modes.<mode>.teams order (capture the flag)
+  // 'a'-'z': teleporter pad, linked to the one other pad with the same letter
+};
+
+const isFlagBase = (char) => char >= '1' && char <= '9';
+const isTeleporter = (char) => char >= 'a' && char <= 'z';
+
+const DYNAMIC_TILE_TYPES = new Set(['cracked', 'regrowing', 'barrier']);
+
+// Hand-authored arenas from maps/<name>.json. A map is a JSON object with an
+// ASCII `grid` (one string per row, see LEGEND) and an optional `origin`
+// ({ gridX, gridY } of the top-left character; defaults to centring the grid).
+class MapLoader {
+  // Names of every map file in maps/
+  static listMaps() {
+    if (!fs.existsSync(MAPS_DIR)) return [];
+    return fs.readdirSync(MAPS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort();
+  }
+
+  // Read and validate maps/<name>.json. Throws with every problem found.
+  static loadMap(name) {
+    const filePath = path.join(MAPS_DIR, `${name}.json`);
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(filePath)) {
+      throw new Error(`Map '${name}' not found in ${MAPS_DIR} (available: ${MapLoader.listMaps().join(', ') || 'none'})`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Map '${name}' is not valid JSON: ${error.message}`);
+    }
+
+    return MapLoader.parseMap(name, data);
+  }
+
+  // Turn map data into tile/ammo/spawn/marker lists in arena grid coordinates
+  static parseMap(name, data) {
+    const errors = [];
+    const tilesPerSide = Math.floor(config.arena.world_size / config.arena.tile_size);
+    const maxGridCoord = tilesPerSide / 2;
+
+    const grid = data && data.grid;
+    if (!Array.isArray(grid) || grid.length === 0 || !grid.every(row => typeof row === 'string')) {
+      throw new Error(`Map '${name}' is invalid:\n  - 'grid' must be a non-empty array of strings`);
+    }
+
+    const width = Math.max(...grid.map(row => row.length));
+    const height = grid.length;
+    const origin = data.origin || {
+      gridX: -Math.floor(width / 2),
+      gridY: -Math.floor(height / 2)
+    };
+
+    if (!Number.isInteger(origin.gridX) || !Number.isInteger(origin.gridY)) {
+      errors.push(`'origin' must have integer gridX and gridY`);
+    }
+
+    const map = {
+      name: data.name || name,
+      description: data.description || '',
+      tiles: [],
+      ammoPads: [],
+      powerUpPads: [],
+      spawnPoints: [],
+      dynamicTiles: [],
+      walls: [],
+      teleporters: [], // [{ channel, pads: [tile, tile] }]
+      markers: { zones: [], flagBases: [] }
+    };
+
+    const teleporterPads = {}; // letter -> pads marked with it
+    grid.forEach((row, rowIndex) => {
+      for (let column = 0; column < row.length; column++) {
+        const char = row[column];
+        const kind = isFlagBase(char) ? 'flag_base' : isTeleporter(char) ? 'teleporter' : LEGEND[char];
+
+        if (kind === undefined) {
+          errors.push(`unknown character '${char}' at row ${rowIndex + 1}, column ${column + 1}`);
+          continue;
+        }
+        if (kind === null) continue;
+
+        const gridX = origin.gridX + column;
+        const gridY = origin.gridY + rowIndex;
+        if (gridX < -maxGridCoord || gridX >= maxGridCoord || gridY < -maxGridCoord || gridY >= maxGridCoord) {
+          errors.push(`tile at row ${rowIndex + 1}, column ${column + 1} lands on (${gridX}, ${gridY}), outside the arena (${-maxGridCoord}..${maxGridCoord - 1})`);
+          continue;
+        }
+
+        const tile = { gridX, gridY };
+        if (kind === 'wall') {
+          map.walls.push(tile);
+          continue;
+        }
+        if (DYNAMIC_TILE_TYPES.has(kind)) {
+          map.dynamicTiles.push({ ...tile, type: kind });
+          continue;
+        }
+        
+        map.tiles.push(tile);
+        if (kind === 'teleporter') teleporterPads[char] = [...(teleporterPads[char] || []), tile];
+        if (kind === 'ammo') map.ammoPads.push(tile);
+        if (kind === 'power_up') map.powerUpPads.push(tile);
+        if (kind === 'spawn') map.spawnPoints.push(tile);
+        if (kind === 'zone') map.markers.zones.push(tile);
+        if (kind === 'flag_base') map.markers.flagBases.push({ team: Number(char) - 1, ...tile });
+      }
+    });
+
+    for (const [letter, pads] of Object.entries(teleporterPads).sort()) {
+      if (pads.length !== 2) {
+        errors.push(`teleporter '${letter}' has ${pads.length} pad(s) - each letter must mark exactly two`);
+        continue;
+      }
+      map.teleporters.push({ channel: map.teleporters.length, pads });
+    }
+
+    if (map.spawnPoints.length === 0) {
+      errors.push(`no spawn points - mark at least one tile with 'S'`);
+    }
+
+    const cutOff = MapLoader.findUnreachableTiles([...map.tiles, ...map.dynamicTiles]);
+    if (cutOff.length > 0) {
+      const first = cutOff[0];
+      errors.push(`${cutOff.length} tile(s) are disconnected from the rest of the map (first at row ${first.gridY - origin.gridY + 1}, column ${first.gridX - origin.gridX + 1})`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Map '${name}' is invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    return map;
+  }
+
+  // Tiles that can't be driven to from the first tile
+  static findUnreachableTiles(tiles) {
+    if (tiles.length === 0) return [];
+
+    const keys = new Set(tiles.map(({ gridX, gridY }) => `${gridX},${gridY}`));
+    const reached = new Set([`${tiles[0].gridX},${tiles[0].gridY}`]);
+    const queue = [tiles[0]];
+
+    for (let i = 0; i < queue.length; i++) {
+      const { gridX, gridY } = queue[i];
+      for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+        const key = `${gridX + dx},${gridY + dy}`;
+        if (keys.has(key) && !reached.has(key)) {
+          reached.add(key);
+          queue.push({ gridX: gridX + dx, gridY: gridY + dy });
+        }
+      }
+    }
+
+    return tiles.filter(({ gridX, gridY }) => !reached.has(`${gridX},${gridY}`));
+  }
+
+  // Map names to play from ARENA_MAPS (comma-separated), then arena.maps in config.
+  // Empty means procedurally generated arenas.
+  static getConfiguredRotation() {
+    const configured = process.env.ARENA_MAPS ? process.env.ARENA_MAPS.split(',') : (config.arena.maps || []);
+    return configured.map(name => String(name).trim()).filter(name => name.length > 0);
+  }
+}
+
+module.exports = MapLoader;
@@ -0,0 +1,174 @@
+const configLoader = require('../shared/ConfigLoader');
+const SeededRandom = require('./SeededRandom');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// End-of-round vote on the next arena. While the results screen is up, players
+// choose between a few candidates - maps from the rotation, or generated
+// layouts by seed when there is no rotation. The first candidate is always what
+// the plain rotation would have played next, so a vote nobody joins changes nothing.
+class MapVote {
+  constructor(gameManager) {
+    this.gameManager = gameManager;
+    this.settings = config.rounds.map_vote;
+
+    this.candidates = []; // [{ id, type: 'map' | 'seed', name, description, mapIndex?, seed? }]
+    this.votes = new Map(); // playerId -> candidate id
+    this.open = false;
+  }
+
+  // Votes only matter when the next round gets a new arena
+  isEnabled() {
+    return this.settings.enabled && config.rounds.regenerate_arena;
+  }
+
+  // =============================================================================
+  // CANDIDATES
+  // =============================================================================
+
+  // Next map in the rotation first, then others picked at random (the map just
+  // played only if there aren't enough others)
+  getMapCandidates() {
+    const { mapRotation, mapIndex } = this.gameManager;
+    const order = [];
+    for (let i = 1; i <= mapRotation.length; i++) {
+      order.push((mapIndex + i) % mapRotation.length);
+    }
+
+    const [next, ...rest] = order;
+    const others = rest.slice(0, -1);
+    for (let i = others.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [others[i], others[j]] = [others[j], others[i]];
+    }
+
+    // Several rotation slots can hold the same map - offer it once
+    const seen = new Set();
+    const candidates = [];
+    for (const index of [next, ...others, mapIndex]) {
+      const map = mapRotation[index];
+      if (seen.has(map.name)) continue;
+      seen.add(map.name);
+      candidates.push({
+        id: `map:${index}`,
+        type: 'map',
+        name: map.name,
+        description: map.description,
+        mapIndex: index
+      });
+    }
+    return candidates.slice(0, this.settings.candidates);
+  }
+
+  getSeedCandidates() {
+    const candidates = [];
+    for (let i = 0; i < this.settings.candidates; i++) {
+      const seed = SeededRandom.createSeed();
+      candidates.push({
+        id: `seed:${seed}`,
+        type: 'seed',
+        name: `Seed ${seed}`,
+        description: 'Generated arena',
+        seed
+      });
+    }
+    return candidates;
+  }
+
+  // =============================================================================
+  // VOTING
+  // =============================================================================
+
+  start(durationMs, now = Date.now()) {
+    if (!this.isEnabled()) return;
+
+    this.candidates = this.gameManager.mapRotation.length > 0 ?
+      this.getMapCandidates() : this.getSeedCandidates();
+    this.votes.clear();
+    this.open = true;
+
+    this.gameManager.emitToRoom('mapVoteStart', {
+      candidates: this.getCandidateStates(),
+      durationMs,
+      timestamp: now
+    });
+    console.log(`🗳️  Room '${this.gameManager.roomId}' map vote: ${this.candidates.map(c => c.name).join(' / ')}`);
+  }
+
+  // Record (or change) a player's vote. Returns false if it wasn't accepted.
+  castVote(playerId, candidateId) {
+    if (!this.open || !this.candidates.some(candidate => candidate.id === candidateId)) {
+      return false;
+    }
+
+    this.votes.set(playerId, candidateId);
+    this.gameManager.emitToRoom('mapVoteUpdate', {
+      tallies: this.getTallies(),
+      timestamp: Date.now()
+    });
+    return true;
+  }
+
+  removeVoter(playerId) {
+    if (this.votes.delete(playerId) && this.open) {
+      this.gameManager.emitToRoom('mapVoteUpdate', {
+        tallies: this.getTallies(),
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  getTallies() {
+    const tallies = {};
+    for (const candidate of this.candidates) {
+      tallies[candidate.id] = 0;
+    }
+    for (const candidateId of this.votes.values()) {
+      tallies[candidateId]++;
+    }
+    return tallies;
+  }
+
+  // Close the vote and return the winning candidate (null if no vote was running).
+  // Most votes wins; ties are settled at random; no votes at all keeps the rotation.
+  finish() {
+    if (!this.open) return null;
+    this.open = false;
+
+    const tallies = this.getTallies();
+    const topVotes = Math.max(...Object.values(tallies));
+    const leaders = this.candidates.filter(candidate => tallies[candidate.id] === topVotes);
+    const winner = topVotes > 0 ? leaders[Math.floor(Math.random() * leaders.length)] : this.candidates[0];
+
+    this.gameManager.emitToRoom('mapVoteResult', {
+      winner: this.getCandidateState(winner),
+      tallies,
+      timestamp: Date.now()
+    });
+    console.log(`🗳️  Room '${this.gameManager.roomId}' voted for ${winner.name} (${topVotes} vote(s))`);
+
+    this.candidates = [];
+    this.votes.clear();
+    return winner;
+  }
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  getCandidateState(candidate) {
+    return {
+      id: candidate.id,
+      type: candidate.type,
+      name: candidate.name,
+      description: candidate.description
+    };
+  }
+
+  getCandidateStates() {
+    return this.candidates.map(candidate => this.getCandidateState(candidate));
+  }
+}
+
+module.exports = MapVote;
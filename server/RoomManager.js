@@ -0,0 +1,285 @@
+const configLoader = require('../shared/ConfigLoader');
+const GameManager = require('./GameManager');
+const InputValidator = require('./InputValidator');
+const { isValidMode } = require('./modes');
+const { isValidTier } = require('./BotDifficulty');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Socket events forwarded to the GameManager of the socket's room
+const ROUTED_EVENTS = {
+  playerJoin: 'handlePlayerJoin',
+  playerMove: 'handlePlayerMove',
+  playerRotate: 'handlePlayerRotate',
+  playerShoot: 'handlePlayerShoot',
+  playerPickupAmmo: 'handlePlayerPickupAmmo',
+  speedModeToggle: 'handleSpeedModeToggle',
+  ping: 'handlePing',
+  snapshotAck: 'handleSnapshotAck',
+  requestKeyframe: 'handleKeyframeRequest',
+  mapVote: 'handleMapVote'
+};
+
+class RoomManager {
+  constructor(io) {
+    this.io = io;
+    this.rooms = new Map();        // roomId -> GameManager instance
+    this.socketRooms = new Map();  // socketId -> roomId
+    this.inputValidator = new InputValidator();
+    this.nextAutoRoomId = 1;
+
+    // Room limits (MAX_PLAYERS env var overrides the YAML value for deployments)
+    this.maxPlayersPerRoom = process.env.MAX_PLAYERS ?
+      parseInt(process.env.MAX_PLAYERS) : config.server.optimization.max_players_per_room;
+    this.maxRooms = process.env.MAX_ROOMS ? parseInt(process.env.MAX_ROOMS) : config.server.rooms.max_rooms;
+    this.defaultRoomId = config.server.rooms.default_room;
+    this.defaultMode = process.env.GAME_MODE || config.modes.default;
+    this.defaultBotDifficulty = process.env.BOT_DIFFICULTY || config.bots.difficulty.default_tier;
+
+    // The default room always exists so new connections have somewhere to land
+    this.createRoom(this.defaultRoomId);
+
+    this.setupSocketEvents();
+  }
+
+  setupSocketEvents() {
+    this.io.on('connection', (socket) => {
+      console.log(`New connection ${socket.id}`);
+
+      const roomId = this.findAvailableRoom();
+      if (!roomId) {
+        socket.emit('roomJoinFailed', { roomId: null, reason: 'server_full' });
+        socket.disconnect(true);
+        return;
+      }
+
+      this.assignSocketToRoom(socket, roomId);
+
+      socket.on('disconnect', () => {
+        this.removeSocket(socket);
+        this.inputValidator.removeClient(socket.id);
+        console.log(`Disconnected ${socket.id}`);
+      });
+
+      // Room lobby
+      socket.on('joinRoom', (data, ack) => {
+        if (!this.acceptInput(socket, 'joinRoom', data)) {
+          if (typeof ack === 'function') {
+            ack({ ok: false, roomId: null, reason: 'input_rejected' });
+          }
+          return;
+        }
+        this.handleJoinRoom(socket, data, ack);
+      });
+
+      // Gameplay, latency and snapshot events go to the socket's room
+      for (const [event, handlerName] of Object.entries(ROUTED_EVENTS)) {
+        socket.on(event, (data) => {
+          const payload = data === undefined ? {} : data;
+          if (!this.acceptInput(socket, event, payload)) return;
+          this.routeToRoom(socket, handlerName, payload);
+        });
+      }
+    });
+  }
+
+  // Run an event through the validator, telling the client about rejections
+  // and kicking sockets that keep sending bad input
+  acceptInput(socket, event, data) {
+    const rejection = this.inputValidator.validate(socket.id, event, data);
+    if (!rejection) return true;
+
+    socket.emit('inputRejected', rejection);
+
+    if (rejection.kick) {
+      console.log(`Kicking ${socket.id} after ${rejection.strikes} rejected inputs (last: ${event} ${rejection.reason})`);
+      socket.disconnect(true);
+    }
+    return false;
+  }
+
+  // Forward a socket event to the GameManager of the room the socket is in
+  routeToRoom(socket, handlerName, data) {
+    const gameManager = this.getRoomForSocket(socket.id);
+    if (!gameManager) return;
+
+    gameManager[handlerName](socket.id, data);
+  }
+
+  handleJoinRoom(socket, data, ack) {
+    const roomId = this.sanitizeRoomId(data.roomId);
+    const respond = (payload) => {
+      if (typeof ack === 'function') {
+        ack(payload);
+      }
+    };
+
+    if (!roomId) {
+      const failure = { roomId: null, reason: 'invalid_room_id' };
+      socket.emit('roomJoinFailed', failure);
+      respond({ ok: false, ...failure });
+      return;
+    }
+
+    // Already in the requested room
+    if (this.socketRooms.get(socket.id) === roomId) {
+      respond({ ok: true, roomId });
+      return;
+    }
+
+    if (!this.rooms.has(roomId) && this.rooms.size >= this.maxRooms) {
+      const failure = { roomId, reason: 'room_limit_reached' };
+      socket.emit('roomJoinFailed', failure);
+      respond({ ok: false, ...failure });
+      return;
+    }
+
+    // A mode and bot difficulty can only be chosen when the join creates the room
+    const mode = data.mode === undefined ? this.defaultMode : data.mode;
+    if (!this.rooms.has(roomId) && !isValidMode(mode)) {
+      const failure = { roomId, reason: 'invalid_mode' };
+      socket.emit('roomJoinFailed', failure);
+      respond({ ok: false, ...failure });
+      return;
+    }
+
+    const difficulty = data.difficulty === undefined ? this.defaultBotDifficulty : data.difficulty;
+    if (!this.rooms.has(roomId) && !isValidTier(difficulty)) {
+      const failure = { roomId, reason: 'invalid_difficulty' };
+      socket.emit('roomJoinFailed', failure);
+      respond({ ok: false, ...failure });
+      return;
+    }
+
+    const gameManager = this.rooms.get(roomId);
+    if (gameManager && !this.hasCapacity(gameManager)) {
+      const failure = { roomId, reason: 'room_full' };
+      socket.emit('roomJoinFailed', failure);
+      respond({ ok: false, ...failure });
+      return;
+    }
+
+    if (!gameManager) {
+      this.createRoom(roomId, mode, difficulty);
+    }
+
+    this.removeSocket(socket);
+    this.assignSocketToRoom(socket, roomId);
+    respond({ ok: true, roomId });
+  }
+
+  assignSocketToRoom(socket, roomId) {
+    const gameManager = this.rooms.get(roomId) || this.createRoom(roomId);
+
+    socket.join(roomId);
+    this.socketRooms.set(socket.id, roomId);
+    this.inputValidator.resetSequence(socket.id);
+
+    // Announce the room before addPlayer sends its arena and first keyframe, so
+    // the client drops the old room's states before the new ones arrive
+    socket.emit('roomJoined', {
+      roomId,
+      mode: gameManager.mode.name,
+      playerCount: gameManager.getHumanPlayerCount() + 1,
+      maxPlayers: this.maxPlayersPerRoom
+    });
+
+    gameManager.addPlayer(socket.id);
+
+    console.log(`Socket ${socket.id} joined room '${roomId}'`);
+  }
+
+  removeSocket(socket) {
+    const roomId = this.socketRooms.get(socket.id);
+    if (!roomId) return;
+
+    const gameManager = this.rooms.get(roomId);
+    if (gameManager) {
+      gameManager.removePlayer(socket.id);
+    }
+
+    socket.leave(roomId);
+    this.socketRooms.delete(socket.id);
+
+    // Tear down empty rooms other than the default lobby
+    if (gameManager && roomId !== this.defaultRoomId && gameManager.getHumanPlayerCount() === 0) {
+      this.destroyRoom(roomId);
+    }
+  }
+
+  createRoom(roomId, mode = this.defaultMode, botDifficulty = this.defaultBotDifficulty) {
+    const gameManager = new GameManager(this.io, roomId, mode, botDifficulty);
+    this.rooms.set(roomId, gameManager);
+    const arena = gameManager.arena;
+    console.log(`🏠 Created room '${roomId}' [${mode}, ${botDifficulty} bots, ${arena.map ? `map '${arena.map.name}'` : `seed ${arena.seed}`}] (Total rooms: ${this.rooms.size})`);
+    return gameManager;
+  }
+
+  destroyRoom(roomId) {
+    const gameManager = this.rooms.get(roomId);
+    if (!gameManager) return;
+
+    gameManager.shutdown();
+    this.rooms.delete(roomId);
+    console.log(`🏚️  Destroyed room '${roomId}' (Total rooms: ${this.rooms.size})`);
+  }
+
+  // Pick the first room with a free slot, creating a new one if all are full
+  findAvailableRoom() {
+    for (const [roomId, gameManager] of this.rooms) {
+      if (this.hasCapacity(gameManager)) {
+        return roomId;
+      }
+    }
+
+    if (this.rooms.size >= this.maxRooms) {
+      return null;
+    }
+
+    let roomId = `room-${this.nextAutoRoomId++}`;
+    while (this.rooms.has(roomId)) {
+      roomId = `room-${this.nextAutoRoomId++}`;
+    }
+    return roomId;
+  }
+
+  hasCapacity(gameManager) {
+    return gameManager.getHumanPlayerCount() < this.maxPlayersPerRoom;
+  }
+
+  // Room ids are user-supplied, so keep them short and URL-safe
+  sanitizeRoomId(roomId) {
+    if (typeof roomId !== 'string') return null;
+
+    const trimmed = roomId.trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,32}$/.test(trimmed)) return null;
+
+    return trimmed;
+  }
+
+  getRoomForSocket(socketId) {
+    const roomId = this.socketRooms.get(socketId);
+    return roomId ? this.rooms.get(roomId) : null;
+  }
+
+  // Get lobby listing for the GET /rooms endpoint
+  getRoomList() {
+    return Array.from(this.rooms.entries()).map(([roomId, gameManager]) => ({
+      roomId,
+      mode: gameManager.mode.name,
+      players: gameManager.getHumanPlayerCount(),
+      bots: gameManager.bots.size,
+      maxPlayers: this.maxPlayersPerRoom,
+      isFull: !this.hasCapacity(gameManager)
+    }));
+  }
+
+  shutdown() {
+    for (const gameManager of this.rooms.values()) {
+      gameManager.shutdown();
+    }
+  }
+}
+
+module.exports = RoomManager;
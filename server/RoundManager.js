@@ -0,0 +1,263 @@
+const configLoader = require('../shared/ConfigLoader');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Round lifecycle phases
+const RoundPhases = {
+  WARMUP: 'warmup',     // Free play while players gather - nothing is scored
+  LIVE: 'live',         // Scored play until the score limit or the clock runs out
+  OVERTIME: 'overtime', // Tied at the buzzer - the next score wins
+  RESULTS: 'results'    // Final standings on screen, gameplay frozen
+};
+
+// Runs one match's round state machine (warmup → live → overtime → results →
+// next round) and keeps the per-round standings reported in roundEnd.
+class RoundManager {
+  constructor(gameManager) {
+    this.gameManager = gameManager;
+    this.settings = config.rounds;
+    this.enabled = this.settings.enabled;
+
+    this.round = 0;
+    this.phase = this.enabled ? RoundPhases.WARMUP : RoundPhases.LIVE;
+    this.phaseStartTime = Date.now();
+    this.liveStartTime = Date.now();
+
+    this.stats = new Map(); // tankId -> { id, name, isBot, team, kills, deaths, bestStreak, timeAliveMs }
+  }
+
+  // =============================================================================
+  // PHASE QUERIES
+  // =============================================================================
+
+  // Tanks may move and shoot (everything except the results screen)
+  isGameplayActive() {
+    return this.phase !== RoundPhases.RESULTS;
+  }
+
+  // Kills count towards standings and mode scores
+  isScoring() {
+    return this.phase === RoundPhases.LIVE || this.phase === RoundPhases.OVERTIME;
+  }
+
+  getPhaseDuration() {
+    switch (this.phase) {
+      case RoundPhases.WARMUP:
+        return this.settings.warmup_ms;
+      case RoundPhases.LIVE:
+        return this.gameManager.mode.getRoundSettings().durationMs;
+      case RoundPhases.OVERTIME:
+        return this.settings.overtime_ms;
+      case RoundPhases.RESULTS:
+        return this.settings.results_ms;
+    }
+    return 0;
+  }
+
+  // =============================================================================
+  // STANDINGS
+  // =============================================================================
+
+  ensureStats(tank) {
+    let entry = this.stats.get(tank.id);
+    if (!entry) {
+      entry = {
+        id: tank.id,
+        name: tank.name,
+        isBot: tank.isBot || false,
+        team: tank.team,
+        kills: 0,
+        deaths: 0,
+        bestStreak: 0,
+        timeAliveMs: 0
+      };
+      this.stats.set(tank.id, entry);
+    }
+    return entry;
+  }
+
+  onTankAdded(tank) {
+    this.ensureStats(tank);
+  }
+
+  onTankRemoved(tankId) {
+    this.stats.delete(tankId);
+  }
+
+  // Time the tank has been alive in this round's current life
+  getCurrentLifeMs(tank, now) {
+    if (!tank.alive) return 0;
+    return Math.max(0, now - Math.max(tank.spawnTime, this.liveStartTime));
+  }
+
+  recordKill(killerTank, victimTank) {
+    if (!this.isScoring()) return;
+
+    const now = Date.now();
+    const victim = this.ensureStats(victimTank);
+    victim.deaths++;
+    // The victim is already flagged dead, so measure the life from its spawn time
+    victim.timeAliveMs += Math.max(0, now - Math.max(victimTank.spawnTime, this.liveStartTime));
+
+    if (killerTank) {
+      const killer = this.ensureStats(killerTank);
+      killer.kills++;
+      killer.bestStreak = Math.max(killer.bestStreak, killerTank.killStreak);
+    }
+  }
+
+  // Standings sorted by kills, then fewest deaths, then longest survival
+  getStandings(now = Date.now()) {
+    const standings = [];
+
+    for (const entry of this.stats.values()) {
+      const tank = this.gameManager.tanks.get(entry.id);
+      standings.push({
+        ...entry,
+        name: tank ? tank.name : entry.name,
+        team: tank ? tank.team : entry.team,
+        timeAliveMs: entry.timeAliveMs + (tank ? this.getCurrentLifeMs(tank, now) : 0)
+      });
+    }
+
+    return standings.sort((a, b) =>
+      (b.kills - a.kills) || (a.deaths - b.deaths) || (b.timeAliveMs - a.timeAliveMs)
+    );
+  }
+
+  // =============================================================================
+  // STATE MACHINE
+  // =============================================================================
+
+  update(now) {
+    if (!this.enabled) return;
+
+    const elapsed = now - this.phaseStartTime;
+    const mode = this.gameManager.mode;
+
+    switch (this.phase) {
+      case RoundPhases.WARMUP:
+        if (elapsed >= this.settings.warmup_ms) {
+          this.startLive(now);
+        }
+        break;
+
+      case RoundPhases.LIVE: {
+        const { durationMs, scoreLimit } = mode.getRoundSettings();
+        const leader = mode.getLeader(this.stats);
+        const outcome = mode.getRoundOutcome(this.stats);
+
+        if (outcome) {
+          this.endRound(outcome.reason, outcome.winner, now);
+        } else if (leader && scoreLimit > 0 && leader.score >= scoreLimit) {
+          this.endRound('score_limit', leader, now);
+        } else if (elapsed >= durationMs) {
+          if (leader) {
+            this.endRound('time_limit', leader, now);
+          } else if (this.settings.overtime_ms > 0) {
+            this.enterPhase(RoundPhases.OVERTIME, now);
+            this.gameManager.emitToRoom('roundOvertime', {
+              round: this.round,
+              durationMs: this.settings.overtime_ms,
+              timestamp: now
+            });
+          } else {
+            this.endRound('time_limit', null, now);
+          }
+        }
+        break;
+      }
+
+      case RoundPhases.OVERTIME: {
+        // Sudden death: the first score that breaks the tie wins
+        const leader = mode.getLeader(this.stats);
+        const outcome = mode.getRoundOutcome(this.stats);
+        if (outcome) {
+          this.endRound(outcome.reason, outcome.winner, now);
+        } else if (leader) {
+          this.endRound('overtime', leader, now);
+        } else if (elapsed >= this.settings.overtime_ms) {
+          this.endRound('overtime', null, now); // Still tied - draw
+        }
+        break;
+      }
+
+      case RoundPhases.RESULTS:
+        if (elapsed >= this.settings.results_ms) {
+          this.gameManager.resetForRound(this.settings.regenerate_arena);
+          this.enterPhase(RoundPhases.WARMUP, now);
+          this.gameManager.emitToRoom('roundWarmup', {
+            round: this.round + 1,
+            durationMs: this.settings.warmup_ms,
+            timestamp: now
+          });
+        }
+        break;
+    }
+  }
+
+  enterPhase(phase, now) {
+    this.phase = phase;
+    this.phaseStartTime = now;
+    console.log(`⏱️  Room '${this.gameManager.roomId}' round ${this.round}: ${phase}`);
+  }
+
+  startLive(now) {
+    this.round++;
+    this.liveStartTime = now;
+
+    // Fresh standings for everyone currently in the match
+    this.stats.clear();
+    for (const tank of this.gameManager.tanks.values()) {
+      this.ensureStats(tank);
+    }
+
+    this.gameManager.mode.reset();
+    this.gameManager.resetForRound(false);
+    this.enterPhase(RoundPhases.LIVE, now);
+
+    const { durationMs, scoreLimit } = this.gameManager.mode.getRoundSettings();
+    this.gameManager.emitToRoom('roundStart', {
+      round: this.round,
+      mode: this.gameManager.mode.name,
+      durationMs,
+      scoreLimit,
+      timestamp: now
+    });
+  }
+
+  endRound(reason, leader, now) {
+    this.enterPhase(RoundPhases.RESULTS, now);
+    this.gameManager.clearBullets();
+
+    this.gameManager.emitToRoom('roundEnd', {
+      round: this.round,
+      reason,
+      winner: leader,
+      mode: this.gameManager.mode.getState(),
+      standings: this.getStandings(now),
+      resultsMs: this.settings.results_ms,
+      timestamp: now
+    });
+    console.log(`🏁 Room '${this.gameManager.roomId}' round ${this.round} ended (${reason}, winner: ${leader ? leader.name : 'draw'})`);
+
+    // Players pick the next arena while the results are up
+    this.gameManager.mapVote.start(this.settings.results_ms, now);
+  }
+
+  // Round data sent with every gameState
+  getState() {
+    const now = Date.now();
+    return {
+      round: this.round,
+      phase: this.phase,
+      timeRemainingMs: this.enabled ? Math.max(0, this.getPhaseDuration() - (now - this.phaseStartTime)) : null,
+      scoreLimit: this.gameManager.mode.getRoundSettings().scoreLimit
+    };
+  }
+}
+
+RoundManager.RoundPhases = RoundPhases;
+
+module.exports = RoundManager;
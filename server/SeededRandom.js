@@ -0,0 +1,52 @@
+// Small deterministic PRNG (mulberry32) so arena layouts can be reproduced from a seed.
+// Same seed, same sequence - on any machine and any Node version.
+class SeededRandom {
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Next float in [0, 1), drop-in for Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Fresh random seed for when none was asked for
+  static createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  // Seeds are unsigned 32-bit integers. Numeric strings (e.g. from an env var)
+  // parse as numbers; any other string is hashed so "lobby-night" works too.
+  static normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return Math.floor(value) >>> 0;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Seed from ARENA_SEED, then arena.seed in config; null means pick a new one each time
+  static getConfiguredSeed(config) {
+    const configured = process.env.ARENA_SEED !== undefined && process.env.ARENA_SEED !== '' ?
+      process.env.ARENA_SEED : config.arena.seed;
+    return configured === null || configured === undefined ? null : SeededRandom.normalizeSeed(configured);
+  }
+}
+
+module.exports = SeededRandom;
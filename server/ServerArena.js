@@ -1,25 +1,116 @@
 const configLoader = require('../shared/ConfigLoader');
+const SeededRandom = require('./SeededRandom');
 
 const config = configLoader.getAll();
 
 class ServerArena {
-  constructor() {
+  // seed: layout seed; defaults to ARENA_SEED / arena.seed, or a fresh random one
+  // map: parsed map from MapLoader to use instead of a generated layout
+  constructor(seed = SeededRandom.getConfiguredSeed(config), map = null) {
     this.worldSize = config.arena.world_size;
     this.tileSize = config.arena.tile_size;
     this.tilesPerSide = Math.floor(this.worldSize / this.tileSize);
     
     // Generate the arena tiles
-    this.tiles = new Map(); // Map of "x,y" -> true (tile exists)
+    this.tiles = new Map(); // Map of "x,y" -> tile state (see createTile)
     this.ammoSpawns = new Map(); // Map of "x,y" -> true (ammo exists)
+    this.controlZones = new Map(); // Map of "x,y" -> true (tile is a control zone)
+    this.collapseWarnings = new Map(); // Map of "x,y" -> collapse_time (tile is about to fall away)
+    this.collapsedTiles = new Map(); // Map of "x,y" -> { tile, hadAmmo } (tile removed by a shrinking arena)
+    this.brokenTiles = new Map(); // Map of "x,y" -> { tile, hadAmmo, regrowTime } (cracked tile that fell away)
+    this.tileChanges = []; // Pending { change, tile } events since the last takeTileChanges()
+    this.teleporters = new Map(); // Map of "x,y" -> { gridX, gridY, channel } (the pad it sends tanks to)
+    this.powerUpPads = new Map(); // Map of "x,y" -> power-up type the pad hands out
+    this.powerUps = new Map(); // Map of "x,y" -> type (power-up waiting on its pad)
+    this.powerUpRespawnTimers = new Map(); // Map of "x,y" -> respawn_time
     
-    this.generateArena();
-    this.generateAmmoSpawns();
+    // Hand-authored map data (null for generated arenas)
+    this.map = map;
+    this.spawnPoints = []; // [{ gridX, gridY }] - empty means spawn on any tile
+    this.mapMarkers = { zones: [], flagBases: [] }; // Mode markers placed by the map
+    
+    // Every layout decision draws from this, so a seed reproduces the map
+    this.seed = seed === null || seed === undefined ? SeededRandom.createSeed() : SeededRandom.normalizeSeed(seed);
+    this.random = new SeededRandom(this.seed);
+    
+    this.buildLayout();
     
     // Track ammo respawn timers
     this.ammoRespawnTimers = new Map(); // Map of "x,y" -> respawn_time
     this.ammoRespawnDelay = config.arena.ammo_respawn_delay_ms; // 15 seconds
   }
 
+  // Throw away the current layout and build a fresh one (between rounds). Pass a
+  // seed to rebuild a specific layout; otherwise a configured seed is reused and
+  // without one every round gets a new random seed. Pass a map to switch to it
+  // (null goes back to generated arenas); it defaults to the current one.
+  regenerate(seed = SeededRandom.getConfiguredSeed(config), map = this.map) {
+    this.seed = seed === null || seed === undefined ? SeededRandom.createSeed() : SeededRandom.normalizeSeed(seed);
+    this.random = new SeededRandom(this.seed);
+    
+    this.tiles.clear();
+    this.ammoSpawns.clear();
+    this.ammoRespawnTimers.clear();
+    this.controlZones.clear();
+    this.collapseWarnings.clear();
+    this.collapsedTiles.clear();
+    this.brokenTiles.clear();
+    this.tileChanges = [];
+    this.teleporters.clear();
+    this.powerUpPads.clear();
+    this.powerUps.clear();
+    this.powerUpRespawnTimers.clear();
+    
+    this.map = map;
+    this.buildLayout();
+  }
+
+  // Lay out tiles and ammo from the map, or generate them
+  buildLayout() {
+    this.spawnPoints = [];
+    this.mapMarkers = { zones: [], flagBases: [] };
+    
+    if (this.map) {
+      this.loadMapLayout(this.map);
+    } else {
+      this.generateArena();
+      this.generateAmmoSpawns();
+      this.generatePowerUpPads();
+    }
+  }
+
+  // Use a hand-authored map (already validated by MapLoader) in place of generateArena()
+  loadMapLayout(map) {
+    for (const { gridX, gridY } of map.tiles) {
+      this.tiles.set(`${gridX},${gridY}`, this.createTile());
+    }
+    
+    // Maps place their own dynamic tiles and walls
+    for (const { gridX, gridY, type } of map.dynamicTiles) {
+      this.tiles.set(`${gridX},${gridY}`, this.createTile(type));
+    }
+    for (const { gridX, gridY } of map.walls) {
+      this.tiles.set(`${gridX},${gridY}`, this.createTile('wall'));
+    }
+    for (const { channel, pads } of map.teleporters) {
+      this.linkTeleporters(pads[0], pads[1], channel);
+    }
+    
+    // Ammo only ever appears on the map's pads
+    for (const { gridX, gridY } of map.ammoPads) {
+      this.ammoSpawns.set(`${gridX},${gridY}`, true);
+    }
+    for (const { gridX, gridY } of map.powerUpPads) {
+      this.addPowerUpPad(`${gridX},${gridY}`);
+    }
+    
+    this.spawnPoints = map.spawnPoints.map(tile => ({ ...tile }));
+    this.mapMarkers = {
+      zones: map.markers.zones.map(tile => ({ ...tile })),
+      flagBases: map.markers.flagBases.map(base => ({ ...base }))
+    };
+  }
+
   // Generate the arena tiles with procedural generation
   generateArena() {
     const tileDensity = config.arena.tile_density;
@@ -29,19 +120,26 @@ class ServerArena {
     for (let x = -maxGridCoord; x < maxGridCoord; x++) {
       for (let y = -maxGridCoord; y < maxGridCoord; y++) {
         // Generate tile based on density probability
-        if (Math.random() < tileDensity) {
-          this.tiles.set(`${x},${y}`, true);
+        if (this.random.next() < tileDensity) {
+          this.tiles.set(`${x},${y}`, this.createTile());
         }
       }
     }
     
     // Ensure center tile exists for spawning
     if (!this.tiles.has('0,0')) {
-      this.tiles.set('0,0', true);
+      this.tiles.set('0,0', this.createTile());
     }
     
     // Ensure there are always some tiles for spawning
     this.ensureMinimumTiles();
+    
+    // Coin-flip tiles leave islands - join or drop them so everything is reachable
+    this.ensureConnectivity();
+    
+    this.assignTileTypes();
+    this.placeWalls();
+    this.placeTeleporters();
   }
 
   // Ensure there are enough tiles for players to spawn
@@ -53,25 +151,452 @@ class ServerArena {
     if (currentTiles < minTiles) {
       // Add random tiles until we have enough
       while (this.tiles.size < minTiles) {
-        const x = Math.floor(Math.random() * this.tilesPerSide) - maxGridCoord;
-        const y = Math.floor(Math.random() * this.tilesPerSide) - maxGridCoord;
-        this.tiles.set(`${x},${y}`, true);
+        const x = Math.floor(this.random.next() * this.tilesPerSide) - maxGridCoord;
+        const y = Math.floor(this.random.next() * this.tilesPerSide) - maxGridCoord;
+        this.tiles.set(`${x},${y}`, this.createTile());
+      }
+    }
+  }
+
+  // Make every tile reachable from every other, as set by arena.connectivity
+  ensureConnectivity() {
+    switch (config.arena.connectivity) {
+      case 'largest_region':
+        this.pruneToLargestRegion();
+        break;
+      case 'carve':
+        this.carveCorridors();
+        break;
+    }
+  }
+
+  // Drop every tile outside the biggest region, then grow it back up to the minimum size
+  pruneToLargestRegion() {
+    const keep = new Set(this.getLargestRegion());
+    for (const tileKey of Array.from(this.tiles.keys())) {
+      if (!keep.has(tileKey)) {
+        this.tiles.delete(tileKey);
       }
     }
+    
+    while (this.tiles.size < config.arena.minimum_tiles) {
+      const frontier = this.getEmptyNeighbors();
+      if (frontier.length === 0) break;
+      
+      const { gridX, gridY } = frontier[Math.floor(this.random.next() * frontier.length)];
+      this.tiles.set(`${gridX},${gridY}`, this.createTile());
+    }
+  }
+
+  // In-bounds empty squares next to an existing tile
+  getEmptyNeighbors() {
+    const seen = new Set();
+    const empty = [];
+    const maxGridCoord = this.tilesPerSide / 2;
+    
+    for (const tileKey of this.tiles.keys()) {
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+        const x = gridX + dx;
+        const y = gridY + dy;
+        const key = `${x},${y}`;
+        if (x < -maxGridCoord || x >= maxGridCoord || y < -maxGridCoord || y >= maxGridCoord) continue;
+        if (this.tiles.has(key) || seen.has(key)) continue;
+        
+        seen.add(key);
+        empty.push({ gridX: x, gridY: y });
+      }
+    }
+    
+    return empty;
+  }
+
+  // Join each island to the main region with a corridor from its closest tile
+  carveCorridors() {
+    const parse = (tileKey) => {
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      return { gridX, gridY };
+    };
+    
+    const [mainRegion, ...islands] = this.getRegions();
+    if (!mainRegion) return;
+    
+    // Everything joined so far; corridors only ever add tiles, so joined stays joined
+    const joined = new Map(mainRegion.map(tileKey => [tileKey, parse(tileKey)]));
+    
+    for (const island of islands) {
+      let from = null;
+      let to = null;
+      let bestDistance = Infinity;
+      
+      for (const tileKey of island) {
+        const a = parse(tileKey);
+        for (const b of joined.values()) {
+          const distance = Math.abs(a.gridX - b.gridX) + Math.abs(a.gridY - b.gridY);
+          if (distance < bestDistance) {
+            from = a;
+            to = b;
+            bestDistance = distance;
+          }
+        }
+      }
+      
+      for (const tile of this.carveCorridor(from, to)) {
+        joined.set(`${tile.gridX},${tile.gridY}`, tile);
+      }
+      for (const tileKey of island) {
+        joined.set(tileKey, parse(tileKey));
+      }
+    }
+  }
+
+  // Lay an L-shaped run of tiles between two tiles, turning at a random corner.
+  // Returns the tiles along the corridor.
+  carveCorridor(from, to) {
+    const horizontalFirst = this.random.next() < 0.5;
+    const corner = horizontalFirst ?
+      { gridX: to.gridX, gridY: from.gridY } :
+      { gridX: from.gridX, gridY: to.gridY };
+    
+    const corridor = [];
+    
+    for (const [start, end] of [[from, corner], [corner, to]]) {
+      const stepX = Math.sign(end.gridX - start.gridX);
+      const stepY = Math.sign(end.gridY - start.gridY);
+      let x = start.gridX;
+      let y = start.gridY;
+      
+      corridor.push({ gridX: x, gridY: y });
+      while (x !== end.gridX || y !== end.gridY) {
+        x += stepX;
+        y += stepY;
+        corridor.push({ gridX: x, gridY: y });
+      }
+    }
+    
+    corridor.forEach(({ gridX, gridY }) => this.tiles.set(`${gridX},${gridY}`, this.createTile()));
+    return corridor;
+  }
+
+  // Stand walls on some of the empty squares around the floor. Walls never sit
+  // where a tank could drive, so they can't cut the arena apart.
+  placeWalls() {
+    for (const { gridX, gridY } of this.getEmptyNeighbors()) {
+      if (this.random.next() < config.arena.wall_probability) {
+        this.tiles.set(`${gridX},${gridY}`, this.createTile('wall'));
+      }
+    }
+  }
+
+  // Link pairs of solid tiles far enough apart as teleporter pads
+  placeTeleporters() {
+    const settings = config.arena.teleporters;
+    const candidates = Array.from(this.tiles.entries())
+      .filter(([tileKey, tile]) => tile.type === 'solid' && tileKey !== '0,0')
+      .map(([tileKey]) => {
+        const [gridX, gridY] = tileKey.split(',').map(Number);
+        return { gridX, gridY };
+      });
+    
+    for (let channel = 0; channel < settings.pairs && candidates.length >= 2; channel++) {
+      const first = candidates.splice(Math.floor(this.random.next() * candidates.length), 1)[0];
+      const farEnough = candidates.filter(tile =>
+        Math.abs(tile.gridX - first.gridX) + Math.abs(tile.gridY - first.gridY) >= settings.min_distance_tiles
+      );
+      if (farEnough.length === 0) break;
+      
+      const second = farEnough[Math.floor(this.random.next() * farEnough.length)];
+      candidates.splice(candidates.indexOf(second), 1);
+      this.linkTeleporters(first, second, channel);
+    }
+  }
+
+  // Turn two tiles into a linked teleporter pair
+  linkTeleporters(a, b, channel) {
+    this.tiles.set(`${a.gridX},${a.gridY}`, this.createTile('teleporter'));
+    this.tiles.set(`${b.gridX},${b.gridY}`, this.createTile('teleporter'));
+    this.teleporters.set(`${a.gridX},${a.gridY}`, { gridX: b.gridX, gridY: b.gridY, channel });
+    this.teleporters.set(`${b.gridX},${b.gridY}`, { gridX: a.gridX, gridY: a.gridY, channel });
+  }
+
+  // Pad a teleporter sends tanks to, or null if the tile isn't a teleporter
+  // or either pad is currently gone
+  getTeleportDestination(gridX, gridY) {
+    const destination = this.teleporters.get(`${gridX},${gridY}`);
+    if (!destination || !this.isValidTile(gridX, gridY) ||
+        !this.isValidTile(destination.gridX, destination.gridY)) {
+      return null;
+    }
+    return { gridX: destination.gridX, gridY: destination.gridY };
   }
 
   // Generate initial ammo spawns
   generateAmmoSpawns() {
     const ammoSpawnProbability = config.arena.ammo_spawn_probability;
     
-    for (const [tileKey, exists] of this.tiles) {
-      if (exists && Math.random() < ammoSpawnProbability) {
+    for (const [tileKey, tile] of this.tiles) {
+      if (tile.type === 'wall') continue;
+      if (this.random.next() < ammoSpawnProbability) {
         this.ammoSpawns.set(tileKey, true);
       }
     }
   }
 
-  // Check if a tile exists at grid coordinates
+  // =============================================================================
+  // POWER-UPS
+  // =============================================================================
+
+  // Scatter power-up pads over plain floor that has no ammo
+  generatePowerUpPads() {
+    const settings = config.arena.power_ups;
+    if (!settings.enabled) return;
+    
+    for (const [tileKey, tile] of this.tiles) {
+      if (tile.type !== 'solid' || tileKey === '0,0' || this.ammoSpawns.has(tileKey)) continue;
+      if (this.random.next() < settings.spawn_probability) {
+        this.addPowerUpPad(tileKey);
+      }
+    }
+  }
+
+  // Each pad hands out one type for the whole layout, rolled from the seed
+  addPowerUpPad(tileKey) {
+    const types = Object.keys(config.arena.power_ups.types);
+    const type = types[Math.floor(this.random.next() * types.length)];
+    this.powerUpPads.set(tileKey, type);
+    this.powerUps.set(tileKey, type);
+  }
+
+  // Type of the power-up waiting on a tile, or null
+  getPowerUp(gridX, gridY) {
+    return this.powerUps.get(`${gridX},${gridY}`) || null;
+  }
+
+  // Take the power-up off a tile and start its respawn timer. Returns the type, or null.
+  takePowerUp(gridX, gridY) {
+    const tileKey = `${gridX},${gridY}`;
+    const type = this.powerUps.get(tileKey);
+    if (!type) return null;
+    
+    this.powerUps.delete(tileKey);
+    this.powerUpRespawnTimers.set(tileKey, Date.now() + config.arena.power_ups.respawn_delay_ms);
+    return type;
+  }
+
+  // Put a pad's power-up back (its tile came back after falling away)
+  restorePowerUp(tileKey) {
+    const type = this.powerUpPads.get(tileKey);
+    if (type) {
+      this.powerUps.set(tileKey, type);
+    }
+  }
+
+  // Pads are part of the layout; whatever was waiting on a tile falls with it
+  dropPowerUp(tileKey) {
+    this.powerUps.delete(tileKey);
+    this.powerUpRespawnTimers.delete(tileKey);
+  }
+
+  // =============================================================================
+  // DYNAMIC TILES
+  // =============================================================================
+
+  // Per-tile state. solid tiles never change; walls block tanks and bullets;
+  // teleporters send tanks to their paired pad (see this.teleporters);
+  // cracked tiles fall away after enough tanks drive off them or bullets cross
+  // them, regrowing ones do the same but come back after a delay, and barriers
+  // block on a timer.
+  createTile(type = 'solid') {
+    const settings = config.arena.dynamic_tiles;
+    return {
+      type,
+      passes: 0,
+      hits: 0,
+      blocked: false,
+      // Barriers start out of step so they don't all close at once
+      nextToggle: type === 'barrier' ? Date.now() + Math.random() * settings.barrier_open_ms : null
+    };
+  }
+
+  // Turn some generated tiles dynamic. The centre start tile always stays solid.
+  assignTileTypes() {
+    const settings = config.arena.dynamic_tiles;
+    if (!settings.enabled) return;
+    
+    const types = [
+      ['cracked', settings.cracked_probability],
+      ['regrowing', settings.regrowing_probability],
+      ['barrier', settings.barrier_probability]
+    ];
+    
+    for (const tileKey of this.tiles.keys()) {
+      if (tileKey === '0,0') continue;
+      
+      let roll = this.random.next();
+      
+      for (const [type, probability] of types) {
+        if (roll < probability) {
+          this.tiles.set(tileKey, this.createTile(type));
+          break;
+        }
+        roll -= probability;
+      }
+    }
+  }
+
+  // Tanks can drive onto it (not a wall or a closed barrier)
+  isPassable(tile) {
+    return tile.type !== 'wall' && !tile.blocked;
+  }
+
+  isWall(gridX, gridY) {
+    const tile = this.tiles.get(`${gridX},${gridY}`);
+    return tile !== undefined && tile.type === 'wall';
+  }
+
+  // True if no wall stands between two tile centres. Walls stop bullets, so
+  // bots can't see or shoot through them either.
+  hasLineOfSight(fromGridX, fromGridY, toGridX, toGridY) {
+    const dx = toGridX - fromGridX;
+    const dy = toGridY - fromGridY;
+    const steps = Math.max(Math.abs(dx), Math.abs(dy)) * 4;
+    
+    for (let i = 1; i < steps; i++) {
+      const gridX = Math.round(fromGridX + dx * i / steps);
+      const gridY = Math.round(fromGridY + dy * i / steps);
+      if (this.isWall(gridX, gridY)) return false;
+    }
+    return true;
+  }
+
+  isBreakable(tile) {
+    return tile.type === 'cracked' || tile.type === 'regrowing';
+  }
+
+  // Tile that never changes under a tank (modes keep objectives on these)
+  isSolidTile(gridX, gridY) {
+    const tile = this.tiles.get(`${gridX},${gridY}`);
+    return tile !== undefined && tile.type === 'solid';
+  }
+
+  // How close a breakable tile is to falling, 0-1
+  getTileWear(tile) {
+    const settings = config.arena.dynamic_tiles;
+    return Math.min(1, Math.max(
+      tile.passes / settings.collapse_after_passes,
+      tile.hits / settings.collapse_after_hits
+    ));
+  }
+
+  // A tank drove off a tile
+  recordTilePass(gridX, gridY) {
+    const tileKey = `${gridX},${gridY}`;
+    const tile = this.tiles.get(tileKey);
+    if (!tile || !this.isBreakable(tile)) return;
+    
+    tile.passes++;
+    this.wearTile(tileKey, tile);
+  }
+
+  // A bullet crossed a tile
+  recordTileHit(gridX, gridY) {
+    const tileKey = `${gridX},${gridY}`;
+    const tile = this.tiles.get(tileKey);
+    if (!tile || !this.isBreakable(tile)) return;
+    
+    tile.hits++;
+    this.wearTile(tileKey, tile);
+  }
+
+  wearTile(tileKey, tile) {
+    if (this.getTileWear(tile) < 1) {
+      this.tileChanges.push({ change: 'worn', tile: this.getTileState(tileKey, tile) });
+      return;
+    }
+    this.breakTile(tileKey, tile, Date.now());
+  }
+
+  // Drop a worn-out tile (and its ammo) until it regrows - cracked tiles never do
+  breakTile(tileKey, tile, now) {
+    const regrowTime = tile.type === 'regrowing' ?
+      now + config.arena.dynamic_tiles.regrow_delay_ms : Infinity;
+    
+    this.brokenTiles.set(tileKey, {
+      tile,
+      hadAmmo: this.ammoSpawns.has(tileKey) || this.ammoRespawnTimers.has(tileKey),
+      regrowTime
+    });
+    this.tiles.delete(tileKey);
+    this.ammoSpawns.delete(tileKey);
+    this.ammoRespawnTimers.delete(tileKey);
+    this.dropPowerUp(tileKey);
+    this.controlZones.delete(tileKey);
+    this.collapseWarnings.delete(tileKey);
+    
+    this.tileChanges.push({ change: 'collapsed', tile: this.getTileState(tileKey, tile) });
+  }
+
+  // Put a broken tile back as good as new, with the ammo and power-up it had
+  regrowTile(tileKey, broken) {
+    const tile = this.createTile(broken.tile.type);
+    this.tiles.set(tileKey, tile);
+    if (broken.hadAmmo) {
+      this.ammoSpawns.set(tileKey, true);
+    }
+    this.restorePowerUp(tileKey);
+    this.brokenTiles.delete(tileKey);
+    
+    this.tileChanges.push({ change: 'regrown', tile: this.getTileState(tileKey, tile) });
+  }
+
+  // Open and close barriers on their timers. A barrier only closes once no
+  // tank is on it, so nobody is ever stuck inside one.
+  // occupiedTiles: Set of "x,y" keys with a live tank on them
+  updateDynamicTiles(now, occupiedTiles) {
+    const settings = config.arena.dynamic_tiles;
+    
+    for (const [tileKey, broken] of this.brokenTiles) {
+      if (now >= broken.regrowTime) {
+        this.regrowTile(tileKey, broken);
+      }
+    }
+    
+    for (const [tileKey, tile] of this.tiles) {
+      if (tile.type !== 'barrier' || now < tile.nextToggle) continue;
+      if (!tile.blocked && occupiedTiles.has(tileKey)) continue;
+      
+      tile.blocked = !tile.blocked;
+      tile.nextToggle = now + (tile.blocked ? settings.barrier_blocked_ms : settings.barrier_open_ms);
+      this.tileChanges.push({ change: tile.blocked ? 'blocked' : 'opened', tile: this.getTileState(tileKey, tile) });
+    }
+  }
+
+  // Every tile change since the last call, oldest first
+  takeTileChanges() {
+    const changes = this.tileChanges;
+    this.tileChanges = [];
+    return changes;
+  }
+
+  // Undo a round's worth of wear: broken tiles come back and barriers open
+  // (next round on the same layout). Returns true if anything changed.
+  resetDynamicTiles() {
+    let changed = this.brokenTiles.size > 0;
+    
+    for (const [tileKey, broken] of this.brokenTiles) {
+      this.regrowTile(tileKey, broken);
+    }
+    for (const [tileKey, tile] of this.tiles) {
+      if (!this.isBreakable(tile) && tile.type !== 'barrier') continue;
+      changed = changed || tile.passes > 0 || tile.hits > 0 || tile.blocked;
+      this.tiles.set(tileKey, this.createTile(tile.type));
+    }
+    
+    this.tileChanges = [];
+    return changed;
+  }
+
+  // Check if a tank can be on the tile at grid coordinates (it exists and isn't a wall or closed barrier)
   isValidTile(gridX, gridY) {
     const maxGridCoord = this.tilesPerSide / 2;
     
@@ -81,7 +606,8 @@ class ServerArena {
     }
     
     // Check if tile exists
-    return this.tiles.has(`${gridX},${gridY}`);
+    const tile = this.tiles.get(`${gridX},${gridY}`);
+    return tile !== undefined && this.isPassable(tile);
   }
 
   // Check if ammo exists at grid coordinates
@@ -101,9 +627,177 @@ class ServerArena {
     return false;
   }
 
+  // Mark exactly these tiles ({ gridX, gridY }) as control zones
+  setControlZones(zoneTiles) {
+    this.controlZones.clear();
+    for (const { gridX, gridY } of zoneTiles) {
+      if (this.isValidTile(gridX, gridY)) {
+        this.controlZones.set(`${gridX},${gridY}`, true);
+      }
+    }
+  }
+
+  // Check if a tile is a control zone
+  isControlZone(gridX, gridY) {
+    return this.controlZones.has(`${gridX},${gridY}`);
+  }
+
+  // Ring index counted outwards from the centre of the grid (0 = the middle 2x2 tiles)
+  getTileRing(gridX, gridY) {
+    return Math.max(Math.abs(2 * gridX + 1), Math.abs(2 * gridY + 1)) >> 1;
+  }
+
+  // Ring index of the outermost floor still standing (-1 when none is left).
+  // Walls don't count - a border of walls would otherwise cost a whole shrink
+  // step that takes no floor away
+  getOuterRing() {
+    let outer = -1;
+    for (const [tileKey, tile] of this.tiles) {
+      if (tile.type === 'wall') continue;
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      outer = Math.max(outer, this.getTileRing(gridX, gridY));
+    }
+    return outer;
+  }
+
+  // Flag every tile on or outside a ring to collapse at the given time. Walls
+  // out there go too, so a wall ring falls along with the floor ring inside it
+  warnTilesFromRing(ring, collapseTime) {
+    for (const tileKey of this.tiles.keys()) {
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      if (this.getTileRing(gridX, gridY) >= ring) {
+        this.collapseWarnings.set(tileKey, collapseTime);
+      }
+    }
+    
+    // Broken tiles out there are gone for the round - don't let them regrow
+    for (const [tileKey, broken] of this.brokenTiles) {
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      if (this.getTileRing(gridX, gridY) >= ring) {
+        this.collapsedTiles.set(tileKey, { tile: broken.tile, hadAmmo: broken.hadAmmo });
+        this.brokenTiles.delete(tileKey);
+      }
+    }
+    return this.getAllCollapseWarnings();
+  }
+
+  isCollapseWarning(gridX, gridY) {
+    return this.collapseWarnings.has(`${gridX},${gridY}`);
+  }
+
+  // Remove every warned tile whose time is up, along with anything on it
+  collapseDueTiles(now = Date.now()) {
+    const collapsed = [];
+    
+    for (const [tileKey, collapseTime] of this.collapseWarnings) {
+      if (now < collapseTime) continue;
+      
+      this.collapsedTiles.set(tileKey, {
+        tile: this.tiles.get(tileKey),
+        hadAmmo: this.ammoSpawns.has(tileKey) || this.ammoRespawnTimers.has(tileKey)
+      });
+      this.tiles.delete(tileKey);
+      this.ammoSpawns.delete(tileKey);
+      this.ammoRespawnTimers.delete(tileKey);
+      this.dropPowerUp(tileKey);
+      this.controlZones.delete(tileKey);
+      this.collapseWarnings.delete(tileKey);
+      
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      collapsed.push({ gridX, gridY, ...this.gridToWorld(gridX, gridY) });
+    }
+    
+    return collapsed;
+  }
+
+  // Put collapsed tiles back (same layout for the next round) with the ammo and power-ups they had
+  restoreCollapsedTiles() {
+    for (const [tileKey, { tile, hadAmmo }] of this.collapsedTiles) {
+      this.tiles.set(tileKey, this.createTile(tile.type));
+      if (hadAmmo) {
+        this.ammoSpawns.set(tileKey, true);
+      }
+      this.restorePowerUp(tileKey);
+    }
+    this.collapsedTiles.clear();
+    this.collapseWarnings.clear();
+  }
+
+  // Tile a newly joined tank starts on: the centre of generated arenas (always
+  // a tile), or one of a map's spawn points
+  getStartTile() {
+    if (this.spawnPoints.length === 0) {
+      return { gridX: 0, gridY: 0 };
+    }
+    const position = this.getRandomValidPosition();
+    return this.worldToGrid(position.x, position.y);
+  }
+
+  // Tiles tanks may spawn on right now: a map's spawn points while they still
+  // stand, otherwise every open tile
+  getSpawnTiles() {
+    const spawnTiles = this.spawnPoints
+      .filter(({ gridX, gridY }) => this.isValidTile(gridX, gridY))
+      .map(({ gridX, gridY }) => `${gridX},${gridY}`);
+    if (spawnTiles.length > 0) return spawnTiles;
+    
+    return Array.from(this.tiles.entries())
+      .filter(([, tile]) => this.isPassable(tile))
+      .map(([tileKey]) => tileKey);
+  }
+
+  // How risky it is to appear on a tile given the enemies' { gridX, gridY, heading }.
+  // Higher is safer: distance to the nearest enemy (capped), minus penalties for
+  // sharing a row or column with an enemy - more if that enemy is aimed this way.
+  scoreSpawnTile(gridX, gridY, threats) {
+    const settings = config.combat.spawn_selection;
+    let nearest = settings.safe_distance_tiles;
+    let penalty = 0;
+
+    for (const threat of threats) {
+      const dx = gridX - threat.gridX;
+      const dy = gridY - threat.gridY;
+      nearest = Math.min(nearest, Math.sqrt(dx * dx + dy * dy));
+
+      const inLine = (dx === 0) !== (dy === 0);
+      if (!inLine || Math.abs(dx + dy) > settings.line_of_fire_range_tiles) continue;
+      if (!this.hasLineOfSight(threat.gridX, threat.gridY, gridX, gridY)) continue;
+
+      // Cardinal direction the enemy's barrel points (0 = East, 90 = South)
+      const headingRad = threat.heading * Math.PI / 180;
+      const facing = Math.round(Math.cos(headingRad)) === Math.sign(dx) &&
+        Math.round(Math.sin(headingRad)) === Math.sign(dy);
+      penalty += facing ? settings.facing_penalty_tiles : settings.line_penalty_tiles;
+    }
+
+    return nearest - penalty;
+  }
+
+  // Spawn position away from the given threats, picked at random among the
+  // safest few tiles. Falls back to a random tile when there is nothing to avoid.
+  getSafestSpawnPosition(threats) {
+    const settings = config.combat.spawn_selection;
+    const tiles = this.getSpawnTiles();
+    if (!settings.enabled || threats.length === 0 || tiles.length === 0) {
+      return this.getRandomValidPosition();
+    }
+
+    const ranked = tiles
+      .map(key => {
+        const [gridX, gridY] = key.split(',').map(Number);
+        return { gridX, gridY, score: this.scoreSpawnTile(gridX, gridY, threats) };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const pool = ranked.slice(0, Math.max(1, settings.candidate_pool));
+    const chosen = pool[Math.floor(Math.random() * pool.length)];
+    return this.gridToWorld(chosen.gridX, chosen.gridY);
+  }
+
   // Get a random valid position for spawning
   getRandomValidPosition() {
-    const validTiles = Array.from(this.tiles.keys());
+    // Maps with spawn points only spawn there (while those tiles still stand)
+    const validTiles = this.getSpawnTiles();
     
     if (validTiles.length === 0) {
       // Fallback to center if no tiles exist
@@ -126,19 +820,29 @@ class ServerArena {
     };
   }
 
+  // Network form of one tile. Dynamic tiles also carry their type, wear and barrier state,
+  // and teleporters their paired pad.
+  getTileState(tileKey, tile) {
+    const [gridX, gridY] = tileKey.split(',').map(Number);
+    const { x, y } = this.gridToWorld(gridX, gridY);
+    const state = { gridX, gridY, x, y };
+    
+    if (tile.type !== 'solid') {
+      state.type = tile.type;
+      state.wear = this.isBreakable(tile) ? this.getTileWear(tile) : 0;
+      state.blocked = tile.blocked;
+    }
+    if (tile.type === 'teleporter') {
+      const { gridX: pairX, gridY: pairY, channel } = this.teleporters.get(tileKey);
+      state.pair = { gridX: pairX, gridY: pairY };
+      state.channel = channel;
+    }
+    return state;
+  }
+
   // Get all valid tiles as an array
   getAllValidTiles() {
-    return Array.from(this.tiles.keys()).map(tileKey => {
-      const [gridX, gridY] = tileKey.split(',').map(Number);
-      const worldX = (gridX + this.tilesPerSide / 2) * this.tileSize + this.tileSize / 2;
-      const worldY = (gridY + this.tilesPerSide / 2) * this.tileSize + this.tileSize / 2;
-      return {
-        gridX,
-        gridY,
-        x: worldX,
-        y: worldY
-      };
-    });
+    return Array.from(this.tiles.entries()).map(([tileKey, tile]) => this.getTileState(tileKey, tile));
   }
 
   // Get all current ammo spawns
@@ -156,10 +860,40 @@ class ServerArena {
     });
   }
 
-  // Update ammo respawn timers
-  update() {
+  // Get all power-ups waiting on their pads
+  getAllPowerUps() {
+    return Array.from(this.powerUps.entries()).map(([tileKey, type]) => {
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      const { x, y } = this.gridToWorld(gridX, gridY);
+      return { gridX, gridY, x, y, type };
+    });
+  }
+
+  // Get all control zone tiles
+  getAllControlZones() {
+    return Array.from(this.controlZones.keys()).map(tileKey => {
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      const { x, y } = this.gridToWorld(gridX, gridY);
+      return { gridX, gridY, x, y };
+    });
+  }
+
+  // Get all tiles that are about to collapse
+  getAllCollapseWarnings() {
+    return Array.from(this.collapseWarnings.entries()).map(([tileKey, collapseTime]) => {
+      const [gridX, gridY] = tileKey.split(',').map(Number);
+      const { x, y } = this.gridToWorld(gridX, gridY);
+      return { gridX, gridY, x, y, collapseTime };
+    });
+  }
+
+  // Update ammo and power-up respawn timers and dynamic tiles
+  // occupiedTiles: Set of "x,y" keys with a live tank on them
+  update(occupiedTiles = new Set()) {
     const now = Date.now();
     
+    this.updateDynamicTiles(now, occupiedTiles);
+    
     // Check for ammo respawns
     for (const [tileKey, respawnTime] of this.ammoRespawnTimers) {
       if (now >= respawnTime) {
@@ -170,6 +904,15 @@ class ServerArena {
         this.ammoRespawnTimers.delete(tileKey);
       }
     }
+    
+    for (const [tileKey, respawnTime] of this.powerUpRespawnTimers) {
+      if (now >= respawnTime) {
+        if (this.tiles.has(tileKey)) {
+          this.restorePowerUp(tileKey);
+        }
+        this.powerUpRespawnTimers.delete(tileKey);
+      }
+    }
   }
 
   // Check if world coordinates are within bounds
@@ -219,21 +962,115 @@ class ServerArena {
     return neighbors;
   }
 
+  // Walking distance (in moves) from a tile to every tile reachable from it
+  getTileDistances(gridX, gridY) {
+    const distances = new Map(); // "x,y" -> steps
+    if (!this.isValidTile(gridX, gridY)) return distances;
+    
+    const queue = [{ gridX, gridY }];
+    distances.set(`${gridX},${gridY}`, 0);
+    
+    for (let i = 0; i < queue.length; i++) {
+      const tile = queue[i];
+      const distance = distances.get(`${tile.gridX},${tile.gridY}`);
+      
+      for (const neighbor of this.getNeighbors(tile.gridX, tile.gridY)) {
+        const key = `${neighbor.gridX},${neighbor.gridY}`;
+        if (!distances.has(key)) {
+          distances.set(key, distance + 1);
+          queue.push(neighbor);
+        }
+      }
+    }
+    
+    return distances;
+  }
+
+  // Flood fill the grid into groups of connected tiles (arrays of tile keys), largest first
+  getRegions() {
+    const visited = new Set();
+    const regions = [];
+    
+    for (const [key, tile] of this.tiles) {
+      if (visited.has(key) || !this.isPassable(tile)) continue;
+      
+      const [gridX, gridY] = key.split(',').map(Number);
+      const region = Array.from(this.getTileDistances(gridX, gridY).keys());
+      region.forEach(tileKey => visited.add(tileKey));
+      regions.push(region);
+    }
+    
+    return regions.sort((a, b) => b.length - a.length);
+  }
+
+  // Tile keys of the biggest group of connected tiles
+  getLargestRegion() {
+    const regions = this.getRegions();
+    return regions.length > 0 ? regions[0] : [];
+  }
+
+  // How the grid splits up: the main region plus any islands cut off from it
+  getRegionReport() {
+    const sizes = this.getRegions().map(region => region.length);
+    return {
+      count: sizes.length,
+      largest: sizes.length > 0 ? sizes[0] : 0,
+      islands: sizes.slice(1),
+      islandTiles: sizes.slice(1).reduce((total, size) => total + size, 0)
+    };
+  }
+
   // Get arena state for networking
   getState() {
     return {
       tiles: this.getAllValidTiles(),
       ammo: this.getAllAmmoSpawns(),
+      powerUps: this.getAllPowerUps(),
+      zones: this.getAllControlZones(),
+      collapseWarnings: this.getAllCollapseWarnings(),
+      seed: this.seed,
+      map: this.map ? this.map.name : null,
       worldSize: this.worldSize,
       tileSize: this.tileSize
     };
   }
 
+  // Get the static part of the arena (sent once on join when delta compression is on)
+  getStaticState() {
+    return {
+      tiles: this.getAllValidTiles(),
+      seed: this.seed,
+      map: this.map ? this.map.name : null,
+      worldSize: this.worldSize,
+      tileSize: this.tileSize
+    };
+  }
+
+  // Tiles a tank can stand on or break - walls are scenery
+  countFloorTiles() {
+    let count = 0;
+    for (const tile of this.tiles.values()) {
+      if (tile.type !== 'wall') count++;
+    }
+    return count;
+  }
+
   // Get arena statistics
   getStats() {
     return {
-      totalTiles: this.tiles.size,
+      seed: this.seed,
+      map: this.map ? this.map.name : null,
+      spawnPoints: this.spawnPoints.length,
+      totalTiles: this.countFloorTiles(),
       totalAmmo: this.ammoSpawns.size,
+      powerUpPads: this.powerUpPads.size,
+      powerUps: this.powerUps.size,
+      controlZones: this.controlZones.size,
+      collapseWarnings: this.collapseWarnings.size,
+      collapsedTiles: this.collapsedTiles.size,
+      brokenTiles: this.brokenTiles.size,
+      teleporters: this.teleporters.size / 2,
+      regions: this.getRegionReport(),
       ammoRespawning: this.ammoRespawnTimers.size,
       worldSize: this.worldSize,
       tileSize: this.tileSize,
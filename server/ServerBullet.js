@@ -6,12 +6,17 @@ class ServerBullet {
   constructor(id, ownerTank, arena) {
     this.id = id;
     this.ownerId = ownerTank.id;
+    this.ownerTeam = ownerTank.team || null; // Kept so friendly fire rules apply after the shooter dies
     this.arena = arena;
     
     // Start bullet at tank position
     this.x = ownerTank.x;
     this.y = ownerTank.y;
     
+    // Tile under the bullet - crossing into a new one wears cracked tiles
+    this.gridX = ownerTank.gridX;
+    this.gridY = ownerTank.gridY;
+    
     // Quantize heading to nearest cardinal direction (0°, 90°, 180°, 270°)
     const quantizedHeading = this.quantizeHeading(ownerTank.heading);
     
@@ -30,6 +35,33 @@ class ServerBullet {
     // Track reflections to prevent infinite bouncing
     this.reflectionCount = 0;
     this.maxReflections = config.combat.max_reflections;
+    
+    // Lag compensation: how far back (ms) targets are rewound for this bullet
+    this.rewindMs = 0;
+    
+    // Set when the bullet last reflected off a shield, cleared once reported
+    this.shieldBlock = null;
+    
+    // Set when the bullet went through a teleporter, cleared once reported
+    this.teleported = null;
+    
+    // Piercing power-up: shields this bullet can still go through, and the
+    // tank whose shield it pierced (so ServerTank.hit lets it through too)
+    this.shieldPierces = ownerTank.hasPowerUp('piercing') ? 1 : 0;
+    this.piercedTankId = null;
+    
+    // Set on copies made by createPrediction
+    this.isPrediction = false;
+    
+    // Whether GameManager has counted this bullet as a hit for its shooter
+    this.countedHit = false;
+  }
+
+  // Copy of this bullet to look ahead with (bots predicting where a shot goes).
+  // Stepping it with update() and checkTankCollision() follows exactly the
+  // real bullet's physics but leaves the arena's tiles alone.
+  createPrediction() {
+    return Object.assign(Object.create(ServerBullet.prototype), this, { isPrediction: true });
   }
 
   // Quantize heading to nearest cardinal direction
@@ -62,7 +94,9 @@ class ServerBullet {
   update() {
     if (!this.active) return;
     
-    // Update position
+    // Update position (remembering where it came from, for wall bounces)
+    this.prevX = this.x;
+    this.prevY = this.y;
     this.x += this.vx;
     this.y += this.vy;
     
@@ -81,6 +115,46 @@ class ServerBullet {
     
     // Check for collisions with arena boundaries
     this.checkArenaBoundaries();
+    
+    if (this.active) {
+      this.updateTile();
+    }
+  }
+
+  // Wear down each tile the bullet crosses into, and come out of the other
+  // pad when it crosses a teleporter
+  updateTile() {
+    const { gridX, gridY } = this.arena.worldToGrid(this.x, this.y);
+    if (gridX === this.gridX && gridY === this.gridY) return;
+    
+    this.gridX = gridX;
+    this.gridY = gridY;
+    if (!this.isPrediction) {
+      this.arena.recordTileHit(gridX, gridY);
+    }
+    
+    const destination = config.arena.teleporters.bullets && this.arena.getTeleportDestination(gridX, gridY);
+    if (destination) {
+      this.teleport(destination);
+    }
+  }
+
+  // Move to the same spot on the paired pad, keeping velocity. GameManager
+  // reports the jump (and clears this.teleported) so clients don't lerp across the map.
+  teleport(destination) {
+    const from = this.arena.gridToWorld(this.gridX, this.gridY);
+    const to = this.arena.gridToWorld(destination.gridX, destination.gridY);
+    const offsetX = to.x - from.x;
+    const offsetY = to.y - from.y;
+    
+    this.teleported = { from: { x: this.x, y: this.y } };
+    this.x += offsetX;
+    this.y += offsetY;
+    this.prevX += offsetX;
+    this.prevY += offsetY;
+    this.gridX = destination.gridX;
+    this.gridY = destination.gridY;
+    this.teleported.to = { x: this.x, y: this.y };
   }
 
   // Check if bullet is outside the arena
@@ -92,7 +166,6 @@ class ServerBullet {
   // Check collision with arena boundaries and tiles
   checkArenaBoundaries() {
     const worldSize = config.arena.world_size;
-    const tileSize = config.arena.tile_size;
     
     // Check world boundaries
     if (this.x <= 0 || this.x >= worldSize || this.y <= 0 || this.y >= worldSize) {
@@ -100,28 +173,83 @@ class ServerBullet {
       return;
     }
     
-    // Skip tile walkability check so bullets can travel through empty space
+    // Bullets travel over empty space, but walls stop them
+    const { gridX, gridY } = this.arena.worldToGrid(this.x, this.y);
+    if (this.arena.isWall(gridX, gridY)) {
+      this.hitWall(gridX, gridY);
+    }
+  }
+
+  // Die on a wall, or bounce off the face the bullet came through (both faces
+  // at a corner). Bounces count towards maxReflections like shield reflections.
+  hitWall(gridX, gridY) {
+    const from = this.arena.worldToGrid(this.prevX, this.prevY);
+    const crossedX = from.gridX !== gridX;
+    const crossedY = from.gridY !== gridY;
+    
+    if (config.combat.wall_bullets !== 'reflect' || this.reflectionCount >= this.maxReflections ||
+        (!crossedX && !crossedY)) {
+      this.active = false;
+      return;
+    }
+    
+    // Mirror the position back across the face and flip that velocity component
+    const center = this.arena.gridToWorld(gridX, gridY);
+    const halfTile = this.arena.tileSize / 2;
+    if (crossedX) {
+      const faceX = center.x - Math.sign(this.vx) * halfTile;
+      this.x = 2 * faceX - this.x;
+      this.vx = -this.vx;
+    }
+    if (crossedY) {
+      const faceY = center.y - Math.sign(this.vy) * halfTile;
+      this.y = 2 * faceY - this.y;
+      this.vy = -this.vy;
+    }
+    
+    this.reflectionCount++;
   }
 
-  // Check collision with a tank
-  checkTankCollision(tank) {
-    if (!this.active || !tank.alive || tank.id === this.ownerId) {
+  // Check collision with a tank. pose defaults to the tank's current state;
+  // lag-compensated bullets pass the rewound {x, y, heading, shield, alive}
+  checkTankCollision(tank, pose = tank, canDamage = true) {
+    if (!this.active || !tank.alive || !pose.alive || tank.id === this.ownerId) {
       return false;
     }
     
     // Calculate distance to tank
-    const dx = this.x - tank.x;
-    const dy = this.y - tank.y;
+    const dx = this.x - pose.x;
+    const dy = this.y - pose.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
     
     // Check if bullet is close enough to hit
     const hitDistance = this.radius + config.arena.tile_size / config.combat.tank_hit_radius_divisor; // Tank hit radius
     
     if (distance <= hitDistance) {
+      if (tank.isSpawnProtected()) {
+        // Spawn protection - reflect like a full shield, or let the bullet fly through
+        if (canDamage && config.combat.spawn_protection.bullets === 'reflect') {
+          this.shieldBlock = { targetId: tank.id };
+          this.reflectOffShield(pose);
+        }
+        return false;
+      }
+      
       // Check if tank is protected by shield
-      if (tank.isProtectedByShield(this.x, this.y)) {
+      if (tank.isProtectedByShieldAt(this.x, this.y, pose)) {
+        if (canDamage && this.shieldPierces > 0) {
+          this.shieldPierces--;
+          this.piercedTankId = tank.id;
+          this.active = false;
+          return true;
+        }
+        
         // Bullet hits shield - reflect it
-        this.reflectOffShield(tank);
+        this.shieldBlock = { targetId: tank.id };
+        this.reflectOffShield(pose);
+        return false;
+      } else if (!canDamage) {
+        // Friendly bullet - passes through without harm
         return false;
       } else {
         // Bullet hits tank - tank is eliminated
@@ -133,7 +261,7 @@ class ServerBullet {
     return false;
   }
 
-  // Reflect bullet off tank shield
+  // Reflect bullet off tank shield (tank may be a rewound pose)
   reflectOffShield(tank) {
     if (this.reflectionCount >= this.maxReflections) {
       this.active = false;
@@ -173,10 +301,12 @@ class ServerBullet {
     }
   }
 
-  // Check collision with multiple tanks
-  checkAllTankCollisions(tanks) {
+  // Check collision with multiple tanks. getPose (optional) maps a tank to
+  // the pose it should be tested at, for lag compensation
+  checkAllTankCollisions(tanks, getPose = null, canDamage = null) {
     for (const tank of tanks.values()) {
-      if (this.checkTankCollision(tank)) {
+      const pose = getPose ? getPose(tank) : tank;
+      if (this.checkTankCollision(tank, pose, canDamage ? canDamage(tank) : true)) {
         return tank;
       }
     }
@@ -11,9 +11,11 @@ class ServerTank {
     this.name = null; // Will be set when player joins with name
     this.isBot = false; // Will be set to true for bot tanks
     
-    // Grid-based positioning - start at center
-    this.gridX = 0;
-    this.gridY = 0;
+    // Grid-based positioning - start at center (or a map spawn point) until
+    // GameManager places the tank on a safe spawn
+    const startTile = this.arena.getStartTile();
+    this.gridX = startTile.gridX;
+    this.gridY = startTile.gridY;
     
     // World position (center of tile)
     const worldPos = this.arena.gridToWorld(this.gridX, this.gridY);
@@ -39,10 +41,30 @@ class ServerTank {
     // Game state
     this.alive = true;
     this.killStreak = 0;
+    this.streakLeader = false; // Longest live kill streak in the room (set by GameManager)
     this.respawnTime = 0;
+    this.respawnEnabled = true; // Elimination rounds turn automatic respawn off
     this.lastShotTime = 0;
     this.spawnTime = Date.now(); // Track when tank was spawned
+    this.protectedUntil = this.spawnTime + config.combat.spawn_protection.duration_ms; // Spawn protection ends
     this.lastKilledBy = null; // Track who killed this tank for revenge system
+    this.team = null; // Team id in team modes
+    this.botDifficulty = null; // Skill tier name for bot tanks
+    
+    // Combat record for the tank's time in the room, kept by GameManager
+    // (shots hit = bullets that reached a tank they could hurt, shield or not)
+    this.combatStats = { shotsFired: 0, shotsHit: 0, killsScored: 0, deathsCount: 0 };
+    
+    // Teleporter pads: { destination, readyAt } while charging on one, and when pads work again after a jump
+    this.teleportCharge = null;
+    this.teleportCooldownUntil = 0;
+    
+    // Power-ups collected off pads: type -> time it runs out
+    this.powerUps = new Map();
+    
+    // Ability locks set by game modes (e.g. flag carriers in CTF)
+    this.speedModeLocked = false;
+    this.shieldLocked = false;
     
     // Visual properties
     this.rgb = {
@@ -102,12 +124,15 @@ class ServerTank {
     
     // Validate the new position
     if (this.arena.isValidTile(newGridX, newGridY)) {
+      // Driving off a cracked tile wears it down
+      this.arena.recordTilePass(this.gridX, this.gridY);
       this.gridX = newGridX;
       this.gridY = newGridY;
       const worldPos = this.arena.gridToWorld(this.gridX, this.gridY);
       this.targetX = worldPos.x;
       this.targetY = worldPos.y;
       this.lastMoveTime = now;
+      this.startTeleportCharge(now);
       return true;
     }
     
@@ -131,37 +156,49 @@ class ServerTank {
 
   // Attempt to shoot if tank has ammo
   tryShoot() {
-    if (!this.alive || this.ammo <= 0) return false;
+    if (!this.alive || this.ammo <= 0 || this.isSpawnProtected()) return false;
     
     const now = Date.now();
-    const shootDelay = config.combat.shoot_cooldown_ms; // Minimum delay between shots
-    
-    if (now - this.lastShotTime < shootDelay) return false;
+    if (now - this.lastShotTime < this.getShootCooldown(now)) return false;
     
     this.ammo--;
     this.lastShotTime = now;
     return true;
   }
 
+  // Minimum delay between shots (shorter with rapid fire)
+  getShootCooldown(now = Date.now()) {
+    const multiplier = this.hasPowerUp('rapid_fire', now) ?
+      config.arena.power_ups.types.rapid_fire.cooldown_multiplier : 1;
+    return config.combat.shoot_cooldown_ms * multiplier;
+  }
+
   // Toggle speed mode with improved state management
   setSpeedMode(enabled, immediate = false) {
     if (!this.alive) return;
     
     const wasSpeedMode = this.speedMode;
-    this.speedMode = enabled;
-    this.shield = !enabled; // Shield disabled in speed mode
+    this.speedMode = enabled && !this.speedModeLocked;
+    this.shield = !this.speedMode && !this.shieldLocked; // Shield disabled in speed mode
     
     // Reset movement timing when transitioning to speed mode for immediate responsiveness
-    if (!wasSpeedMode && enabled && immediate) {
+    if (!wasSpeedMode && this.speedMode && immediate) {
       this.lastMoveTime = Date.now() - config.player.move_cooldown_speed_mode * 16;
     }
     
     // Reset movement timing when exiting speed mode to prevent stuck state
-    if (wasSpeedMode && !enabled) {
+    if (wasSpeedMode && !this.speedMode) {
       this.lastMoveTime = Date.now() - config.player.move_cooldown_normal_ms;
     }
   }
 
+  // Lock speed mode and/or the shield off (or release them) and apply immediately
+  setAbilityLocks(speedModeLocked, shieldLocked) {
+    this.speedModeLocked = speedModeLocked;
+    this.shieldLocked = shieldLocked;
+    this.setSpeedMode(this.speedMode);
+  }
+
   // Pick up ammo from current tile
   tryPickupAmmo() {
     if (!this.alive || this.ammo >= this.maxAmmo) return false;
@@ -175,53 +212,157 @@ class ServerTank {
     return false;
   }
 
+  // Start a power-up, or refresh its duration if it's already running
+  applyPowerUp(type, now = Date.now()) {
+    const settings = config.arena.power_ups.types[type];
+    this.powerUps.set(type, now + settings.duration_ms);
+    
+    if (type === 'extra_ammo') {
+      this.maxAmmo = config.player.max_ammo + settings.bonus_ammo;
+      this.ammo = Math.min(this.ammo + settings.bonus_ammo, this.maxAmmo);
+    }
+  }
+
+  hasPowerUp(type, now = Date.now()) {
+    const expiresAt = this.powerUps.get(type);
+    return expiresAt !== undefined && now < expiresAt;
+  }
+
+  // Drop power-ups whose time is up (all of them with now = Infinity)
+  expirePowerUps(now = Date.now()) {
+    for (const [type, expiresAt] of this.powerUps) {
+      if (now < expiresAt) continue;
+      
+      this.powerUps.delete(type);
+      if (type === 'extra_ammo') {
+        this.maxAmmo = config.player.max_ammo;
+        this.ammo = Math.min(this.ammo, this.maxAmmo);
+      }
+    }
+  }
+
+  // Start charging if the tank just drove onto a teleporter pad (leaving one cancels its charge)
+  startTeleportCharge(now) {
+    const destination = this.arena.getTeleportDestination(this.gridX, this.gridY);
+    this.teleportCharge = destination && now >= this.teleportCooldownUntil ?
+      { destination, readyAt: now + config.arena.teleporters.charge_ms } : null;
+  }
+
+  // Jump to the pad the charge was heading for
+  teleport(now) {
+    const from = { gridX: this.gridX, gridY: this.gridY, x: this.x, y: this.y };
+    const { destination } = this.teleportCharge;
+    this.teleportCharge = null;
+    this.teleportCooldownUntil = now + config.arena.teleporters.cooldown_ms;
+    
+    this.gridX = destination.gridX;
+    this.gridY = destination.gridY;
+    const worldPos = this.arena.gridToWorld(this.gridX, this.gridY);
+    this.x = this.targetX = worldPos.x;
+    this.y = this.targetY = worldPos.y;
+    
+    return { type: 'teleport', from, to: { gridX: this.gridX, gridY: this.gridY, x: this.x, y: this.y } };
+  }
+
+  // Freshly spawned tanks can't be hurt (and can't shoot) for a short while
+  isSpawnProtected(now = Date.now()) {
+    return this.alive && now < this.protectedUntil;
+  }
+
   // Check if point is within shield arc
   isProtectedByShield(bulletX, bulletY) {
-    if (!this.alive || !this.shield) return false;
-    
-    const dx = bulletX - this.x;
-    const dy = bulletY - this.y;
+    return this.isProtectedByShieldAt(bulletX, bulletY, this);
+  }
+
+  // Shield arcs as { offset, width, source } in degrees, offset relative to the
+  // heading. The front arc is always there; the streak leader and a rear shield
+  // power-up both add the same arc over the back.
+  getShieldArcs(now = Date.now()) {
+    const shield = config.player.shield;
+    const arcs = [{ offset: 0, width: shield.arc_width_deg, source: 'front' }];
+    
+    if (this.streakLeader) {
+      arcs.push({ offset: 180, width: shield.rear_arc_width_deg, source: 'leader' });
+    } else if (this.hasPowerUp('rear_shield', now)) {
+      arcs.push({ offset: 180, width: shield.rear_arc_width_deg, source: 'rear_shield' });
+    }
+    return arcs;
+  }
+
+  // Shield check against an arbitrary pose {x, y, heading, shield, alive,
+  // shieldArcs?}, used by lag compensation to test against a rewound position.
+  // Poses without their own arcs use the tank's current ones.
+  isProtectedByShieldAt(bulletX, bulletY, pose) {
+    if (!pose.alive || !pose.shield) return false;
+    
+    const dx = bulletX - pose.x;
+    const dy = bulletY - pose.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
     
     // Shield radius
     const shieldRadius = config.arena.tile_size / 2 + config.player.shield.radius_offset;
     if (distance > shieldRadius) return false;
     
-    // Calculate angle from tank to bullet in standard orientation
-    const bulletAngle = Math.atan2(dy, dx) * 180 / Math.PI;
-    const normalizedBulletAngle = (bulletAngle + 360) % 360;
-    
-    // Shield arc calculation
-    const shieldWidth = config.player.shield.arc_width_deg;
-    const shieldStart = (this.heading - shieldWidth / 2 + 360) % 360;
-    const shieldEnd = (this.heading + shieldWidth / 2) % 360;
+    return this.isShieldFacing(bulletX, bulletY, pose);
+  }
+
+  // Whether one of the pose's shield arcs points towards a position, at any
+  // range (bots use this to decide whether to flank)
+  isShieldFacing(x, y, pose = this) {
+    if (!pose.alive || !pose.shield) return false;
+    
+    // Calculate angle from tank to the position in standard orientation
+    const angle = Math.atan2(y - pose.y, x - pose.x) * 180 / Math.PI;
+    const normalizedAngle = (angle + 360) % 360;
+    
+    const arcs = pose.shieldArcs || this.getShieldArcs();
+    return arcs.some(arc =>
+      this.isAngleInArc(normalizedAngle, pose.heading + arc.offset, arc.width)
+    );
+  }
+
+  // Is an angle (0-360) inside the arc of the given width centred on a heading
+  isAngleInArc(angle, centerHeading, widthDeg) {
+    const arcStart = ((centerHeading - widthDeg / 2) % 360 + 360) % 360;
+    const arcEnd = ((centerHeading + widthDeg / 2) % 360 + 360) % 360;
     
-    // Check if bullet angle is within shield arc
-    if (shieldStart <= shieldEnd) {
-      return normalizedBulletAngle >= shieldStart && normalizedBulletAngle <= shieldEnd;
-    } else {
-      // Handle wrap-around case
-      return normalizedBulletAngle >= shieldStart || normalizedBulletAngle <= shieldEnd;
+    if (arcStart <= arcEnd) {
+      return angle >= arcStart && angle <= arcEnd;
     }
+    // Handle wrap-around case
+    return angle >= arcStart || angle <= arcEnd;
   }
 
-  // Handle tank being hit by bullet
-  hit(bullet) {
-    if (!this.alive) return false;
+  // Handle tank being hit by bullet (pose is the rewound state when lag compensated)
+  hit(bullet, pose = this) {
+    if (!this.alive || this.isSpawnProtected()) return false;
     
-    // Check if protected by shield
-    if (this.isProtectedByShield(bullet.x, bullet.y)) {
+    // Check if protected by shield (piercing shots already went through it)
+    if (bullet.piercedTankId !== this.id && this.isProtectedByShieldAt(bullet.x, bullet.y, pose)) {
       return false; // Bullet blocked by shield
     }
     
     // Tank is hit - kill it
     this.alive = false;
     this.killStreak = 0;
+    this.expirePowerUps(Infinity);
     this.respawnTime = Date.now() + config.combat.respawn_delay_ms; // 3 second respawn delay
     this.lastKilledBy = bullet.ownerId; // Track who killed this tank for revenge system
     return true;
   }
 
+  // Destroyed by the arena itself (e.g. a collapsing tile) rather than a bullet
+  destroy() {
+    if (!this.alive) return false;
+    
+    this.alive = false;
+    this.killStreak = 0;
+    this.expirePowerUps(Infinity);
+    this.respawnTime = Date.now() + config.combat.respawn_delay_ms;
+    this.lastKilledBy = null;
+    return true;
+  }
+
   // Handle killing another tank
   addKill() {
     if (!this.alive) return;
@@ -254,9 +395,8 @@ class ServerTank {
     this.rgb = { r, g, b };
   }
 
-  // Respawn tank at new position
-  respawn() {
-    const spawnPos = this.arena.getRandomValidPosition();
+  // Put the tank on a spawn position without interpolating there
+  placeAt(spawnPos) {
     const gridPos = this.arena.worldToGrid(spawnPos.x, spawnPos.y);
     this.gridX = gridPos.gridX;
     this.gridY = gridPos.gridY;
@@ -265,24 +405,33 @@ class ServerTank {
     this.y = spawnPos.y;
     this.targetX = this.x;
     this.targetY = this.y;
+  }
+
+  // Respawn tank at new position (GameManager picks a safe one; any tile otherwise)
+  respawn(spawnPos = this.arena.getRandomValidPosition()) {
+    this.placeAt(spawnPos);
     
     this.heading = config.player.initial_heading;
     this.targetHeading = config.player.initial_heading;
     this.alive = true;
     this.shield = true;
     this.speedMode = false;
+    this.speedModeLocked = false;
+    this.shieldLocked = false;
+    this.expirePowerUps(Infinity);
     this.ammo = config.player.initial_ammo;
     this.spawnTime = Date.now(); // Reset spawn time on respawn
+    this.protectedUntil = this.spawnTime + config.combat.spawn_protection.duration_ms;
     this.lastKilledBy = null; // Clear revenge target on respawn
+    this.teleportCharge = null;
   }
 
   // Update tank state each frame
   update(deltaTime = 16) {
     if (!this.alive) {
-      // Check for respawn
-      if (Date.now() >= this.respawnTime) {
-        this.respawn();
-        return { type: 'respawn' }; // Signal respawn to GameManager
+      // Check for respawn - GameManager chooses where and respawns the tank
+      if (this.respawnEnabled && Date.now() >= this.respawnTime) {
+        return { type: 'respawn' };
       }
       return;
     }
@@ -332,6 +481,18 @@ class ServerTank {
     if (this.speedModeCooldown > 0) {
       this.speedModeCooldown = Math.max(0, this.speedModeCooldown - frameRateNormalizer);
     }
+    
+    const now = Date.now();
+    this.expirePowerUps(now);
+    
+    // Charged up on a teleporter pad - GameManager announces the jump
+    if (this.teleportCharge && now >= this.teleportCharge.readyAt) {
+      if (!this.arena.getTeleportDestination(this.gridX, this.gridY)) {
+        this.teleportCharge = null; // A pad fell away while charging
+        return;
+      }
+      return this.teleport(now);
+    }
   }
 
   // Get current state for networking
@@ -340,6 +501,7 @@ class ServerTank {
       id: this.id,
       name: this.name,
       isBot: this.isBot || false, // Include bot flag in state
+      difficulty: this.botDifficulty,
       x: this.x,
       y: this.y,
       gridX: this.gridX,
@@ -350,7 +512,13 @@ class ServerTank {
       shield: this.shield,
       speedMode: this.speedMode,
       alive: this.alive,
+      spawnProtected: this.isSpawnProtected(),
+      teleportCharging: this.teleportCharge !== null,
+      powerUps: Array.from(this.powerUps, ([type, expiresAt]) => ({ type, expiresAt })),
+      shieldArcs: this.getShieldArcs(),
       killStreak: this.killStreak,
+      streakLeader: this.streakLeader,
+      team: this.team,
       rgb: this.rgb
     };
   }
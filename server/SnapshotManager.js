@@ -0,0 +1,197 @@
+const configLoader = require('../shared/ConfigLoader');
+
+const config = configLoader.getAll();
+
+// Tracks recent gameState snapshots and builds per-client deltas against the
+// last snapshot each client acknowledged. Falls back to a full keyframe when
+// the client has no usable baseline (first send, ack too old, or on request).
+class SnapshotManager {
+  constructor() {
+    this.historySize = config.server.optimization.snapshot_history_size;
+    this.history = new Map();      // tick -> snapshot
+    this.nextTick = 1;
+
+    this.clientAcks = new Map();   // clientId -> last acknowledged tick
+    this.clientSent = new Map();   // clientId -> { firstTick, lastTick } sent to them here
+    this.keyframeRequests = new Set();
+  }
+
+  // Store a new snapshot and assign it a tick number
+  recordSnapshot(snapshot) {
+    const tick = this.nextTick++;
+    const entry = { ...snapshot, tick };
+    this.history.set(tick, entry);
+
+    // Drop snapshots that fell out of the history window
+    const oldestTick = tick - this.historySize;
+    if (this.history.has(oldestTick)) {
+      this.history.delete(oldestTick);
+    }
+
+    return entry;
+  }
+
+  // Build the message to send a client for the given snapshot
+  buildMessageFor(clientId, snapshot) {
+    const sent = this.clientSent.get(clientId);
+    if (sent) {
+      sent.lastTick = snapshot.tick;
+    } else {
+      this.clientSent.set(clientId, { firstTick: snapshot.tick, lastTick: snapshot.tick });
+    }
+
+    const ackedTick = this.clientAcks.get(clientId);
+    const baseline = ackedTick !== undefined ? this.history.get(ackedTick) : null;
+
+    if (!baseline || this.keyframeRequests.has(clientId)) {
+      this.keyframeRequests.delete(clientId);
+      return this.buildKeyframe(snapshot);
+    }
+
+    return this.buildDelta(baseline, snapshot);
+  }
+
+  buildKeyframe(snapshot) {
+    return {
+      keyframe: true,
+      tick: snapshot.tick,
+      timestamp: snapshot.timestamp,
+      tanks: snapshot.tanks,
+      bullets: snapshot.bullets,
+      ammo: snapshot.ammo,
+      powerUps: snapshot.powerUps,
+      mode: snapshot.mode,
+      round: snapshot.round
+    };
+  }
+
+  buildDelta(baseline, snapshot) {
+    return {
+      keyframe: false,
+      tick: snapshot.tick,
+      baseTick: baseline.tick,
+      timestamp: snapshot.timestamp,
+      tanks: this.diffEntities(baseline.tanks, snapshot.tanks),
+      bullets: this.diffEntities(baseline.bullets, snapshot.bullets),
+      ammo: this.diffPickups(baseline.ammo, snapshot.ammo),
+      powerUps: this.diffPickups(baseline.powerUps, snapshot.powerUps),
+      // Small and the round timer changes every tick - always sent whole
+      mode: snapshot.mode,
+      round: snapshot.round
+    };
+  }
+
+  // Diff two id-keyed entity lists into changed fields and removed ids
+  diffEntities(baseList, currentList) {
+    const baseById = new Map();
+    for (const entity of baseList) {
+      baseById.set(entity.id, entity);
+    }
+
+    const updated = [];
+    for (const entity of currentList) {
+      const baseEntity = baseById.get(entity.id);
+      baseById.delete(entity.id);
+
+      if (!baseEntity) {
+        updated.push(entity); // New entity - send every field
+        continue;
+      }
+
+      const changes = this.diffFields(baseEntity, entity);
+      if (changes) {
+        updated.push({ id: entity.id, ...changes });
+      }
+    }
+
+    return {
+      updated,
+      removed: Array.from(baseById.keys())
+    };
+  }
+
+  // Return only the fields that changed, or null if nothing did
+  diffFields(base, current) {
+    let changes = null;
+
+    for (const key of Object.keys(current)) {
+      const a = base[key];
+      const b = current[key];
+      const same = (typeof b === 'object' && b !== null) ?
+        JSON.stringify(a) === JSON.stringify(b) :
+        a === b;
+
+      if (!same) {
+        if (!changes) changes = {};
+        changes[key] = b;
+      }
+    }
+
+    return changes;
+  }
+
+  // Ammo and power-ups are keyed by grid coordinates rather than id (a
+  // power-up pad always holds the same type, so the tile is enough)
+  diffPickups(basePickups, currentPickups) {
+    const baseKeys = new Set(basePickups.map(pickup => `${pickup.gridX},${pickup.gridY}`));
+    const added = [];
+
+    for (const pickup of currentPickups) {
+      const key = `${pickup.gridX},${pickup.gridY}`;
+      if (baseKeys.has(key)) {
+        baseKeys.delete(key);
+      } else {
+        added.push(pickup);
+      }
+    }
+
+    return {
+      added,
+      removed: Array.from(baseKeys)
+    };
+  }
+
+  // Client confirmed it rebuilt this tick and can use it as a baseline. Ticks
+  // restart in every room, so an ack still in flight from the client's previous
+  // room could name a tick we also have - only ticks we actually sent this
+  // client (from its first keyframe here onwards) count
+  acknowledge(clientId, tick) {
+    if (!Number.isInteger(tick) || !this.history.has(tick)) return;
+
+    const sent = this.clientSent.get(clientId);
+    if (!sent || tick < sent.firstTick || tick > sent.lastTick) return;
+
+    const previous = this.clientAcks.get(clientId);
+    if (previous === undefined || tick > previous) {
+      this.clientAcks.set(clientId, tick);
+    }
+  }
+
+  requestKeyframe(clientId) {
+    this.keyframeRequests.add(clientId);
+  }
+
+  removeClient(clientId) {
+    this.clientAcks.delete(clientId);
+    this.clientSent.delete(clientId);
+    this.keyframeRequests.delete(clientId);
+  }
+
+  // Force every client onto a fresh keyframe (e.g. after the arena changes)
+  resetAllClients() {
+    for (const clientId of this.clientAcks.keys()) {
+      this.keyframeRequests.add(clientId);
+    }
+  }
+
+  getStats() {
+    return {
+      currentTick: this.nextTick - 1,
+      historySize: this.history.size,
+      trackedClients: this.clientAcks.size,
+      pendingKeyframes: this.keyframeRequests.size
+    };
+  }
+}
+
+module.exports = SnapshotManager;
@@ -0,0 +1,37 @@
+// Base class for bot brains. Every game loop the bot hands its brain a
+// perception snapshot (see ServerBot.perceive) and applies the intents it gets
+// back; how those intents went comes back in the next snapshot as
+// `lastOutcome`. Brains read the world freely but only act through intents, so
+// a new one needs no changes anywhere else - register it in brains/index.js and
+// name it in bots.brains. The default here stands still; concrete brains
+// override the hooks they care about.
+class BotBrain {
+  constructor(bot, name) {
+    this.bot = bot;
+    this.name = name;
+  }
+
+  // Nothing to do this frame
+  static createIntents() {
+    return {
+      move: null,       // 'forward' | 'backward'
+      rotate: [],       // 'left' / 'right' steps, applied in order
+      shoot: false,
+      speedMode: null,  // true / false to switch speed mode, null to leave it as is
+      pickup: false     // Pick up ammo on the current tile
+    };
+  }
+
+  // Intents for this frame
+  think(perception) {
+    return BotBrain.createIntents();
+  }
+
+  // A new round started; the arena may be different
+  reset() {}
+
+  // The bot's team changed, so anyone it was after may be a teammate now
+  onTeamsChanged() {}
+}
+
+module.exports = BotBrain;
@@ -0,0 +1,1334 @@
+const configLoader = require('../../shared/ConfigLoader');
+const BotBrain = require('./BotBrain');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Bot states for AI decision making
+const BotStates = {
+  SPAWNING: 'spawning',           // Just respawned, getting bearings
+  ROAM_FOR_AMMO: 'roam_for_ammo', // No ammo, searching for pickup
+  HUNT_TARGET: 'hunt_target',      // Has ammo, seeking enemy to shoot
+  ENGAGE_COMBAT: 'engage_combat',  // In shooting range, aiming/firing
+  EVADE_DANGER: 'evade_danger',    // Low health or under fire, retreating
+  FLANK_SHIELDED: 'flank_shielded', // Target is shielded, finding angle
+  PURSUE_OBJECTIVE: 'pursue_objective' // Mode objective (e.g. CTF flag run)
+};
+
+// The original bot AI: a state machine that roams for ammo, hunts and engages
+// targets, flanks shields, dodges predicted bullets and runs mode objectives,
+// with reaction delays and the odd mistake so it plays like a person.
+class StateMachineBrain extends BotBrain {
+  constructor(bot) {
+    super(bot, 'state_machine');
+    this.tank = bot.tank;
+    this.arena = bot.arena;
+    this.perception = null;
+    this.intents = BotBrain.createIntents();
+    
+    // AI state management
+    this.state = BotStates.SPAWNING;
+    this.stateTimer = 0;
+    this.lastStateChange = Date.now();
+    this.objective = null; // Mode objective ({ gridX, gridY, urgent }), refreshed each decision
+    
+    // Reaction timing for human-like behavior
+    this.nextActionTime = 0;
+    
+    // NEW: Rotation cooldown to prevent shooting before turning
+    this.lastRotationTime = 0;
+    this.rotationCooldownMs = 300; // Must wait 300ms after rotation before shooting
+    
+    // Target tracking
+    this.currentTarget = null;
+    this.lastSeenTargets = new Map(); // targetId -> {lastSeen, position}
+    
+    // Movement tracking
+    this.pathTarget = null;
+    this.lastPosition = { gridX: this.tank.gridX, gridY: this.tank.gridY };
+    this.stuckCounter = 0;
+    this.pathUpdateCounter = 0;
+    this.moveReason = null; // What the last move intent was for: 'path', 'commitment' or 'evasion'
+    
+    // NEW: Movement commitment for human-like behavior
+    this.movementCommitment = 0;
+    
+    // Combat tracking
+    this.lastShotTime = 0;
+    this.consecutiveMisses = 0;
+    
+    // Incoming fire: the bullet predicted to hit us soonest, and how we're getting out of its way
+    this.threatBullet = null;
+    this.lastThreatTime = 0;
+    this.evasionPlan = null;
+  }
+  
+  think(perception) {
+    this.perception = perception;
+    this.intents = BotBrain.createIntents();
+    this.handleOutcome(perception.lastOutcome);
+    
+    if (!perception.alive) {
+      this.state = BotStates.SPAWNING;
+      return this.intents;
+    }
+    
+    // Increment frame counters
+    this.stateTimer++;
+    this.pathUpdateCounter++;
+    
+    // Check for immediate threats (bullets), planning a way out of each new one
+    const threat = this.findIncomingThreat(perception.bullets, perception.tanks);
+    this.threatBullet = threat ? threat.bullet : null;
+    if (threat) {
+      this.lastThreatTime = perception.now;
+      if (!this.evasionPlan || this.evasionPlan.bulletId !== threat.bullet.id) {
+        this.evasionPlan = this.planEvasion(threat, perception.tanks);
+      }
+      if (this.state !== BotStates.EVADE_DANGER) {
+        this.changeState(BotStates.EVADE_DANGER);
+      }
+    }
+    
+    // Check if enough time has passed for next action
+    if (perception.now < this.nextActionTime) {
+      return this.intents; // Still in reaction delay
+    }
+    
+    this.updateTargets(perception);
+    
+    // Update movement tracking for stuck detection
+    this.updateMovementTracking();
+    
+    // State machine logic
+    this.updateStateMachine(perception.tanks);
+    
+    // Execute current state behavior
+    this.executeState(perception.tanks);
+    
+    // Schedule next action
+    this.scheduleNextAction();
+    
+    return this.intents;
+  }
+  
+  // Follow up on what the last frame's intents actually did
+  handleOutcome(outcome) {
+    if (!outcome) return;
+    
+    if (outcome.shot) {
+      this.lastShotTime = outcome.time;
+      this.consecutiveMisses = 0;
+      console.log(`Bot ${this.bot.id} fired tactical shot! Ammo now: ${this.tank.ammo}`);
+    } else if (outcome.shot === false) {
+      console.log(`Bot ${this.bot.id}: tryShoot() failed - ammo=${this.tank.ammo}, alive=${this.tank.alive}`);
+    }
+    
+    if (outcome.moved === null) return;
+    
+    switch (this.moveReason) {
+      case 'evasion':
+        if (outcome.moved && this.evasionPlan) {
+          this.evasionPlan.done = true;
+        }
+        break;
+        
+      case 'commitment':
+        // If we can't move, break commitment
+        if (!outcome.moved) {
+          this.movementCommitment = 0;
+        }
+        break;
+        
+      case 'path':
+        // If we couldn't move, handle stuck situation
+        if (outcome.moved) {
+          this.stuckCounter = 0;
+        } else if (++this.stuckCounter > config.bots.movement.stuck_threshold_frames / 3) {
+          // Try alternate direction or random movement
+          this.handleStuckMovement();
+          this.stuckCounter = 0;
+        }
+        break;
+    }
+  }
+  
+  // Ask to drive this frame, remembering why so handleOutcome can follow up
+  move(direction, reason = null) {
+    this.intents.move = direction;
+    this.moveReason = reason;
+  }
+  
+  rotate(direction) {
+    this.intents.rotate.push(direction);
+  }
+  
+  // Remember where visible enemies (tanks the targeting policies allow) are,
+  // and pick who to go after
+  updateTargets(perception) {
+    const visibleEnemies = perception.visibleTanks.filter(tank => this.bot.canTarget(tank));
+    
+    for (const tank of visibleEnemies) {
+      this.lastSeenTargets.set(tank.id, {
+        lastSeen: perception.now,
+        position: { gridX: tank.gridX, gridY: tank.gridY, x: tank.x, y: tank.y },
+        heading: tank.heading
+      });
+    }
+    
+    // Select best target if we don't have one or need to switch. A fallback
+    // target is dropped as soon as one the main policy allows comes into view.
+    const fightingFallback = this.currentTarget &&
+      !this.bot.canTarget(this.currentTarget, this.bot.targeting.policy) &&
+      visibleEnemies.some(tank => this.bot.canTarget(tank, this.bot.targeting.policy));
+    if (!this.currentTarget || fightingFallback || !this.isTargetStillValid(perception.tanks)) {
+      this.currentTarget = this.selectBestTarget(visibleEnemies);
+    }
+  }
+  
+  // Check if current target is still valid
+  isTargetStillValid(allTanks) {
+    if (!this.currentTarget) return false;
+    
+    const target = allTanks.get(this.currentTarget.id);
+    if (!target || !target.alive) return false;
+    
+    // Check if target is still within reasonable range
+    const distance = this.bot.getDistance(this.tank, target);
+    const maxTrackingRange = this.bot.skill.vision_range_tiles * config.arena.tile_size * 1.5;
+    
+    return distance <= maxTrackingRange;
+  }
+  
+  // Select the best target from visible enemies, preferring those the main
+  // targeting policy allows over fallback ones
+  selectBestTarget(visibleEnemies) {
+    const preferred = visibleEnemies.filter(enemy => this.bot.canTarget(enemy, this.bot.targeting.policy));
+    if (preferred.length > 0) {
+      visibleEnemies = preferred;
+    } else if (this.bot.targeting.fallback_policy === null) {
+      return null;
+    }
+    if (visibleEnemies.length === 0) return null;
+    
+    // Score targets based on multiple factors
+    let bestTarget = null;
+    let bestScore = -1;
+    
+    for (const enemy of visibleEnemies) {
+      let score = 0;
+      
+      // Distance factor (closer is better)
+      const distance = this.bot.getDistance(this.tank, enemy);
+      const distanceScore = 1 - (distance / (this.bot.skill.vision_range_tiles * config.arena.tile_size));
+      score += distanceScore * 3;
+      
+      // Kill streak factor (higher streak = higher priority)
+      score += enemy.killStreak * 0.5;
+      
+      // Shield status (unshielded = higher priority)
+      if (!enemy.shield) {
+        score += 2;
+      }
+      
+      // Ammo status (armed enemies = higher threat)
+      if (enemy.ammo > 0) {
+        score += 1;
+      }
+      
+      // Powered-up enemies are more dangerous the longer they're left alone
+      score += enemy.powerUps.size * config.bots.combat.power_up_threat;
+      
+      // Spawn-protected tanks can't be hurt yet
+      if (enemy.isSpawnProtected()) {
+        score -= 3;
+      }
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestTarget = enemy;
+      }
+    }
+    
+    return bestTarget;
+  }
+  
+  // Update movement tracking to detect if bot is stuck
+  updateMovementTracking() {
+    const currentPos = { gridX: this.tank.gridX, gridY: this.tank.gridY };
+    
+    if (currentPos.gridX === this.lastPosition.gridX && 
+        currentPos.gridY === this.lastPosition.gridY) {
+      this.stuckCounter++;
+    } else {
+      this.stuckCounter = 0;
+      this.lastPosition = currentPos;
+    }
+  }
+  
+  // State machine logic for determining bot behavior
+  updateStateMachine(allTanks) {
+    const now = Date.now();
+    
+    // Objective modes (CTF): carriers drop everything to run home, others
+    // break off hunting or ammo roaming to go for the flag
+    this.objective = this.perception.mode.getBotObjective(this.tank);
+    if (this.objective && this.state !== BotStates.PURSUE_OBJECTIVE && this.state !== BotStates.EVADE_DANGER) {
+      const isIdle = this.state === BotStates.HUNT_TARGET || this.state === BotStates.ROAM_FOR_AMMO;
+      if (this.objective.urgent || isIdle) {
+        this.changeState(BotStates.PURSUE_OBJECTIVE);
+        return;
+      }
+    }
+    
+    switch (this.state) {
+      case BotStates.SPAWNING:
+        // Just spawned, take a moment to get bearings
+        if (this.stateTimer > 60) { // 1 second at 60Hz
+          this.changeState(this.tank.ammo > 0 ? BotStates.HUNT_TARGET : BotStates.ROAM_FOR_AMMO);
+        }
+        break;
+        
+      case BotStates.ROAM_FOR_AMMO:
+        // Searching for ammo
+        if (this.tank.ammo > 0) {
+          this.changeState(BotStates.HUNT_TARGET);
+        }
+        break;
+        
+      case BotStates.HUNT_TARGET:
+        // Looking for enemies to engage
+        if (this.tank.ammo === 0) {
+          this.changeState(BotStates.ROAM_FOR_AMMO);
+        } else if (this.currentTarget) {
+          const distance = this.bot.getDistance(this.tank, this.currentTarget);
+          const engagementDistance = this.bot.engagementRange * config.arena.tile_size;
+          
+          if (distance <= engagementDistance) {
+            this.changeState(BotStates.ENGAGE_COMBAT);
+          }
+        }
+        break;
+        
+      case BotStates.ENGAGE_COMBAT:
+        // In combat with target
+        if (!this.currentTarget || this.tank.ammo === 0) {
+          this.changeState(this.tank.ammo > 0 ? BotStates.HUNT_TARGET : BotStates.ROAM_FOR_AMMO);
+        } else if (this.currentTarget.shield && this.isShieldFacingBot()) {
+          // Target's shield is blocking, try to flank
+          if (Math.random() < this.bot.skill.flank_attempt_probability) {
+            this.changeState(BotStates.FLANK_SHIELDED);
+          }
+        }
+        break;
+        
+      case BotStates.FLANK_SHIELDED:
+        // Trying to get around target's shield
+        if (!this.currentTarget || this.tank.ammo === 0) {
+          this.changeState(this.tank.ammo > 0 ? BotStates.HUNT_TARGET : BotStates.ROAM_FOR_AMMO);
+        } else if (!this.isShieldFacingBot()) {
+          this.changeState(BotStates.ENGAGE_COMBAT);
+        } else if (this.stateTimer > 180) { // 3 seconds timeout
+          this.changeState(BotStates.HUNT_TARGET); // Give up flanking
+        }
+        break;
+        
+      case BotStates.EVADE_DANGER:
+        // Out of the line of fire, or given up after 2 seconds
+        if (!this.threatBullet || this.stateTimer > 120) {
+          this.evasionPlan = null;
+          this.changeState(this.tank.ammo > 0 ? BotStates.HUNT_TARGET : BotStates.ROAM_FOR_AMMO);
+        }
+        break;
+        
+      case BotStates.PURSUE_OBJECTIVE:
+        // Heading for a mode objective; only non-urgent runs stop for a fight
+        if (!this.objective) {
+          this.changeState(this.tank.ammo > 0 ? BotStates.HUNT_TARGET : BotStates.ROAM_FOR_AMMO);
+        } else if (!this.objective.urgent && this.currentTarget && this.tank.ammo > 0) {
+          const distance = this.bot.getDistance(this.tank, this.currentTarget);
+          if (distance <= this.bot.engagementRange * config.arena.tile_size) {
+            this.changeState(BotStates.ENGAGE_COMBAT);
+          }
+        }
+        break;
+    }
+  }
+  
+  // Execute behavior for current state
+  executeState(allTanks) {
+    switch (this.state) {
+      case BotStates.SPAWNING:
+        // Just orient and get bearings
+        break;
+        
+      case BotStates.ROAM_FOR_AMMO:
+        this.executeAmmoSeeking();
+        break;
+        
+      case BotStates.HUNT_TARGET:
+        this.executeTargetHunting();
+        break;
+        
+      case BotStates.ENGAGE_COMBAT:
+        this.executeCombat();
+        break;
+        
+      case BotStates.FLANK_SHIELDED:
+        this.executeFlankingManeuver();
+        break;
+        
+      case BotStates.EVADE_DANGER:
+        this.executeEvasion();
+        break;
+        
+      case BotStates.PURSUE_OBJECTIVE:
+        this.executeObjective();
+        break;
+    }
+  }
+  
+  // Execute objective behavior - drive to the objective tile, shooting anything in line
+  executeObjective() {
+    if (!this.objective) return;
+    
+    if (this.currentTarget && this.tank.ammo > 0) {
+      const shotResult = this.calculateShot(this.currentTarget);
+      if (shotResult.shouldShoot && this.canShoot()) {
+        this.intents.shoot = true;
+      }
+    }
+    
+    // Objectives are usually across the map, so follow an A* path rather than
+    // heading straight for them and getting caught on gaps
+    const currentGrid = { gridX: this.tank.gridX, gridY: this.tank.gridY };
+    let path = this.bot.pathfinder.findPath(currentGrid, this.objective);
+    
+    // The path goes through this teleporter - sit on the pad until it fires,
+    // or walk if the pad is still cooling down from the last jump
+    if (path.length > 0 && path[0].teleport) {
+      if (this.tank.teleportCharge) return;
+      path = this.bot.pathfinder.findPath(currentGrid, this.objective, { useTeleporters: false });
+    }
+    
+    const nextStep = path.length > 0 ? path[0] : this.objective;
+    this.moveTowardsCardinalOnly(nextStep.gridX, nextStep.gridY);
+  }
+  
+  // Execute ammo seeking behavior
+  executeAmmoSeeking() {
+    // Try to pick up ammo if we're on an ammo tile
+    if (this.arena.hasAmmo(this.tank.gridX, this.tank.gridY)) {
+      this.intents.pickup = true;
+      return;
+    }
+    
+    // Use simple pathfinding to find nearest ammo
+    const currentGrid = { gridX: this.tank.gridX, gridY: this.tank.gridY };
+    const ammoPath = this.bot.pathfinder.findPathToNearestAmmo(currentGrid);
+    
+    if (ammoPath.length > 0) {
+      // Move toward ammo using cardinal movement
+      const targetAmmo = ammoPath[ammoPath.length - 1];
+      this.moveTowardsCardinalOnly(targetAmmo.gridX, targetAmmo.gridY);
+    } else {
+      // No ammo path found, search more broadly
+      this.exploreForAmmo();
+    }
+  }
+  
+  // NEW: Explore the arena looking for ammo spawns
+  exploreForAmmo() {
+    // Get all valid tiles to explore
+    const validTiles = this.arena.getAllValidTiles();
+    if (validTiles.length === 0) {
+      this.moveRandomly();
+      return;
+    }
+    
+    // Find tiles we haven't visited recently
+    const unexploredTiles = validTiles.filter(tile => {
+      const key = `${tile.gridX},${tile.gridY}`;
+      return !this.visitedTiles || !this.visitedTiles.has(key) || 
+             (Date.now() - this.visitedTiles.get(key)) > 30000; // 30 seconds
+    });
+    
+    if (unexploredTiles.length > 0) {
+      // Go to random unexplored tile
+      const randomTile = unexploredTiles[Math.floor(Math.random() * unexploredTiles.length)];
+      this.moveTowardsCardinalOnly(randomTile.gridX, randomTile.gridY);
+      
+      // Track visited tiles
+      if (!this.visitedTiles) this.visitedTiles = new Map();
+      this.visitedTiles.set(`${this.tank.gridX},${this.tank.gridY}`, Date.now());
+    } else {
+      // All tiles explored recently, move randomly
+      this.moveRandomly();
+    }
+  }
+  
+  // Execute target hunting behavior
+  executeTargetHunting() {
+    if (this.currentTarget) {
+      // Check if we can get a tactical shot from our current position
+      const shotResult = this.calculateShot(this.currentTarget);
+      
+      if (shotResult.shouldReposition && shotResult.repositionTarget) {
+        // We have a target but need to reposition for a shot
+        console.log(`Bot ${this.bot.id}: Hunting - moving to tactical position (${shotResult.repositionTarget.gridX}, ${shotResult.repositionTarget.gridY})`);
+        
+        this.moveTowardsCardinalOnly(
+          shotResult.repositionTarget.gridX, 
+          shotResult.repositionTarget.gridY
+        );
+      } else {
+        // Standard approach to target using cardinal movement
+        this.moveTowardsCardinalOnly(
+          this.currentTarget.gridX, 
+          this.currentTarget.gridY
+        );
+      }
+    } else {
+      // No target - grab a power-up if one is close, otherwise roam to find one
+      const powerUp = this.findNearbyPowerUp();
+      if (powerUp) {
+        this.moveTowardsCardinalOnly(powerUp.gridX, powerUp.gridY);
+      } else {
+        this.moveRandomly();
+      }
+    }
+  }
+  
+  // Execute combat behavior
+  executeCombat() {
+    if (!this.currentTarget) {
+      return;
+    }
+    
+    // Intelligent shield management
+    this.manageShield();
+    
+    // Get tactical shooting assessment
+    const shotResult = this.calculateShot(this.currentTarget);
+    
+    // Priority 1: Repositioning for better shots
+    if (shotResult.shouldReposition && shotResult.repositionTarget) {
+      console.log(`Bot ${this.bot.id}: Repositioning to get aligned shot at (${shotResult.repositionTarget.gridX}, ${shotResult.repositionTarget.gridY})`);
+      
+      // Move to tactical position using cardinal movement
+      this.moveTowardsCardinalOnly(
+        shotResult.repositionTarget.gridX, 
+        shotResult.repositionTarget.gridY
+      );
+      return;
+    }
+    
+    // Priority 2: Flanking if target's shield is blocking
+    if (shotResult.shouldFlank) {
+      console.log(`Bot ${this.bot.id}: Target shield is blocking, attempting to flank`);
+      this.changeState(BotStates.FLANK_SHIELDED);
+      return;
+    }
+    
+    // Priority 3: Rotating to face correct direction
+    if (shotResult.shouldRotate) {
+      console.log(`Bot ${this.bot.id}: Rotating to face target (${shotResult.targetHeading}°)`);
+      this.rotateTowards(shotResult.targetHeading);
+      return;
+    }
+    
+    // Priority 4: Shooting when properly aligned
+    if (shotResult.shouldShoot && this.canShoot()) {
+      const canShoot = this.canShoot();
+      const hasAmmo = this.tank.ammo > 0;
+      
+      console.log(`Bot ${this.bot.id} is aligned and ready to shoot: ammo=${this.tank.ammo}, canShoot=${canShoot}, target=${this.currentTarget.id}`);
+      
+      if (!hasAmmo) {
+        console.log(`Bot ${this.bot.id}: No ammo to shoot`);
+        this.changeState(BotStates.ROAM_FOR_AMMO);
+        return;
+      }
+      
+      if (!canShoot) {
+        console.log(`Bot ${this.bot.id}: On cooldown, last shot: ${Date.now() - this.lastShotTime}ms ago`);
+        return;
+      }
+      
+      // Add human-like hesitation before shooting
+      if (this.shouldHesitateBeforeShooting()) {
+        console.log(`Bot ${this.bot.id}: Hesitating before shot`);
+        return;
+      }
+      
+      if (this.isAimOff(this.currentTarget)) {
+        console.log(`Bot ${this.bot.id}: Aim off, holding fire`);
+        return;
+      }
+      
+      // Take the shot! Once the last round is gone the state machine sends us roaming for ammo.
+      this.intents.shoot = true;
+    } else {
+      // Not ready to shoot - maintain position or seek better angle
+      console.log(`Bot ${this.bot.id}: Not ready to shoot, maintaining combat position`);
+    }
+  }
+  
+  // NEW: Intelligent shield management based on situation
+  manageShield() {
+    if (!this.tank.alive) return;
+    
+    const shouldUseShield = this.shouldUseShield();
+    
+    if (shouldUseShield && this.tank.speedMode) {
+      // Turn off speed mode to enable shield
+      this.intents.speedMode = false;
+    } else if (!shouldUseShield && !this.tank.speedMode && this.shouldUseSpeedMode()) {
+      // Turn on speed mode when appropriate
+      this.intents.speedMode = true;
+    }
+  }
+  
+  // NEW: Determine if bot should use shield based on current situation
+  shouldUseShield() {
+    // Always use shield if we have a clear shot opportunity
+    if (this.currentTarget && !this.isShieldFacingBot()) {
+      return true;
+    }
+    
+    // Use shield intelligence setting with personality modifier
+    const baseIntelligence = this.bot.shieldUsage;
+    const situationalModifier = this.getSituationalShieldModifier();
+    
+    return Math.random() < (baseIntelligence * situationalModifier);
+  }
+  
+  // NEW: Get situational modifier for shield usage
+  getSituationalShieldModifier() {
+    let modifier = 1.0;
+    
+    // Be more defensive when low on ammo
+    if (this.tank.ammo === 0) {
+      modifier *= 1.5;
+    }
+    
+    // Be more defensive when multiple enemies nearby
+    const nearbyEnemies = this.countNearbyEnemies();
+    if (nearbyEnemies > 1) {
+      modifier *= 1.3;
+    }
+    
+    // Be less defensive when flanking
+    if (this.state === BotStates.FLANK_SHIELDED) {
+      modifier *= 0.7;
+    }
+    
+    // Be more defensive when being hunted
+    if (this.isBeingTargeted()) {
+      modifier *= 1.4;
+    }
+    
+    return Math.min(modifier, 2.0); // Cap the modifier
+  }
+  
+  // NEW: Determine if bot should use speed mode
+  shouldUseSpeedMode() {
+    // Use speed mode when evading - unless the plan is to take the shot on the shield
+    if (this.state === BotStates.EVADE_DANGER) {
+      return !this.evasionPlan || this.evasionPlan.type !== 'rotate';
+    }
+    
+    // Use speed mode when flanking and no immediate threats
+    if (this.state === BotStates.FLANK_SHIELDED && !this.threatBullet) {
+      return Math.random() < 0.6;
+    }
+    
+    // Use speed mode when roaming for ammo and far from enemies
+    if (this.state === BotStates.ROAM_FOR_AMMO && this.countNearbyEnemies() === 0) {
+      return Math.random() < 0.4;
+    }
+    
+    return false;
+  }
+  
+  // NEW: Count nearby enemy tanks
+  countNearbyEnemies() {
+    let count = 0;
+    const threatRange = config.bots.combat.engagement_range_tiles * config.arena.tile_size;
+    
+    for (const [targetId, targetInfo] of this.lastSeenTargets) {
+      if (targetInfo.position) {
+        const distance = Math.sqrt(
+          Math.pow(this.tank.x - targetInfo.position.x, 2) + 
+          Math.pow(this.tank.y - targetInfo.position.y, 2)
+        );
+        
+        if (distance <= threatRange) {
+          count++;
+        }
+      }
+    }
+    
+    return count;
+  }
+  
+  // NEW: Check if this bot is likely being targeted
+  isBeingTargeted() {
+    // Simple heuristic: if we've been shot at recently
+    return this.threatBullet !== null || 
+           (this.lastThreatTime && Date.now() - this.lastThreatTime < 3000);
+  }
+  
+  // NEW: Add human-like hesitation before critical actions
+  shouldHesitateBeforeShooting() {
+    // Random hesitation based on personality
+    return Math.random() < this.bot.hesitationChance;
+  }
+  
+  // Roll this shot's aim error (up to the tier's aim_deviation_degrees, less for
+  // more accurate personalities) and hold fire when it would carry the shot
+  // outside the target's tile at this range
+  isAimOff(target) {
+    const maxDeviation = this.bot.skill.aim_deviation_degrees / this.bot.accuracyModifier;
+    const error = (Math.random() * 2 - 1) * maxDeviation * Math.PI / 180;
+    const offset = this.bot.getDistance(this.tank, target) * Math.abs(Math.tan(error));
+    return offset > config.arena.tile_size / 2;
+  }
+  
+  // NEW: Add occasional navigation "mistakes" for realism
+  addNavigationError() {
+    if (Math.random() < 0.05) { // 5% chance of navigation error
+      // Occasionally choose the "wrong" direction
+      const randomDirections = ['left', 'right'];
+      this.rotate(randomDirections[Math.floor(Math.random() * randomDirections.length)]);
+      return true;
+    }
+    return false;
+  }
+  
+  // Enhanced move randomly with human-like behavior
+  moveRandomly() {
+    // Add navigation errors for realism
+    if (this.addNavigationError()) {
+      return;
+    }
+    
+    if (Math.random() < config.bots.movement.random_movement_chance) {
+      // Random rotation with slight preference for larger turns (more human-like)
+      const directions = ['left', 'right'];
+      const direction = directions[Math.floor(Math.random() * directions.length)];
+      
+      // Sometimes make multiple turns in the same direction (human-like behavior)
+      const multiTurnChance = 0.3;
+      this.rotate(direction);
+      if (Math.random() < multiTurnChance && Math.random() < 0.7) {
+        this.rotate(direction);
+      }
+    }
+    
+    // Try to move forward
+    this.move('forward');
+  }
+  
+  // Execute flanking maneuver
+  executeFlankingManeuver() {
+    if (!this.currentTarget) {
+      this.changeState(BotStates.HUNT_TARGET);
+      return;
+    }
+    
+    // Try to find a flanking position that gives us a tactical shot
+    const tacticalPositions = this.findTacticalPositions(this.currentTarget);
+    
+    // Filter for positions that would flank around the shield
+    const flankingPositions = tacticalPositions.filter(pos => {
+      const shootDirection = pos.shootDirection;
+      const targetFacing = this.getCurrentCardinalDirectionForTank(this.currentTarget);
+      
+      // Good flanking positions are from sides or behind
+      return shootDirection !== targetFacing;
+    });
+    
+    if (flankingPositions.length > 0) {
+      const bestFlankPosition = flankingPositions[0]; // Already sorted by distance
+      
+      console.log(`Bot ${this.bot.id}: Flanking to (${bestFlankPosition.gridX}, ${bestFlankPosition.gridY}) for ${bestFlankPosition.shootDirection} shot`);
+      
+      // Move to flanking position using cardinal movement
+      this.moveTowardsCardinalOnly(
+        bestFlankPosition.gridX,
+        bestFlankPosition.gridY
+      );
+      
+      // Check if we've reached flanking position
+      if (this.tank.gridX === bestFlankPosition.gridX && this.tank.gridY === bestFlankPosition.gridY) {
+        console.log(`Bot ${this.bot.id}: Reached flanking position, switching to combat`);
+        this.changeState(BotStates.ENGAGE_COMBAT);
+      }
+    } else {
+      // No good flanking positions found, try a different approach
+      console.log(`Bot ${this.bot.id}: No flanking positions available, switching to hunt mode`);
+      this.changeState(BotStates.HUNT_TARGET);
+    }
+  }
+  
+  // Execute evasion behavior: carry out the plan for the current threat
+  executeEvasion() {
+    const plan = this.evasionPlan;
+    if (!plan) {
+      // Nothing gets us clear - keep moving and hope
+      this.moveRandomly();
+      return;
+    }
+    
+    switch (plan.type) {
+      case 'move':
+        // Straight back or on along the current heading, no turn needed
+        if (!plan.done) {
+          this.move(plan.direction, 'evasion');
+        }
+        break;
+        
+      case 'rotate':
+        // Face the shield into the shot (speed mode would drop it)
+        this.intents.speedMode = false;
+        this.turnTo(plan.heading);
+        break;
+        
+      case 'sidestep':
+        // Turn, then drive one tile once mostly round
+        this.turnTo(plan.heading);
+        if (!plan.done && this.getHeadingDifference(plan.heading) < 45) {
+          this.move('forward', 'evasion');
+        }
+        break;
+    }
+  }
+  
+  // Queue the rotation steps that leave the tank's target heading on a
+  // cardinal heading (repeat calls are no-ops once it's set)
+  turnTo(heading) {
+    const step = config.player.rotation_step_deg;
+    let diff = ((heading - this.tank.targetHeading) % 360 + 540) % 360 - 180;
+    while (Math.abs(diff) >= step) {
+      this.rotate(diff > 0 ? 'right' : 'left');
+      diff -= Math.sign(diff) * step;
+    }
+  }
+  
+  getHeadingDifference(heading) {
+    const diff = Math.abs(((heading - this.tank.heading) % 360 + 360) % 360);
+    return Math.min(diff, 360 - diff);
+  }
+  
+  // Helper method to change state
+  changeState(newState) {
+    console.log(`Bot ${this.bot.id}: ${this.state} -> ${newState}`);
+    this.state = newState;
+    this.stateTimer = 0;
+    this.lastStateChange = Date.now();
+  }
+  
+  // Forget targets and plans from the previous round (the arena may have changed)
+  reset() {
+    this.pathTarget = null;
+    this.currentTarget = null;
+    this.lastSeenTargets.clear();
+    this.threatBullet = null;
+    this.evasionPlan = null;
+    this.stuckCounter = 0;
+    this.changeState(BotStates.SPAWNING);
+  }
+  
+  onTeamsChanged() {
+    this.currentTarget = null; // Old target may now be a teammate
+  }
+  
+  // Schedule next action with reaction delay
+  scheduleNextAction() {
+    this.nextActionTime = Date.now() + this.bot.getRandomReactionTime();
+  }
+  
+  // Check if any of the target's shield arcs (front, or a leader / rear shield
+  // arc over the back) is facing this bot
+  isShieldFacingBot() {
+    if (!this.currentTarget) return false;
+    return this.currentTarget.isShieldFacing(this.tank.x, this.tank.y);
+  }
+  
+  // Closest power-up within seek range that the bot can actually drive to
+  findNearbyPowerUp() {
+    const range = config.bots.combat.power_up_seek_range_tiles;
+    const currentGrid = { gridX: this.tank.gridX, gridY: this.tank.gridY };
+    
+    const nearby = this.arena.getAllPowerUps()
+      .map(powerUp => ({
+        powerUp,
+        distance: Math.abs(powerUp.gridX - currentGrid.gridX) + Math.abs(powerUp.gridY - currentGrid.gridY)
+      }))
+      .filter(({ distance }) => distance <= range)
+      .sort((a, b) => a.distance - b.distance);
+    
+    for (const { powerUp } of nearby) {
+      const path = this.bot.pathfinder.findPath(currentGrid, powerUp, { maxSearchNodes: 200 });
+      const end = path[path.length - 1];
+      if (end && end.gridX === powerUp.gridX && end.gridY === powerUp.gridY) {
+        return powerUp;
+      }
+    }
+    
+    return null;
+  }
+  
+  // Rotate towards specific heading
+  rotateTowards(targetHeading) {
+    const currentHeading = this.tank.heading;
+    let angleDiff = targetHeading - currentHeading;
+    
+    // Normalize angle difference
+    while (angleDiff > 180) angleDiff -= 360;
+    while (angleDiff < -180) angleDiff += 360;
+    
+    // Only rotate if significant difference
+    if (Math.abs(angleDiff) > 10) {
+      this.rotate(angleDiff > 0 ? 'right' : 'left');
+      
+      // Track rotation time to prevent immediate shooting
+      this.lastRotationTime = Date.now();
+      console.log(`Bot ${this.bot.id}: Rotated, waiting ${this.rotationCooldownMs}ms before shooting`);
+    }
+  }
+  
+  // Calculate shot parameters - FIXED for grid-based shooting
+  calculateShot(target) {
+    // Check if we're aligned with target for cardinal-direction shooting
+    const alignmentCheck = this.checkAlignmentWithTarget(target);
+    
+    if (!alignmentCheck.isAligned) {
+      // Not aligned - need to move to get a shot
+      return {
+        shouldRotate: false,
+        targetHeading: this.tank.heading,
+        shouldShoot: false,
+        shouldReposition: true,
+        repositionTarget: alignmentCheck.suggestedPosition,
+        shouldFlank: this.isShieldFacingBot()
+      };
+    }
+    
+    // We're aligned! Determine which cardinal direction to face
+    const requiredDirection = this.getRequiredCardinalDirection(target);
+    const currentDirection = this.getCurrentCardinalDirection();
+    
+    // Check if target's shield would block our shot
+    const wouldHitShield = this.wouldShotHitShield(target, requiredDirection);
+    
+    if (wouldHitShield) {
+      return {
+        shouldRotate: false,
+        targetHeading: this.tank.heading,
+        shouldShoot: false,
+        shouldReposition: false,
+        shouldFlank: true
+      };
+    }
+    
+    return {
+      shouldRotate: currentDirection !== requiredDirection,
+      targetHeading: this.cardinalDirectionToHeading(requiredDirection),
+      shouldShoot: currentDirection === requiredDirection && this.tank.ammo > 0,
+      shouldReposition: false,
+      shouldFlank: false
+    };
+  }
+  
+  // NEW: Check if bot is aligned with target for cardinal shooting
+  checkAlignmentWithTarget(target) {
+    const botGrid = { x: this.tank.gridX, y: this.tank.gridY };
+    const targetGrid = { x: target.gridX, y: target.gridY };
+    
+    // Check if we're in same row or column, with no wall in between
+    const sameRow = botGrid.y === targetGrid.y;
+    const sameColumn = botGrid.x === targetGrid.x;
+    const clearShot = this.arena.hasLineOfSight(botGrid.x, botGrid.y, targetGrid.x, targetGrid.y);
+    
+    if ((sameRow || sameColumn) && clearShot) {
+      return { isAligned: true, suggestedPosition: null };
+    }
+    
+    // Not aligned - suggest tactical positions
+    const tacticalPositions = this.findTacticalPositions(target);
+    
+    return {
+      isAligned: false,
+      suggestedPosition: tacticalPositions.length > 0 ? tacticalPositions[0] : null
+    };
+  }
+  
+  // NEW: Find tactical positions to shoot at target
+  findTacticalPositions(target) {
+    const positions = [];
+    const targetGrid = { x: target.gridX, y: target.gridY };
+    const visionRange = this.bot.skill.vision_range_tiles;
+    
+    // Try positions in same row (East/West shooting)
+    for (let offsetX = -visionRange; offsetX <= visionRange; offsetX++) {
+      if (offsetX === 0) continue; // Skip target's position
+      
+      const candidateX = targetGrid.x + offsetX;
+      const candidateY = targetGrid.y;
+      
+      if (this.arena.isValidTile(candidateX, candidateY) &&
+          this.arena.hasLineOfSight(candidateX, candidateY, targetGrid.x, targetGrid.y)) {
+        const distance = Math.abs(offsetX);
+        positions.push({
+          gridX: candidateX,
+          gridY: candidateY,
+          distance: distance,
+          shootDirection: offsetX > 0 ? 'west' : 'east' // Shooting toward target
+        });
+      }
+    }
+    
+    // Try positions in same column (North/South shooting)
+    for (let offsetY = -visionRange; offsetY <= visionRange; offsetY++) {
+      if (offsetY === 0) continue; // Skip target's position
+      
+      const candidateX = targetGrid.x;
+      const candidateY = targetGrid.y + offsetY;
+      
+      if (this.arena.isValidTile(candidateX, candidateY) &&
+          this.arena.hasLineOfSight(candidateX, candidateY, targetGrid.x, targetGrid.y)) {
+        const distance = Math.abs(offsetY);
+        positions.push({
+          gridX: candidateX,
+          gridY: candidateY,
+          distance: distance,
+          shootDirection: offsetY > 0 ? 'north' : 'south' // Shooting toward target
+        });
+      }
+    }
+    
+    // Sort by distance (closer positions preferred)
+    positions.sort((a, b) => a.distance - b.distance);
+    
+    return positions;
+  }
+  
+  // NEW: Get required cardinal direction to face target
+  getRequiredCardinalDirection(target) {
+    const botGrid = { x: this.tank.gridX, y: this.tank.gridY };
+    const targetGrid = { x: target.gridX, y: target.gridY };
+    
+    if (botGrid.y === targetGrid.y) {
+      // Same row - shoot East or West
+      return targetGrid.x > botGrid.x ? 'east' : 'west';
+    } else if (botGrid.x === targetGrid.x) {
+      // Same column - shoot North or South
+      return targetGrid.y > botGrid.y ? 'south' : 'north';
+    }
+    
+    return null; // Should not happen if properly aligned
+  }
+  
+  // NEW: Get current cardinal direction bot is facing
+  getCurrentCardinalDirection() {
+    const heading = this.tank.heading;
+    
+    // Normalize heading to 0-360
+    const normalizedHeading = ((heading % 360) + 360) % 360;
+    
+    // Map to cardinal directions
+    if (normalizedHeading >= 315 || normalizedHeading < 45) return 'east';
+    if (normalizedHeading >= 45 && normalizedHeading < 135) return 'south';
+    if (normalizedHeading >= 135 && normalizedHeading < 225) return 'west';
+    if (normalizedHeading >= 225 && normalizedHeading < 315) return 'north';
+    
+    return 'east'; // Default fallback
+  }
+  
+  // NEW: Convert cardinal direction to heading degrees
+  cardinalDirectionToHeading(direction) {
+    const directions = {
+      'north': -90,  // or 270
+      'east': 0,
+      'south': 90,
+      'west': 180
+    };
+    
+    return directions[direction] || 0;
+  }
+  
+  // NEW: Check if shot would hit target's shield
+  wouldShotHitShield(target, shootDirection) {
+    if (!target.shield) return false;
+    
+    // Check if target's shield arc would block shot from our direction
+    const oppositeDirection = {
+      'north': 'south',
+      'south': 'north',
+      'east': 'west',
+      'west': 'east'
+    };
+    
+    const shotFromDirection = oppositeDirection[shootDirection];
+    
+    // For grid-based shooting, approximate each shield arc as blocking the
+    // cardinal direction it's centred on
+    const shieldDirections = target.getShieldArcs().map(arc =>
+      this.getCardinalDirectionForHeading(target.heading + arc.offset)
+    );
+    
+    return shieldDirections.includes(shotFromDirection);
+  }
+  
+  // NEW: Get cardinal direction for any tank
+  getCurrentCardinalDirectionForTank(tank) {
+    return this.getCardinalDirectionForHeading(tank.heading);
+  }
+  
+  getCardinalDirectionForHeading(heading) {
+    const normalizedHeading = ((heading % 360) + 360) % 360;
+    
+    if (normalizedHeading >= 315 || normalizedHeading < 45) return 'east';
+    if (normalizedHeading >= 45 && normalizedHeading < 135) return 'south';
+    if (normalizedHeading >= 135 && normalizedHeading < 225) return 'west';
+    if (normalizedHeading >= 225 && normalizedHeading < 315) return 'north';
+    
+    return 'east';
+  }
+  
+  // NEW: Check if bot is facing a cardinal direction (required for shooting)
+  isFacingCardinalDirection() {
+    const heading = this.tank.heading;
+    const normalizedHeading = ((heading % 360) + 360) % 360;
+    
+    // Check if within 15 degrees of a cardinal direction
+    const cardinalAngles = [0, 90, 180, 270, 360];
+    const tolerance = 15;
+    
+    for (const cardinal of cardinalAngles) {
+      const diff = Math.abs(normalizedHeading - cardinal);
+      if (diff <= tolerance || diff >= (360 - tolerance)) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  // Check if bot can shoot (cooldown management)
+  canShoot() {
+    const now = Date.now();
+    const shootCooldownReady = now - this.lastShotTime >= this.tank.getShootCooldown(now);
+    const rotationCooldownReady = now - this.lastRotationTime >= this.rotationCooldownMs;
+    const facingCardinal = this.isFacingCardinalDirection();
+    
+    return shootCooldownReady && rotationCooldownReady && facingCardinal && !this.tank.isSpawnProtected();
+  }
+  
+  // NEW: Simple cardinal-only movement like human players
+  moveTowardsCardinalOnly(targetGridX, targetGridY, options = {}) {
+    const currentGrid = { gridX: this.tank.gridX, gridY: this.tank.gridY };
+    
+    // Calculate cardinal distances
+    const deltaX = targetGridX - currentGrid.gridX;
+    const deltaY = targetGridY - currentGrid.gridY;
+    
+    // Add movement "commitment" - stick to current direction briefly
+    if (this.movementCommitment && this.movementCommitment > 0) {
+      this.movementCommitment--;
+      this.continueCurrentMovement();
+      return;
+    }
+    
+    // Update pathfinding less frequently for smoother movement
+    const shouldReplan = 
+      this.pathUpdateCounter >= (config.bots.movement.path_replan_interval * 3) || // 3x slower replanning
+      !this.pathTarget ||
+      this.pathTarget.gridX !== targetGridX ||
+      this.pathTarget.gridY !== targetGridY;
+    
+    if (shouldReplan) {
+      this.pathTarget = { gridX: targetGridX, gridY: targetGridY };
+      this.pathUpdateCounter = 0;
+      
+      // Choose cardinal direction based on largest distance
+      let chosenDirection = null;
+      
+      if (Math.abs(deltaX) > Math.abs(deltaY)) {
+        // Move horizontally first
+        chosenDirection = deltaX > 0 ? 'east' : 'west';
+      } else if (Math.abs(deltaY) > 0) {
+        // Move vertically
+        chosenDirection = deltaY > 0 ? 'south' : 'north';
+      }
+      
+      if (chosenDirection) {
+        this.executeCardinalMovement(chosenDirection);
+        // Add movement commitment to prevent jittery direction changes
+        this.movementCommitment = 3 + Math.floor(Math.random() * 3); // 3-5 frames
+      }
+    }
+  }
+  
+  // NEW: Execute cardinal movement like human players
+  executeCardinalMovement(direction) {
+    const targetHeading = this.cardinalDirectionToHeading(direction);
+    const currentDirection = this.getCurrentCardinalDirection();
+    
+    // Add human-like hesitation before direction changes
+    if (currentDirection !== direction && Math.random() < 0.15) {
+      // Brief hesitation before changing direction
+      return;
+    }
+    
+    // Rotate to face the direction if needed
+    if (currentDirection !== direction) {
+      this.rotateTowards(targetHeading);
+      return;
+    }
+    
+    // Try to move forward (handleOutcome deals with getting stuck)
+    this.move('forward', 'path');
+  }
+  
+  // NEW: Continue current movement direction (for commitment)
+  continueCurrentMovement() {
+    // Just try to move forward in current direction
+    this.move('forward', 'commitment');
+  }
+  
+  // NEW: Handle stuck movement with human-like behavior
+  handleStuckMovement() {
+    // Try alternate directions like a human would
+    const alternatives = ['left', 'right'];
+    const randomTurn = alternatives[Math.floor(Math.random() * alternatives.length)];
+    
+    this.rotate(randomTurn);
+    
+    // Clear movement commitment when stuck
+    this.movementCommitment = 0;
+  }
+  
+  // The bullet that would hit us soonest if we stayed put, as { bullet, frame },
+  // or null when nothing in flight gets through
+  findIncomingThreat(bullets, allTanks) {
+    if (this.tank.isSpawnProtected()) return null;
+    
+    const pose = this.getPose();
+    let threat = null;
+    
+    for (const bullet of bullets) {
+      if (!bullet.active || bullet.ownerId === this.bot.id ||
+          !this.perception.mode.canDamage(bullet, this.tank)) continue;
+      
+      const impact = this.predictBulletImpact(bullet, pose, allTanks);
+      if (impact && !impact.blocked && (!threat || impact.frame < threat.frame)) {
+        threat = { bullet, frame: impact.frame };
+      }
+    }
+    
+    return threat;
+  }
+  
+  // Fly a copy of the bullet forward over its remaining life - drag, wall
+  // bounces, teleporters, and reflecting off or stopping in other tanks - and
+  // report the first frame it comes within hit range of `pose` ({ x, y,
+  // heading, shield }). `blocked` says our shield at that pose would stop it.
+  // Returns { frame, blocked } or null if it never reaches us.
+  predictBulletImpact(bullet, pose, allTanks) {
+    const hitDistance = bullet.radius + config.arena.tile_size / config.combat.tank_hit_radius_divisor;
+    const prediction = bullet.createPrediction();
+    
+    for (let frame = 1; ; frame++) {
+      prediction.update();
+      if (!prediction.active) return null;
+      
+      if (this.bot.getDistance(prediction, pose) <= hitDistance) {
+        const shielded = this.tank.isProtectedByShieldAt(prediction.x, prediction.y, { ...pose, alive: true });
+        return { frame, blocked: shielded && prediction.shieldPierces === 0 };
+      }
+      
+      for (const tank of allTanks.values()) {
+        if (tank.id === this.bot.id) continue;
+        const canDamage = this.perception.mode.canDamage(prediction, tank);
+        if (prediction.checkTankCollision(tank, tank, canDamage) || !prediction.active) {
+          return null; // Someone else takes the hit
+        }
+      }
+    }
+  }
+  
+  getPose(overrides = {}) {
+    return {
+      x: this.tank.x,
+      y: this.tank.y,
+      heading: this.tank.heading,
+      shield: this.tank.shield,
+      ...overrides
+    };
+  }
+  
+  // Ways out of a predicted hit, each costed in frames: back up or drive on
+  // along the current heading, turn the shield into the shot, or turn and
+  // sidestep. Only options the bullet would miss (or bounce off) from where
+  // the tank ends up count; the cheapest one done before impact wins, else the
+  // cheapest at all. Null if nothing escapes.
+  planEvasion(threat, allTanks) {
+    // Frames for an interpolated pose to cover most of the way to its target
+    const settleFrames = (interp) => Math.ceil(Math.log(0.25) / Math.log(1 - interp));
+    const moveFrames = settleFrames(config.player.position_interp);
+    const turnFrames = settleFrames(config.player.heading_interp);
+    
+    const facing = (this.cardinalDirectionToHeading(this.getCurrentCardinalDirection()) + 360) % 360;
+    const options = [];
+    
+    for (const heading of [0, 90, 180, 270]) {
+      const gridX = this.tank.gridX + Math.round(Math.cos(heading * Math.PI / 180));
+      const gridY = this.tank.gridY + Math.round(Math.sin(heading * Math.PI / 180));
+      
+      if (this.arena.isValidTile(gridX, gridY)) {
+        const { x, y } = this.arena.gridToWorld(gridX, gridY);
+        if (heading === facing || heading === (facing + 180) % 360) {
+          options.push({
+            type: 'move',
+            direction: heading === facing ? 'forward' : 'backward',
+            cost: moveFrames,
+            pose: this.getPose({ x, y })
+          });
+        } else {
+          options.push({
+            type: 'sidestep',
+            heading,
+            cost: turnFrames + moveFrames,
+            pose: this.getPose({ x, y, heading })
+          });
+        }
+      }
+      
+      if (heading !== facing) {
+        options.push({
+          type: 'rotate',
+          heading,
+          cost: turnFrames,
+          pose: this.getPose({ heading, shield: !this.tank.shieldLocked })
+        });
+      }
+    }
+    
+    const escapes = options
+      .filter(option => {
+        const impact = this.predictBulletImpact(threat.bullet, option.pose, allTanks);
+        return !impact || impact.blocked;
+      })
+      .sort((a, b) => a.cost - b.cost);
+    
+    const best = escapes.find(option => option.cost <= threat.frame) || escapes[0];
+    if (!best) return null;
+    
+    return { type: best.type, direction: best.direction, heading: best.heading, bulletId: threat.bullet.id, done: false };
+  }
+}
+
+module.exports = StateMachineBrain;
@@ -0,0 +1,19 @@
+const StateMachineBrain = require('./StateMachineBrain');
+
+// Bot brains by the name used in config (bots.brains)
+const BRAINS = {
+  state_machine: StateMachineBrain
+};
+
+function isValidBrain(name) {
+  return Object.prototype.hasOwnProperty.call(BRAINS, name);
+}
+
+function createBrain(name, bot) {
+  if (!isValidBrain(name)) {
+    throw new Error(`Unknown bot brain '${name}'`);
+  }
+  return new BRAINS[name](bot);
+}
+
+module.exports = { BRAINS, isValidBrain, createBrain };
@@ -0,0 +1,305 @@
+const configLoader = require('../../shared/ConfigLoader');
+const TeamDeathmatchMode = require('./TeamDeathmatchMode');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Team play where only flag captures score. Each team's flag sits on a base
+// tile; enemies take it by driving onto its tile and score by bringing it home
+// while their own flag is safe at base. Carriers drop the flag on death and a
+// dropped flag returns to base on its own after a while (or when a defender
+// touches it). Teams, balancing and friendly fire work as in team deathmatch.
+class CaptureTheFlagMode extends TeamDeathmatchMode {
+  constructor(gameManager) {
+    super(gameManager);
+    this.name = 'capture_the_flag';
+    this.settings = config.modes.capture_the_flag;
+    this.teams = this.settings.teams.map(team => ({ ...team, score: 0 }));
+
+    this.flags = new Map(); // teamId -> { teamId, base, gridX, gridY, carrierId, droppedAt }
+    this.botRoles = new Map(); // botTankId -> 'attack' | 'defend'
+    this.placeBases();
+  }
+
+  // =============================================================================
+  // FLAG BASES
+  // =============================================================================
+
+  // Use the map's flag base markers when it has one per team; otherwise put the
+  // bases at the two ends of the largest connected area so they are always
+  // reachable from each other and as far apart as the arena allows
+  placeBases() {
+    const arena = this.gameManager.arena;
+    let bases = this.teams.map((team, index) => arena.mapMarkers.flagBases.find(base => base.team === index));
+
+    if (bases.some(base => !base)) {
+      const region = arena.getLargestRegion();
+      const [startX, startY] = region[0].split(',').map(Number);
+
+      // Farthest tile from any start is one end of the region; the tile farthest
+      // from that is the other end
+      const first = this.findFarthestTile(arena.getTileDistances(startX, startY));
+      const second = this.findFarthestTile(arena.getTileDistances(first.gridX, first.gridY));
+      bases = [first, second];
+    }
+
+    this.flags.clear();
+    this.teams.forEach((team, index) => {
+      const { gridX, gridY } = bases[index % bases.length];
+      const base = { gridX, gridY };
+      this.flags.set(team.id, {
+        teamId: team.id,
+        base,
+        gridX: base.gridX,
+        gridY: base.gridY,
+        carrierId: null,
+        droppedAt: null
+      });
+    });
+
+    console.log(`🚩 Flag bases in room '${this.gameManager.roomId}': ${bases.map(b => `(${b.gridX}, ${b.gridY})`).join(' vs ')}`);
+  }
+
+  findFarthestTile(distances) {
+    let farthestKey = null;
+    let farthestDistance = -1;
+
+    for (const [key, distance] of distances) {
+      if (distance > farthestDistance) {
+        farthestKey = key;
+        farthestDistance = distance;
+      }
+    }
+
+    const [gridX, gridY] = farthestKey.split(',').map(Number);
+    return { gridX, gridY };
+  }
+
+  onArenaReset() {
+    this.placeBases();
+  }
+
+  // =============================================================================
+  // FLAG HANDLING
+  // =============================================================================
+
+  isAtBase(flag) {
+    return !flag.carrierId && flag.gridX === flag.base.gridX && flag.gridY === flag.base.gridY;
+  }
+
+  // Flag the tank is carrying, if any
+  getCarriedFlag(tank) {
+    for (const flag of this.flags.values()) {
+      if (flag.carrierId === tank.id) return flag;
+    }
+    return null;
+  }
+
+  // Carriers lose speed mode or their shield, depending on carrier_rule
+  applyCarrierRule(tank, carrying) {
+    const rule = this.settings.carrier_rule;
+    tank.setAbilityLocks(carrying && rule === 'no_speed_mode', carrying && rule === 'no_shield');
+  }
+
+  // Drive-over pickup, same as standing on an ammo tile
+  tryPickupFlag(tank, flag) {
+    if (!tank.alive || flag.carrierId || tank.gridX !== flag.gridX || tank.gridY !== flag.gridY) {
+      return;
+    }
+
+    if (flag.teamId === tank.team) {
+      // Touching your own dropped flag sends it home
+      if (!this.isAtBase(flag)) {
+        this.returnFlag(flag, tank.id);
+        return;
+      }
+
+      // Bringing the enemy flag to your own base scores
+      const carried = this.getCarriedFlag(tank);
+      if (carried) {
+        this.captureFlag(tank, carried);
+      }
+      return;
+    }
+
+    if (this.getCarriedFlag(tank)) return; // One flag at a time
+
+    flag.carrierId = tank.id;
+    flag.droppedAt = null;
+    this.applyCarrierRule(tank, true);
+    this.emitFlagEvent('flagTaken', flag, tank.id);
+  }
+
+  dropFlag(flag, gridX, gridY) {
+    flag.carrierId = null;
+    flag.gridX = gridX;
+    flag.gridY = gridY;
+    flag.droppedAt = Date.now();
+    this.emitFlagEvent('flagDropped', flag, null);
+  }
+
+  // Put a flag back on its base, freeing whoever carried it
+  sendHome(flag) {
+    const carrier = flag.carrierId ? this.gameManager.tanks.get(flag.carrierId) : null;
+    if (carrier) {
+      this.applyCarrierRule(carrier, false);
+    }
+
+    flag.carrierId = null;
+    flag.gridX = flag.base.gridX;
+    flag.gridY = flag.base.gridY;
+    flag.droppedAt = null;
+  }
+
+  returnFlag(flag, playerId) {
+    this.sendHome(flag);
+    this.emitFlagEvent('flagReturned', flag, playerId);
+  }
+
+  captureFlag(tank, flag) {
+    // Warmup captures reset the flag but don't score
+    if (this.gameManager.rounds.isScoring()) {
+      const team = this.getTeam(tank.team);
+      if (team) team.score++;
+    }
+
+    this.emitFlagEvent('flagCaptured', flag, tank.id);
+    this.returnFlag(flag, tank.id);
+  }
+
+  emitFlagEvent(event, flag, playerId) {
+    this.gameManager.emitToRoom(event, {
+      teamId: flag.teamId,
+      playerId,
+      gridX: flag.gridX,
+      gridY: flag.gridY,
+      timestamp: Date.now()
+    });
+  }
+
+  // =============================================================================
+  // MODE HOOKS
+  // =============================================================================
+
+  onTankAdded(tank) {
+    super.onTankAdded(tank);
+
+    // Alternate bot roles per team so someone stays home
+    if (tank.isBot) {
+      let attackers = 0;
+      let defenders = 0;
+      for (const [tankId, role] of this.botRoles) {
+        const other = this.gameManager.tanks.get(tankId);
+        if (!other || other.team !== tank.team) continue;
+        if (role === 'attack') attackers++; else defenders++;
+      }
+      this.botRoles.set(tank.id, attackers <= defenders ? 'attack' : 'defend');
+    }
+  }
+
+  // Team switches (bot rebalancing) drop whatever the tank was carrying
+  assignTeam(tank, team) {
+    const flag = this.getCarriedFlag(tank);
+    if (flag) {
+      this.dropFlag(flag, tank.gridX, tank.gridY);
+      this.applyCarrierRule(tank, false);
+    }
+    super.assignTeam(tank, team);
+  }
+
+  onTankRemoved(tank) {
+    const flag = this.getCarriedFlag(tank);
+    if (flag) {
+      this.dropFlag(flag, tank.gridX, tank.gridY);
+    }
+    this.botRoles.delete(tank.id);
+  }
+
+  // Only captures score in CTF
+  onKill(bullet, victim) {}
+
+  update(now) {
+    super.update(now);
+
+    for (const flag of this.flags.values()) {
+      if (flag.carrierId) {
+        // Carrier died (or left) - flag falls where they were
+        const carrier = this.gameManager.tanks.get(flag.carrierId);
+        if (!carrier || !carrier.alive) {
+          this.dropFlag(flag, carrier ? carrier.gridX : flag.gridX, carrier ? carrier.gridY : flag.gridY);
+        } else {
+          flag.gridX = carrier.gridX;
+          flag.gridY = carrier.gridY;
+        }
+      } else if (flag.droppedAt && now - flag.droppedAt >= this.settings.flag_return_ms) {
+        this.returnFlag(flag, null);
+      }
+    }
+
+    if (!this.gameManager.rounds.isGameplayActive()) return;
+
+    for (const tank of this.gameManager.tanks.values()) {
+      for (const flag of this.flags.values()) {
+        this.tryPickupFlag(tank, flag);
+      }
+    }
+  }
+
+  // Carriers run home; attackers go for the enemy flag; everyone chases a stolen flag
+  getBotObjective(tank) {
+    const carried = this.getCarriedFlag(tank);
+    if (carried) {
+      const home = this.flags.get(tank.team);
+      return { gridX: home.base.gridX, gridY: home.base.gridY, urgent: true };
+    }
+
+    const ownFlag = this.flags.get(tank.team);
+    if (ownFlag && !this.isAtBase(ownFlag)) {
+      return { gridX: ownFlag.gridX, gridY: ownFlag.gridY, urgent: false };
+    }
+
+    if (this.botRoles.get(tank.id) === 'attack') {
+      for (const flag of this.flags.values()) {
+        if (flag.teamId !== tank.team && !flag.carrierId) {
+          return { gridX: flag.gridX, gridY: flag.gridY, urgent: false };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  reset() {
+    super.reset();
+    for (const flag of this.flags.values()) {
+      this.sendHome(flag);
+    }
+  }
+
+  getFlagStates() {
+    const arena = this.gameManager.arena;
+    return Array.from(this.flags.values()).map(flag => {
+      const position = arena.gridToWorld(flag.gridX, flag.gridY);
+      const base = arena.gridToWorld(flag.base.gridX, flag.base.gridY);
+      return {
+        teamId: flag.teamId,
+        color: this.getTeam(flag.teamId).color,
+        x: position.x,
+        y: position.y,
+        baseX: base.x,
+        baseY: base.y,
+        carrierId: flag.carrierId,
+        atBase: this.isAtBase(flag)
+      };
+    });
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      flags: this.getFlagStates()
+    };
+  }
+}
+
+module.exports = CaptureTheFlagMode;
@@ -0,0 +1,10 @@
+const GameMode = require('./GameMode');
+
+// Everyone for themselves - the original Blueprint Battle rules. Most kills wins the round.
+class FreeForAllMode extends GameMode {
+  constructor(gameManager) {
+    super(gameManager, 'free_for_all');
+  }
+}
+
+module.exports = FreeForAllMode;
@@ -0,0 +1,104 @@
+const configLoader = require('../../shared/ConfigLoader');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Base class for game modes. A mode decides team assignment, who can damage
+// whom, how kills score and who is winning a round. The defaults here are plain
+// free-for-all; concrete modes override only the hooks they care about.
+class GameMode {
+  constructor(gameManager, name) {
+    this.gameManager = gameManager;
+    this.name = name;
+    this.startTime = Date.now();
+  }
+
+  // A tank (human or bot) entered the match
+  onTankAdded(tank) {}
+
+  // A tank left the match
+  onTankRemoved(tank) {}
+
+  // Whether this bullet may kill the victim. Shields reflect bullets either way.
+  canDamage(bullet, victim) {
+    return true;
+  }
+
+  // Whether `other` is someone `tank` should fight. Bots only hunt humans in free-for-all.
+  isEnemy(tank, other) {
+    return !(tank.isBot && other.isBot);
+  }
+
+  // A kill was confirmed
+  onKill(bullet, victim) {}
+
+  // Whether dead tanks come back on their own after the respawn delay
+  allowsRespawn(tank) {
+    return true;
+  }
+
+  // How many bots the match wants for this many humans
+  getBotTarget(humanCount) {
+    const gameManager = this.gameManager;
+    return Math.min(gameManager.maxBots, Math.max(gameManager.minBots, humanCount));
+  }
+
+  // Bots above this count are removed
+  getBotLimit(humanCount) {
+    return this.gameManager.maxBots;
+  }
+
+  // Minimum time between bot spawns
+  getBotSpawnInterval() {
+    return this.gameManager.botSpawnInterval;
+  }
+
+  // Pick which bot to remove when there are too many
+  chooseBotToRemove() {
+    return this.gameManager.bots.keys().next().value;
+  }
+
+  // The arena layout was regenerated (anything placed on tiles must move)
+  onArenaReset() {}
+
+  // Grid tile a bot should head for instead of hunting ({ gridX, gridY, urgent }), or null.
+  // Urgent objectives are never abandoned for a fight.
+  getBotObjective(tank) {
+    return null;
+  }
+
+  // Round length and win condition used by the RoundManager
+  getRoundSettings() {
+    return {
+      durationMs: config.rounds.duration_ms,
+      scoreLimit: config.rounds.score_limit
+    };
+  }
+
+  // Current round leader ({ id, name, score }) from the round standings, or null on a tie
+  getLeader(stats) {
+    const sorted = [...stats.values()].sort((a, b) => b.kills - a.kills);
+    if (sorted.length === 0 || (sorted.length > 1 && sorted[0].kills === sorted[1].kills)) return null;
+    return { id: sorted[0].id, name: sorted[0].name, score: sorted[0].kills };
+  }
+
+  // Mode-specific end of a round ({ reason, winner }) checked before the score and time limits, or null
+  getRoundOutcome(stats) {
+    return null;
+  }
+
+  // Per-frame update
+  update(now) {}
+
+  // Start a fresh round
+  reset() {
+    this.startTime = Date.now();
+  }
+
+  // Mode data sent with every gameState
+  getState() {
+    return { name: this.name };
+  }
+}
+
+module.exports = GameMode;
@@ -0,0 +1,281 @@
+const configLoader = require('../../shared/ConfigLoader');
+const GameMode = require('./GameMode');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Free-for-all around a few control zone tiles. Sitting alone on a zone first
+// captures it, then earns points for as long as the owner stays there alone; a
+// second tank on the tile contests it and pauses both. The zones move to new
+// tiles on a schedule. Most points wins the round - kills only clear the way.
+class KingOfTheHillMode extends GameMode {
+  constructor(gameManager) {
+    super(gameManager, 'king_of_the_hill');
+    this.settings = config.modes.king_of_the_hill;
+
+    this.zones = new Map(); // "x,y" -> { gridX, gridY, ownerId, capturerId, progress, contested }
+    this.scores = new Map(); // tankId -> points (fractional, floored for display)
+    this.nextRotation = 0;
+    this.lastUpdate = Date.now();
+    this.placeZones();
+  }
+
+  // =============================================================================
+  // ZONE PLACEMENT
+  // =============================================================================
+
+  // Pick fresh zone tiles, kept apart from each other and away from the tiles
+  // they are replacing. Maps with zone markers choose among those; otherwise
+  // any tile in the largest connected area will do.
+  placeZones() {
+    const arena = this.gameManager.arena;
+    const previous = new Set(this.zones.keys());
+    const markers = arena.mapMarkers.zones
+      .filter(({ gridX, gridY }) => arena.isValidTile(gridX, gridY))
+      .map(({ gridX, gridY }) => `${gridX},${gridY}`);
+    // Zones stay off tiles that can fall away or close
+    const pool = markers.length > 0 ? markers : arena.getLargestRegion()
+      .filter(key => arena.isSolidTile(...key.split(',').map(Number)));
+
+    // Too few markers to move every zone somewhere new - allow repeats
+    let candidates = pool.filter(key => !previous.has(key));
+    if (candidates.length < this.settings.zone_count) {
+      candidates = [...pool];
+    }
+    const chosen = [];
+
+    // Shuffle so every rotation gives a different layout
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    // Spread them out first; if the arena is too cramped, take whatever is left
+    for (const minSpacing of [this.settings.min_zone_spacing, 0]) {
+      for (const key of candidates) {
+        if (chosen.length >= this.settings.zone_count) break;
+        const [gridX, gridY] = key.split(',').map(Number);
+        const tooClose = chosen.some(zone =>
+          zone.gridX === gridX && zone.gridY === gridY ||
+          Math.abs(zone.gridX - gridX) + Math.abs(zone.gridY - gridY) < minSpacing
+        );
+        if (!tooClose) {
+          chosen.push({ gridX, gridY });
+        }
+      }
+    }
+
+    this.zones.clear();
+    for (const { gridX, gridY } of chosen) {
+      this.zones.set(`${gridX},${gridY}`, {
+        gridX,
+        gridY,
+        ownerId: null,
+        capturerId: null,
+        progress: 0,
+        contested: false
+      });
+    }
+    arena.setControlZones(chosen);
+    this.nextRotation = Date.now() + this.settings.rotate_interval_ms;
+
+    console.log(`👑 Control zones in room '${this.gameManager.roomId}': ${chosen.map(z => `(${z.gridX}, ${z.gridY})`).join(', ')}`);
+  }
+
+  rotateZones() {
+    this.placeZones();
+    this.gameManager.emitToRoom('zonesRotated', {
+      zones: this.getZoneStates(),
+      nextRotationMs: this.settings.rotate_interval_ms,
+      timestamp: Date.now()
+    });
+  }
+
+  onArenaReset() {
+    this.zones.clear();
+    this.placeZones();
+  }
+
+  // =============================================================================
+  // ZONE CONTROL
+  // =============================================================================
+
+  // Zone the tank is standing on, if any
+  getZoneAt(gridX, gridY) {
+    return this.zones.get(`${gridX},${gridY}`) || null;
+  }
+
+  // Advance one zone by elapsed time given the live tanks standing on it
+  updateZone(zone, occupants, elapsedMs) {
+    zone.contested = occupants.length > 1;
+    if (occupants.length !== 1) return; // Empty or contested - nothing moves
+
+    const holder = occupants[0];
+
+    if (zone.ownerId === holder.id) {
+      // Warmup holds don't score
+      if (this.gameManager.rounds.isScoring()) {
+        const points = this.settings.points_per_second * elapsedMs / 1000;
+        this.scores.set(holder.id, (this.scores.get(holder.id) || 0) + points);
+      }
+      return;
+    }
+
+    // Someone new on the tile starts the capture over
+    if (zone.capturerId !== holder.id) {
+      zone.capturerId = holder.id;
+      zone.progress = 0;
+    }
+
+    zone.progress = Math.min(1, zone.progress + elapsedMs / this.settings.capture_ms);
+    if (zone.progress >= 1) {
+      zone.ownerId = holder.id;
+      zone.capturerId = null;
+      zone.progress = 0;
+      this.gameManager.emitToRoom('zoneCaptured', {
+        playerId: holder.id,
+        gridX: zone.gridX,
+        gridY: zone.gridY,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // =============================================================================
+  // MODE HOOKS
+  // =============================================================================
+
+  // Anyone sitting on a zone is fair game, bot or not
+  isEnemy(tank, other) {
+    return super.isEnemy(tank, other) || this.zones.has(`${other.gridX},${other.gridY}`);
+  }
+
+  onTankRemoved(tank) {
+    for (const zone of this.zones.values()) {
+      if (zone.ownerId === tank.id) zone.ownerId = null;
+      if (zone.capturerId === tank.id) {
+        zone.capturerId = null;
+        zone.progress = 0;
+      }
+    }
+    this.scores.delete(tank.id);
+  }
+
+  // Only zone time scores in king of the hill
+  onKill(bullet, victim) {}
+
+  update(now) {
+    const elapsedMs = now - this.lastUpdate;
+    this.lastUpdate = now;
+
+    if (!this.gameManager.rounds.isGameplayActive()) return;
+
+    if (now >= this.nextRotation) {
+      this.rotateZones();
+    }
+
+    const occupants = new Map(); // zone key -> live tanks on it
+    for (const tank of this.gameManager.tanks.values()) {
+      const key = `${tank.gridX},${tank.gridY}`;
+      if (!tank.alive || !this.zones.has(key)) continue;
+      if (!occupants.has(key)) occupants.set(key, []);
+      occupants.get(key).push(tank);
+    }
+
+    for (const [key, zone] of this.zones) {
+      this.updateZone(zone, occupants.get(key) || [], elapsedMs);
+    }
+  }
+
+  // Hold the zone you're on; otherwise head for the closest one
+  getBotObjective(tank) {
+    if (this.getZoneAt(tank.gridX, tank.gridY)) {
+      return { gridX: tank.gridX, gridY: tank.gridY, urgent: true };
+    }
+
+    const distances = this.gameManager.arena.getTileDistances(tank.gridX, tank.gridY);
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const [key, zone] of this.zones) {
+      const distance = distances.get(key);
+      if (distance !== undefined && distance < nearestDistance) {
+        nearest = zone;
+        nearestDistance = distance;
+      }
+    }
+
+    return nearest ? { gridX: nearest.gridX, gridY: nearest.gridY, urgent: false } : null;
+  }
+
+  getRoundSettings() {
+    return {
+      durationMs: this.settings.time_limit_ms,
+      scoreLimit: this.settings.score_limit
+    };
+  }
+
+  // Leader by zone points rather than kills
+  getLeader(stats) {
+    const sorted = [...this.scores.entries()]
+      .map(([id, points]) => ({ id, score: Math.floor(points) }))
+      .sort((a, b) => b.score - a.score);
+
+    if (sorted.length === 0 || sorted[0].score === 0 ||
+        (sorted.length > 1 && sorted[0].score === sorted[1].score)) {
+      return null;
+    }
+
+    const tank = this.gameManager.tanks.get(sorted[0].id);
+    const entry = stats.get(sorted[0].id);
+    const name = tank ? tank.name : (entry ? entry.name : null);
+    return { id: sorted[0].id, name, score: sorted[0].score };
+  }
+
+  reset() {
+    super.reset();
+    this.scores.clear();
+    this.lastUpdate = Date.now();
+    for (const zone of this.zones.values()) {
+      zone.ownerId = null;
+      zone.capturerId = null;
+      zone.progress = 0;
+      zone.contested = false;
+    }
+  }
+
+  getZoneStates() {
+    const gameManager = this.gameManager;
+    return Array.from(this.zones.values()).map(zone => {
+      const position = gameManager.arena.gridToWorld(zone.gridX, zone.gridY);
+      const owner = zone.ownerId ? gameManager.tanks.get(zone.ownerId) : null;
+      return {
+        gridX: zone.gridX,
+        gridY: zone.gridY,
+        x: position.x,
+        y: position.y,
+        ownerId: zone.ownerId,
+        ownerColor: owner && owner.rgb ? `rgb(${owner.rgb.r}, ${owner.rgb.g}, ${owner.rgb.b})` : null,
+        capturerId: zone.capturerId,
+        progress: zone.progress,
+        contested: zone.contested
+      };
+    });
+  }
+
+  getState() {
+    const scores = {};
+    for (const [tankId, points] of this.scores) {
+      scores[tankId] = Math.floor(points);
+    }
+
+    return {
+      name: this.name,
+      zones: this.getZoneStates(),
+      scores,
+      nextRotationMs: Math.max(0, this.nextRotation - Date.now())
+    };
+  }
+}
+
+module.exports = KingOfTheHillMode;
@@ -0,0 +1,203 @@
+const configLoader = require('../../shared/ConfigLoader');
+const GameMode = require('./GameMode');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Battle royale rounds: one life each, and the arena shrinks from the edges
+// until a single tank is left. Each collapse is announced by a warning on the
+// doomed tiles; anything still on them when they fall is destroyed. Warmup is
+// normal free play with respawns, and the arena is restored for the next round.
+class LastTankStandingMode extends GameMode {
+  constructor(gameManager) {
+    super(gameManager, 'last_tank_standing');
+    this.settings = config.modes.last_tank_standing;
+
+    this.participants = new Set(); // tankIds that started the live round
+    this.nextShrinkTime = Infinity;
+    this.collapseTime = null; // When the currently warned tiles fall
+  }
+
+  // =============================================================================
+  // SHRINKING ARENA
+  // =============================================================================
+
+  // Warn the outermost ring that still has tiles, unless the arena is already at its smallest
+  warnNextRing(now) {
+    const arena = this.gameManager.arena;
+    const ring = arena.getOuterRing();
+
+    if (ring < this.settings.min_ring) {
+      this.nextShrinkTime = Infinity;
+      return;
+    }
+
+    this.collapseTime = now + this.settings.warning_ms;
+    const tiles = arena.warnTilesFromRing(ring, this.collapseTime);
+
+    this.gameManager.emitToRoom('tilesWarning', {
+      tiles: tiles.map(({ gridX, gridY }) => ({ gridX, gridY })),
+      collapseTime: this.collapseTime,
+      warningMs: this.settings.warning_ms,
+      timestamp: now
+    });
+  }
+
+  collapseWarnedTiles(now) {
+    const gameManager = this.gameManager;
+    const collapsed = gameManager.arena.collapseDueTiles(now);
+
+    this.collapseTime = null;
+    this.nextShrinkTime = now + this.settings.shrink_interval_ms;
+    if (collapsed.length === 0) return;
+
+    gameManager.syncArenaLayout();
+    gameManager.emitToRoom('tilesCollapsed', {
+      tiles: collapsed.map(({ gridX, gridY }) => ({ gridX, gridY })),
+      timestamp: now
+    });
+
+    // Whoever was still standing on a fallen tile goes down with it
+    for (const tank of gameManager.tanks.values()) {
+      if (tank.alive && !gameManager.arena.isValidTile(tank.gridX, tank.gridY)) {
+        gameManager.destroyTank(tank, 'collapse');
+      }
+    }
+  }
+
+  // Put the full arena back once the round is over
+  restoreArena() {
+    const arena = this.gameManager.arena;
+    if (arena.collapsedTiles.size === 0 && arena.collapseWarnings.size === 0) return;
+
+    arena.restoreCollapsedTiles();
+    this.gameManager.syncArenaLayout();
+    this.collapseTime = null;
+  }
+
+  // Participants that left the room are no longer in gameManager.tanks, so a
+  // disconnect counts as an elimination
+  getSurvivors() {
+    const survivors = [];
+    for (const tankId of this.participants) {
+      const tank = this.gameManager.tanks.get(tankId);
+      if (tank && tank.alive) survivors.push(tank);
+    }
+    return survivors;
+  }
+
+  // =============================================================================
+  // MODE HOOKS
+  // =============================================================================
+
+  // Late arrivals spectate until the next round
+  onTankAdded(tank) {
+    if (this.gameManager.rounds && this.gameManager.rounds.isScoring()) {
+      tank.alive = false;
+    }
+  }
+
+  allowsRespawn(tank) {
+    return !this.gameManager.rounds.isScoring();
+  }
+
+  // No new bots mid-round - they would only join as spectators
+  getBotTarget(humanCount) {
+    const target = super.getBotTarget(humanCount);
+    if (this.gameManager.rounds.isScoring()) {
+      return Math.min(target, this.gameManager.bots.size);
+    }
+    return target;
+  }
+
+  update(now) {
+    const rounds = this.gameManager.rounds;
+
+    if (!rounds.isScoring()) {
+      if (rounds.isGameplayActive()) {
+        this.restoreArena();
+      }
+      return;
+    }
+
+    if (this.collapseTime !== null) {
+      if (now >= this.collapseTime) {
+        this.collapseWarnedTiles(now);
+      }
+    } else if (now >= this.nextShrinkTime) {
+      this.warnNextRing(now);
+    }
+  }
+
+  // Tanks on a doomed tile run for the nearest safe one
+  getBotObjective(tank) {
+    const arena = this.gameManager.arena;
+    if (!arena.isCollapseWarning(tank.gridX, tank.gridY)) return null;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const [key, distance] of arena.getTileDistances(tank.gridX, tank.gridY)) {
+      const [gridX, gridY] = key.split(',').map(Number);
+      if (distance < nearestDistance && !arena.isCollapseWarning(gridX, gridY)) {
+        nearest = { gridX, gridY };
+        nearestDistance = distance;
+      }
+    }
+
+    return nearest ? { ...nearest, urgent: true } : null;
+  }
+
+  // The round ends when one tank (or nobody) is left. A round that started
+  // with fewer than two tanks has nobody to outlast and runs to the time limit
+  getRoundOutcome(stats) {
+    if (this.participants.size < 2) return null;
+
+    const survivors = this.getSurvivors();
+    if (survivors.length > 1) return null;
+
+    const winner = survivors[0];
+    if (!winner) {
+      return { reason: 'last_tank_standing', winner: null };
+    }
+
+    const entry = stats.get(winner.id);
+    return {
+      reason: 'last_tank_standing',
+      winner: { id: winner.id, name: winner.name, score: entry ? entry.kills : 0 }
+    };
+  }
+
+  // Nobody leads until only one is left standing
+  getLeader(stats) {
+    return null;
+  }
+
+  getRoundSettings() {
+    return {
+      durationMs: this.settings.time_limit_ms,
+      scoreLimit: 0
+    };
+  }
+
+  reset() {
+    super.reset();
+    this.restoreArena();
+    this.participants = new Set(this.gameManager.tanks.keys());
+    this.nextShrinkTime = Date.now() + this.settings.shrink_start_ms;
+    this.collapseTime = null;
+  }
+
+  getState() {
+    const eliminationActive = this.gameManager.rounds.isScoring();
+    return {
+      name: this.name,
+      eliminationActive,
+      survivors: eliminationActive ? this.getSurvivors().map(tank => tank.id) : [],
+      warningTiles: this.gameManager.arena.getAllCollapseWarnings(),
+      nextShrinkMs: Number.isFinite(this.nextShrinkTime) ? Math.max(0, this.nextShrinkTime - Date.now()) : null
+    };
+  }
+}
+
+module.exports = LastTankStandingMode;
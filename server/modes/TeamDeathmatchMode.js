@@ -0,0 +1,178 @@
+const configLoader = require('../../shared/ConfigLoader');
+const GameMode = require('./GameMode');
+
+// Load game configuration
+const config = configLoader.getAll();
+
+// Two (or more) teams trade kills for team score. Humans are spread evenly
+// across teams and bots fill whichever team is short. No friendly-fire kills.
+class TeamDeathmatchMode extends GameMode {
+  constructor(gameManager) {
+    super(gameManager, 'team_deathmatch');
+    this.settings = config.modes.team_deathmatch;
+    this.teams = this.settings.teams.map(team => ({ ...team, score: 0 }));
+  }
+
+  getTeam(teamId) {
+    return this.teams.find(team => team.id === teamId) || null;
+  }
+
+  // Human and bot counts per team
+  getTeamSizes() {
+    const sizes = new Map(this.teams.map(team => [team.id, { humans: 0, bots: 0, total: 0 }]));
+
+    for (const tank of this.gameManager.tanks.values()) {
+      const size = sizes.get(tank.team);
+      if (!size) continue;
+
+      if (tank.isBot) {
+        size.bots++;
+      } else {
+        size.humans++;
+      }
+      size.total++;
+    }
+
+    return sizes;
+  }
+
+  assignTeam(tank, team) {
+    tank.team = team.id;
+    tank.setColor(team.color);
+  }
+
+  onTankAdded(tank) {
+    const sizes = this.getTeamSizes();
+
+    // Humans balance against humans first so bots can make up the difference;
+    // bots simply join the smallest team
+    let bestTeam = null;
+    let bestKey = null;
+    for (const team of this.teams) {
+      const size = sizes.get(team.id);
+      const key = tank.isBot ? [size.total, size.humans] : [size.humans, size.total];
+
+      if (!bestKey || key[0] < bestKey[0] || (key[0] === bestKey[0] && key[1] < bestKey[1])) {
+        bestTeam = team;
+        bestKey = key;
+      }
+    }
+
+    this.assignTeam(tank, bestTeam);
+  }
+
+  // Friendly bullets pass through teammates (but still reflect off their shields)
+  canDamage(bullet, victim) {
+    return !bullet.ownerTeam || bullet.ownerTeam !== victim.team;
+  }
+
+  isEnemy(tank, other) {
+    return tank.team !== other.team;
+  }
+
+  onKill(bullet, victim) {
+    const team = this.getTeam(bullet.ownerTeam);
+    if (team && team.id !== victim.team) {
+      team.score++;
+    }
+  }
+
+  // Enough bots to give every team the same head count, at least min_team_size
+  getBotTarget(humanCount) {
+    let largestHumanTeam = 0;
+    for (const size of this.getTeamSizes().values()) {
+      largestHumanTeam = Math.max(largestHumanTeam, size.humans);
+    }
+
+    const teamSize = Math.max(this.settings.min_team_size, largestHumanTeam);
+    const target = teamSize * this.teams.length - humanCount;
+    return Math.max(0, Math.min(this.settings.max_bots, target));
+  }
+
+  getBotLimit(humanCount) {
+    return this.getBotTarget(humanCount);
+  }
+
+  getBotSpawnInterval() {
+    return this.settings.bot_spawn_interval_ms;
+  }
+
+  // Remove a bot from whichever team has the most tanks
+  chooseBotToRemove() {
+    const sizes = this.getTeamSizes();
+    let chosen = null;
+    let chosenTeamSize = -1;
+
+    for (const [botId, bot] of this.gameManager.bots) {
+      const teamSize = sizes.get(bot.tank.team)?.total ?? 0;
+      if (teamSize > chosenTeamSize) {
+        chosen = botId;
+        chosenTeamSize = teamSize;
+      }
+    }
+
+    return chosen;
+  }
+
+  // Move a bot across when a team falls two or more tanks behind (e.g. a human left)
+  rebalanceTeams() {
+    const sizes = this.getTeamSizes();
+    const byTotal = [...this.teams].sort((a, b) => sizes.get(a.id).total - sizes.get(b.id).total);
+    const smallest = byTotal[0];
+    const largest = byTotal[byTotal.length - 1];
+
+    if (sizes.get(largest.id).total - sizes.get(smallest.id).total < 2) return;
+
+    for (const bot of this.gameManager.bots.values()) {
+      if (bot.tank.team === largest.id) {
+        this.assignTeam(bot.tank, smallest);
+        bot.brain.onTeamsChanged();
+        console.log(`⚖️  Moved bot ${bot.id} to team ${smallest.id} in room '${this.gameManager.roomId}'`);
+        return;
+      }
+    }
+  }
+
+  update(now) {
+    this.rebalanceTeams();
+  }
+
+  getRoundSettings() {
+    return {
+      durationMs: this.settings.time_limit_ms,
+      scoreLimit: this.settings.score_limit
+    };
+  }
+
+  // Highest-scoring team, or null on a tie for first
+  getLeader(stats) {
+    const sorted = [...this.teams].sort((a, b) => b.score - a.score);
+    if (sorted.length > 1 && sorted[0].score === sorted[1].score) return null;
+    return { id: sorted[0].id, name: sorted[0].name, score: sorted[0].score };
+  }
+
+  reset() {
+    super.reset();
+    for (const team of this.teams) {
+      team.score = 0;
+    }
+  }
+
+  getTeamStates() {
+    return this.teams.map(team => ({
+      id: team.id,
+      name: team.name,
+      color: team.color,
+      score: team.score
+    }));
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      teams: this.getTeamStates()
+    };
+  }
+}
+
+module.exports = TeamDeathmatchMode;
@@ -0,0 +1,27 @@
+const FreeForAllMode = require('./FreeForAllMode');
+const TeamDeathmatchMode = require('./TeamDeathmatchMode');
+const CaptureTheFlagMode = require('./CaptureTheFlagMode');
+const KingOfTheHillMode = require('./KingOfTheHillMode');
+const LastTankStandingMode = require('./LastTankStandingMode');
+
+// Game modes by the name used in config, GAME_MODE and joinRoom
+const MODES = {
+  free_for_all: FreeForAllMode,
+  team_deathmatch: TeamDeathmatchMode,
+  capture_the_flag: CaptureTheFlagMode,
+  king_of_the_hill: KingOfTheHillMode,
+  last_tank_standing: LastTankStandingMode
+};
+
+function isValidMode(name) {
+  return Object.prototype.hasOwnProperty.call(MODES, name);
+}
+
+function createGameMode(name, gameManager) {
+  if (!isValidMode(name)) {
+    throw new Error(`Unknown game mode '${name}'`);
+  }
+  return new MODES[name](gameManager);
+}
+
+module.exports = { MODES, isValidMode, createGameMode };
@@ -1,5 +1,5 @@
 const express = require("express");
-const GameManager = require("./GameManager");
+const RoomManager = require("./RoomManager");
 const configLoader = require("../shared/ConfigLoader");
 const fs = require('fs');
 const path = require('path');
@@ -48,24 +48,29 @@ function ensureCSSUpToDate() {
 // Ensure CSS is up to date before starting
 ensureCSSUpToDate();
 
-// Initialize GameManager with Socket.IO instance
-const gameManager = new GameManager(io);
+// Initialize RoomManager with Socket.IO instance (one GameManager per room)
+const roomManager = new RoomManager(io);
 
 // Expose configuration to clients so they can stay in sync
 app.get('/config', (req, res) => {
   res.json(config);
 });
 
+// Room lobby listing so clients can pick a match to join
+app.get('/rooms', (req, res) => {
+  res.json(roomManager.getRoomList());
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('Shutting down server...');
-  gameManager.shutdown();
+  roomManager.shutdown();
   server.close();
 });
 
 process.on('SIGINT', () => {
   console.log('Shutting down server...');
-  gameManager.shutdown();
+  roomManager.shutdown();
   server.close();
 });
 
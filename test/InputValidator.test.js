@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const configLoader = require('../shared/ConfigLoader');
+const InputValidator = require('../server/InputValidator');
+
+const settings = configLoader.getAll().server.input_validation;
+
+test('accepts well-formed inputs', () => {
+  const validator = new InputValidator();
+  assert.equal(validator.validate('a', 'playerMove', { direction: 'forward', sequence: 1 }), null);
+  assert.equal(validator.validate('a', 'ping', { timestamp: 1, roundTripMs: 80 }), null);
+  assert.equal(validator.validate('a', 'snapshotAck', { tick: 3 }), null);
+});
+
+test('rejects malformed payloads and unknown events', () => {
+  const validator = new InputValidator();
+  assert.equal(validator.validate('a', 'playerMove', { direction: 'sideways' }).reason, 'invalid_direction');
+  assert.equal(validator.validate('a', 'playerRotate', null).reason, 'invalid_payload');
+  assert.equal(validator.validate('a', 'ping', { timestamp: 1, roundTripMs: -5 }).reason, 'invalid_payload');
+  assert.equal(validator.validate('a', 'snapshotAck', { tick: 1.5 }).reason, 'invalid_payload');
+  assert.equal(validator.validate('a', 'playerJoin', { name: '   ' }).reason, 'invalid_name');
+  assert.equal(validator.validate('a', 'teleportMe', {}).reason, 'unknown_event');
+});
+
+test('rate limits each event with its own bucket', () => {
+  const validator = new InputValidator();
+  const { burst } = settings.rate_limits.requestKeyframe;
+
+  for (let i = 0; i < burst; i++) {
+    assert.equal(validator.validate('a', 'requestKeyframe', {}), null);
+  }
+  assert.equal(validator.validate('a', 'requestKeyframe', {}).reason, 'rate_limited');
+
+  // Other events and other clients are unaffected
+  assert.equal(validator.validate('a', 'snapshotAck', { tick: 1 }), null);
+  assert.equal(validator.validate('b', 'requestKeyframe', {}), null);
+});
+
+test('sequenced inputs must keep increasing until the room changes', () => {
+  const validator = new InputValidator();
+  assert.equal(validator.validate('a', 'playerMove', { direction: 'forward', sequence: 5 }), null);
+
+  const stale = validator.validate('a', 'playerRotate', { direction: 'left', sequence: 5 });
+  assert.equal(stale.reason, 'stale_sequence');
+  assert.equal(stale.lastSequence, 5);
+
+  validator.resetSequence('a');
+  assert.equal(validator.validate('a', 'playerMove', { direction: 'forward', sequence: 1 }), null);
+});
+
+test('enough rejections in a row kick the client', () => {
+  const validator = new InputValidator();
+
+  let rejection;
+  for (let i = 0; i < settings.max_strikes; i++) {
+    rejection = validator.validate('a', 'playerMove', { direction: 'sideways' });
+    assert.equal(rejection.kick, i === settings.max_strikes - 1);
+  }
+  assert.equal(rejection.strikes, settings.max_strikes);
+});
+
+test('strikes decay over time', () => {
+  const validator = new InputValidator();
+  validator.validate('a', 'playerMove', { direction: 'sideways' });
+  validator.validate('a', 'playerMove', { direction: 'sideways' });
+
+  // Pretend two decay intervals went by
+  validator.getClient('a').lastStrikeDecay -= settings.strike_decay_ms * 2;
+  assert.equal(validator.validate('a', 'playerMove', { direction: 'sideways' }).strikes, 1);
+});
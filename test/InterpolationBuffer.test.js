@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const configLoader = require('../shared/ConfigLoader');
+const SnapshotManager = require('../server/SnapshotManager');
+const InputValidator = require('../server/InputValidator');
+
+// Clients get the same config the server serves at /config
+const config = configLoader.getAll();
+
+// The buffer ships twice: as a browser global for public/index.html and as an
+// ES module for the module client. Both run here as plain scripts, in this
+// realm so their `instanceof Array` checks see our arrays.
+function loadBuffer(file) {
+  const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8').replace(/^export /m, '');
+  const factory = vm.runInThisContext(`(function (CONFIG) {\n${source}\nreturn InterpolationBuffer;\n})`, { filename: file });
+  return factory(config);
+}
+
+const CLIENTS = [
+  ['public/InterpolationBuffer.js', loadBuffer('public/InterpolationBuffer.js')],
+  ['client/network/InterpolationBuffer.js', loadBuffer('client/network/InterpolationBuffer.js')]
+];
+
+const deltaTime = {
+  getNetworkTime: () => Date.now(),
+  getRenderTime: () => Date.now() / 1000
+};
+
+function snapshot(tanks, ammo = []) {
+  return {
+    timestamp: Date.now(),
+    tanks,
+    bullets: [],
+    ammo,
+    powerUps: [],
+    mode: { name: 'free_for_all' },
+    round: { phase: 'live' }
+  };
+}
+
+// One broadcast as the server sends it, with the client's ack going straight back
+function deliver(server, buffer, clientId, fields) {
+  const entry = server.recordSnapshot(fields);
+  const state = buffer.addSnapshot(server.buildMessageFor(clientId, entry));
+  if (state) {
+    server.acknowledge(clientId, state.tick);
+  }
+  return { entry, state };
+}
+
+for (const [name, InterpolationBuffer] of CLIENTS) {
+  test.describe(name, () => {
+    test('rebuilds the server state from keyframes and deltas', () => {
+      const server = new SnapshotManager();
+      const buffer = new InterpolationBuffer(deltaTime, config);
+
+      const frames = [
+        snapshot([{ id: 't1', x: 0 }, { id: 't2', x: 5 }], [{ gridX: 1, gridY: 1 }]),
+        snapshot([{ id: 't1', x: 10 }, { id: 't2', x: 5 }], [{ gridX: 1, gridY: 1 }]),
+        snapshot([{ id: 't1', x: 20 }, { id: 't3', x: 0 }], [{ gridX: 2, gridY: 2 }])
+      ];
+
+      for (const frame of frames) {
+        const { entry, state } = deliver(server, buffer, 'a', frame);
+        assert.ok(state);
+        assert.deepEqual(state.tanks, entry.tanks);
+        assert.deepEqual(state.ammo, entry.ammo);
+      }
+    });
+
+    test('returns null for a delta whose baseline it never saw', () => {
+      const buffer = new InterpolationBuffer(deltaTime, config);
+      const state = buffer.addSnapshot({
+        keyframe: false,
+        tick: 9,
+        baseTick: 8,
+        timestamp: Date.now(),
+        tanks: { updated: [], removed: [] },
+        bullets: { updated: [], removed: [] },
+        ammo: { added: [], removed: [] },
+        powerUps: { added: [], removed: [] }
+      });
+      assert.equal(state, null);
+    });
+
+    test('keeps one keyframe request in flight until a keyframe arrives', () => {
+      const buffer = new InterpolationBuffer(deltaTime, config);
+      const retryMs = config.server.optimization.keyframe_retry_ms;
+
+      assert.equal(buffer.shouldRequestKeyframe(0), true);
+      assert.equal(buffer.shouldRequestKeyframe(retryMs - 1), false);
+      assert.equal(buffer.shouldRequestKeyframe(retryMs), true); // Lost - ask again
+
+      buffer.addSnapshot({ keyframe: true, tick: 1, ...snapshot([]) });
+      assert.equal(buffer.shouldRequestKeyframe(retryMs + 1), true);
+    });
+
+    test('keyframe requests after a lost baseline stay inside the server rate limit', () => {
+      const server = new SnapshotManager();
+      const validator = new InputValidator();
+      const buffer = new InterpolationBuffer(deltaTime, config);
+      const broadcastMs = 1000 / config.server.optimization.broadcast_frequency_hz;
+      const oneWayMs = 200;
+
+      deliver(server, buffer, 'a', snapshot([{ id: 't1', x: 0 }]));
+      buffer.clear(); // Client lost every baseline; the server doesn't know yet
+
+      // Two seconds of broadcasts; each request reaches the server one trip later
+      let keyframeDueAt = Infinity;
+      let requests = 0;
+      for (let now = 0; now < 2000; now += broadcastMs) {
+        if (now >= keyframeDueAt) {
+          server.requestKeyframe('a');
+          keyframeDueAt = Infinity;
+        }
+
+        const entry = server.recordSnapshot(snapshot([{ id: 't1', x: now }]));
+        const state = buffer.addSnapshot(server.buildMessageFor('a', entry));
+        const receivedAt = now + oneWayMs;
+
+        if (state) {
+          server.acknowledge('a', state.tick);
+        } else if (buffer.shouldRequestKeyframe(receivedAt)) {
+          requests++;
+          assert.equal(validator.validate('a', 'requestKeyframe', {}), null);
+          keyframeDueAt = receivedAt + oneWayMs;
+        }
+      }
+
+      assert.equal(requests, 1);
+      assert.ok(buffer.addSnapshot(server.buildMessageFor('a', server.recordSnapshot(snapshot([])))));
+    });
+
+    test('room change: deltas resume straight after the new room\'s first keyframe', () => {
+      const oldRoom = new SnapshotManager();
+      const newRoom = new SnapshotManager();
+      const buffer = new InterpolationBuffer(deltaTime, config);
+
+      // Both rooms have been running a while, with overlapping tick numbers
+      for (let i = 0; i < 20; i++) {
+        newRoom.recordSnapshot(snapshot([{ id: 'new', x: 0 }]));
+      }
+      for (let i = 0; i < 30; i++) {
+        deliver(oldRoom, buffer, 'a', snapshot([{ id: 'old', x: i }]));
+      }
+
+      // roomJoined arrives before the new room's arena and first keyframe
+      buffer.clear();
+      const first = deliver(newRoom, buffer, 'a', snapshot([{ id: 'new', x: 0 }]));
+      assert.equal(first.state.tanks[0].id, 'new');
+
+      // An ack the client sent from the old room must not become the baseline
+      newRoom.acknowledge('a', 15);
+      assert.equal(newRoom.clientAcks.get('a'), first.state.tick);
+
+      const next = newRoom.buildMessageFor('a', newRoom.recordSnapshot(snapshot([{ id: 'new', x: 10 }])));
+      assert.equal(next.keyframe, false);
+      const state = buffer.addSnapshot(next);
+      assert.ok(state);
+      assert.deepEqual(state.tanks, [{ id: 'new', x: 10 }]);
+    });
+
+    test('clear keeps the static arena for the next keyframe', () => {
+      const buffer = new InterpolationBuffer(deltaTime, config);
+      buffer.setArenaState({ tiles: [{ gridX: 0, gridY: 0 }] });
+      buffer.clear();
+
+      const state = buffer.addSnapshot({ keyframe: true, tick: 1, ...snapshot([]) });
+      assert.deepEqual(state.arena.tiles, [{ gridX: 0, gridY: 0 }]);
+    });
+  });
+}
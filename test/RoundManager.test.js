@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const configLoader = require('../shared/ConfigLoader');
+const GameManager = require('../server/GameManager');
+const { RoundPhases } = require('../server/RoundManager');
+
+const settings = configLoader.getAll().rounds;
+
+// A room with a socket.io stand-in that records what it sends; the game loop is
+// stopped so the test drives the rounds with its own clock
+function createRoom(mode, playerIds) {
+  const events = [];
+  const io = {
+    to: () => ({ emit: (event, data) => events.push({ event, data }) }),
+    emit: (event, data) => events.push({ event, data })
+  };
+
+  const gameManager = new GameManager(io, 'test', mode);
+  gameManager.shutdown();
+  for (const id of playerIds) {
+    gameManager.addPlayer(id);
+  }
+
+  const sent = (name) => events.filter(({ event }) => event === name).map(({ data }) => data);
+  return { gameManager, rounds: gameManager.rounds, sent };
+}
+
+// Warmup runs out and the round goes live
+function startRound(rounds, now) {
+  rounds.update(now + settings.warmup_ms);
+  assert.equal(rounds.phase, RoundPhases.LIVE);
+  return now + settings.warmup_ms;
+}
+
+test('warmup, live, results, then the next warmup', () => {
+  const { rounds, sent } = createRoom('free_for_all', ['p1', 'p2']);
+  assert.equal(rounds.phase, RoundPhases.WARMUP);
+  assert.equal(rounds.isScoring(), false);
+
+  const liveAt = startRound(rounds, rounds.phaseStartTime);
+  assert.equal(rounds.round, 1);
+  assert.equal(sent('roundStart').length, 1);
+
+  rounds.stats.get('p1').kills = settings.score_limit;
+  rounds.update(liveAt + 1);
+  assert.equal(rounds.phase, RoundPhases.RESULTS);
+  assert.equal(rounds.isGameplayActive(), false);
+
+  const [roundEnd] = sent('roundEnd');
+  assert.equal(roundEnd.reason, 'score_limit');
+  assert.equal(roundEnd.winner.id, 'p1');
+
+  rounds.update(liveAt + 1 + settings.results_ms);
+  assert.equal(rounds.phase, RoundPhases.WARMUP);
+  assert.equal(sent('roundWarmup')[0].round, 2);
+});
+
+test('a tie at the buzzer goes to overtime and the next kill wins', () => {
+  const { rounds, gameManager, sent } = createRoom('free_for_all', ['p1', 'p2']);
+  const liveAt = startRound(rounds, rounds.phaseStartTime);
+
+  const { durationMs } = gameManager.mode.getRoundSettings();
+  rounds.update(liveAt + durationMs);
+  assert.equal(rounds.phase, RoundPhases.OVERTIME);
+  assert.equal(sent('roundOvertime').length, 1);
+
+  rounds.stats.get('p2').kills = 1;
+  rounds.update(liveAt + durationMs + 1);
+  assert.equal(rounds.phase, RoundPhases.RESULTS);
+  assert.equal(sent('roundEnd')[0].reason, 'overtime');
+  assert.equal(sent('roundEnd')[0].winner.id, 'p2');
+});
+
+test('last tank standing: the last opponent leaving ends the round', () => {
+  const { rounds, gameManager, sent } = createRoom('last_tank_standing', ['p1', 'p2']);
+  const liveAt = startRound(rounds, rounds.phaseStartTime);
+
+  rounds.update(liveAt + 1);
+  assert.equal(rounds.phase, RoundPhases.LIVE);
+
+  gameManager.removePlayer('p2');
+  rounds.update(liveAt + 2);
+  assert.equal(rounds.phase, RoundPhases.RESULTS);
+  assert.equal(sent('roundEnd')[0].reason, 'last_tank_standing');
+  assert.equal(sent('roundEnd')[0].winner.id, 'p1');
+});
+
+test('last tank standing: a round started alone has no winner to find', () => {
+  const { rounds } = createRoom('last_tank_standing', ['p1']);
+  const liveAt = startRound(rounds, rounds.phaseStartTime);
+
+  rounds.update(liveAt + 1);
+  assert.equal(rounds.phase, RoundPhases.LIVE);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ServerArena = require('../server/ServerArena');
+
+const SEEDS = [1, 42, 1337, 90210];
+
+test('the same seed builds the same arena', () => {
+  for (const seed of SEEDS) {
+    const a = new ServerArena(seed);
+    const b = new ServerArena(seed);
+    assert.deepEqual(a.getStaticState(), b.getStaticState());
+    assert.deepEqual(a.getAllAmmoSpawns(), b.getAllAmmoSpawns());
+  }
+});
+
+test('different seeds build different arenas', () => {
+  const a = new ServerArena(SEEDS[0]);
+  const b = new ServerArena(SEEDS[1]);
+  assert.notDeepEqual(a.getStaticState().tiles, b.getStaticState().tiles);
+});
+
+test('every generated floor tile is reachable', () => {
+  for (const seed of SEEDS) {
+    const report = new ServerArena(seed).getRegionReport();
+    assert.equal(report.count, 1, `seed ${seed} left islands: ${report.islands}`);
+  }
+});
+
+test('walls are not counted as floor or as a ring to shrink', () => {
+  const arena = new ServerArena(SEEDS[0]);
+  const outerRing = arena.getOuterRing();
+  const floorTiles = arena.getStats().totalTiles;
+
+  // Wall off the outermost ring
+  let walled = 0;
+  for (const [tileKey, tile] of arena.tiles) {
+    const [gridX, gridY] = tileKey.split(',').map(Number);
+    if (tile.type !== 'wall' && arena.getTileRing(gridX, gridY) === outerRing) {
+      arena.tiles.set(tileKey, arena.createTile('wall'));
+      walled++;
+    }
+  }
+
+  assert.equal(arena.getStats().totalTiles, floorTiles - walled);
+  assert.equal(arena.getOuterRing(), outerRing - 1);
+
+  // The wall ring falls together with the floor ring inside it
+  const warned = arena.warnTilesFromRing(arena.getOuterRing(), 0);
+  assert.ok(warned.some(({ gridX, gridY }) => arena.getTileRing(gridX, gridY) === outerRing));
+  arena.collapseDueTiles(1);
+  assert.equal(arena.getOuterRing(), outerRing - 2);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnapshotManager = require('../server/SnapshotManager');
+
+function tank(id, fields = {}) {
+  return { id, x: 0, y: 0, heading: 0, alive: true, ...fields };
+}
+
+function snapshot(fields = {}) {
+  return {
+    timestamp: Date.now(),
+    tanks: [],
+    bullets: [],
+    ammo: [],
+    powerUps: [],
+    mode: { name: 'free_for_all' },
+    round: { phase: 'live' },
+    ...fields
+  };
+}
+
+// Record a snapshot and build the client's message for it, like broadcastSnapshot
+function send(manager, clientId, fields) {
+  const entry = manager.recordSnapshot(snapshot(fields));
+  return manager.buildMessageFor(clientId, entry);
+}
+
+test('first message for a client is a keyframe', () => {
+  const manager = new SnapshotManager();
+  const message = send(manager, 'a', { tanks: [tank('t1')] });
+
+  assert.equal(message.keyframe, true);
+  assert.equal(message.tick, 1);
+  assert.deepEqual(message.tanks, [tank('t1')]);
+});
+
+test('acknowledged tick becomes the delta baseline', () => {
+  const manager = new SnapshotManager();
+  const first = send(manager, 'a', {
+    tanks: [tank('t1'), tank('t2')],
+    ammo: [{ gridX: 1, gridY: 1 }]
+  });
+  manager.acknowledge('a', first.tick);
+
+  const delta = send(manager, 'a', {
+    tanks: [tank('t1', { x: 40 }), tank('t3')],
+    ammo: [{ gridX: 2, gridY: 2 }]
+  });
+
+  assert.equal(delta.keyframe, false);
+  assert.equal(delta.baseTick, first.tick);
+  assert.deepEqual(delta.tanks, { updated: [{ id: 't1', x: 40 }, tank('t3')], removed: ['t2'] });
+  assert.deepEqual(delta.ammo, { added: [{ gridX: 2, gridY: 2 }], removed: ['1,1'] });
+});
+
+test('unchanged entities are left out of a delta', () => {
+  const manager = new SnapshotManager();
+  const first = send(manager, 'a', { tanks: [tank('t1')] });
+  manager.acknowledge('a', first.tick);
+
+  const delta = send(manager, 'a', { tanks: [tank('t1')] });
+  assert.deepEqual(delta.tanks, { updated: [], removed: [] });
+});
+
+test('acks never move the baseline backwards', () => {
+  const manager = new SnapshotManager();
+  const first = send(manager, 'a');
+  const second = send(manager, 'a');
+  manager.acknowledge('a', second.tick);
+  manager.acknowledge('a', first.tick);
+
+  assert.equal(send(manager, 'a').baseTick, second.tick);
+});
+
+test('acks for ticks never sent to the client are ignored', () => {
+  const manager = new SnapshotManager();
+
+  // Ticks 1-3 go out before the client arrives (e.g. it was in another room)
+  for (let i = 0; i < 3; i++) {
+    manager.recordSnapshot(snapshot());
+  }
+  manager.acknowledge('a', 2); // Late ack from the client's previous room
+  assert.equal(manager.clientAcks.has('a'), false);
+
+  const keyframe = send(manager, 'a');
+  assert.equal(keyframe.keyframe, true);
+
+  manager.acknowledge('a', 3);                 // Before its first keyframe here
+  manager.acknowledge('a', keyframe.tick + 1); // Not sent yet
+  manager.acknowledge('a', 1.5);
+  assert.equal(manager.clientAcks.has('a'), false);
+
+  manager.acknowledge('a', keyframe.tick);
+  assert.equal(manager.clientAcks.get('a'), keyframe.tick);
+});
+
+test('requestKeyframe forces one keyframe, then deltas resume', () => {
+  const manager = new SnapshotManager();
+  manager.acknowledge('a', send(manager, 'a').tick);
+  manager.requestKeyframe('a');
+
+  assert.equal(send(manager, 'a').keyframe, true);
+  assert.equal(send(manager, 'a').keyframe, false);
+});
+
+test('baseline that fell out of the history gets a keyframe', () => {
+  const manager = new SnapshotManager();
+  manager.acknowledge('a', send(manager, 'a').tick);
+
+  for (let i = 0; i < manager.historySize; i++) {
+    manager.recordSnapshot(snapshot());
+  }
+
+  assert.equal(send(manager, 'a').keyframe, true);
+});
+
+test('resetAllClients sends every tracked client a keyframe', () => {
+  const manager = new SnapshotManager();
+  manager.acknowledge('a', send(manager, 'a').tick);
+  manager.acknowledge('b', send(manager, 'b').tick);
+  manager.resetAllClients();
+
+  const entry = manager.recordSnapshot(snapshot());
+  assert.equal(manager.buildMessageFor('a', entry).keyframe, true);
+  assert.equal(manager.buildMessageFor('b', entry).keyframe, true);
+});
+
+test('removed client starts over with a keyframe', () => {
+  const manager = new SnapshotManager();
+  manager.acknowledge('a', send(manager, 'a').tick);
+  manager.removeClient('a');
+
+  const message = send(manager, 'a');
+  assert.equal(message.keyframe, true);
+  manager.acknowledge('a', message.tick - 1); // Sent before the client left
+  assert.equal(manager.clientAcks.has('a'), false);
+});